@@ -0,0 +1,187 @@
+const {
+  GraphQLError,
+  Kind,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  getVariableValues,
+  isListType,
+} = require('graphql');
+
+/**
+ * Indica si un campo es de introspección (__schema, __type, __typename)
+ * Estos campos no cuentan para los límites para no bloquear las herramientas de desarrollo
+ * @param {Object} node - Nodo del campo
+ * @returns {boolean}
+ */
+const isIntrospectionField = (node) => node.name.value.startsWith('__');
+
+/**
+ * Recorre los campos de una selección expandiendo fragmentos
+ * @param {Object} context - Contexto de validación de graphql
+ * @param {Object} selectionSet - Selección a recorrer
+ * @param {Set} visitedFragments - Fragmentos del recorrido actual (evita ciclos)
+ * @param {Function} visit - Función llamada con cada campo y los fragmentos visitados
+ */
+const forEachField = (context, selectionSet, visitedFragments, visit) => {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      if (!isIntrospectionField(selection)) {
+        visit(selection, visitedFragments);
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      forEachField(context, selection.selectionSet, visitedFragments, visit);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.getFragment(name);
+      // Los ciclos entre fragmentos los rechaza la validación estándar
+      if (fragment && !visitedFragments.has(name)) {
+        forEachField(context, fragment.selectionSet, new Set([...visitedFragments, name]), visit);
+      }
+    }
+  }
+};
+
+/**
+ * Calcula la profundidad máxima de una selección
+ * @param {Object} context - Contexto de validación de graphql
+ * @param {Object} selectionSet - Selección a medir
+ * @param {Set} visitedFragments - Fragmentos del recorrido actual
+ * @returns {number}
+ */
+const measureDepth = (context, selectionSet, visitedFragments = new Set()) => {
+  let depth = 0;
+  forEachField(context, selectionSet, visitedFragments, (field, fragments) => {
+    const childDepth = field.selectionSet ? measureDepth(context, field.selectionSet, fragments) : 0;
+    depth = Math.max(depth, childDepth + 1);
+  });
+  return depth;
+};
+
+/**
+ * Crea la regla de validación que rechaza consultas demasiado anidadas
+ * @param {number} maxDepth - Profundidad máxima permitida
+ * @returns {Function} - Regla de validación de graphql
+ */
+const createDepthLimitRule = (maxDepth) => (context) => ({
+  OperationDefinition(node) {
+    const depth = measureDepth(context, node.selectionSet);
+    if (depth > maxDepth) {
+      context.reportError(new GraphQLError(
+        `La consulta supera la profundidad máxima permitida (${depth} > ${maxDepth})`,
+        { nodes: [node], extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth } }
+      ));
+    }
+  },
+});
+
+/**
+ * Obtiene el valor del argumento limit de un campo, literal o desde una variable
+ * @param {Object} field - Nodo del campo
+ * @param {Object} fieldDef - Definición del campo en el esquema
+ * @param {Object} variables - Variables de la operación ya coercionadas (con sus valores por defecto)
+ * @returns {number|null}
+ */
+const getLimitArgument = (field, fieldDef, variables) => {
+  try {
+    const { limit } = getArgumentValues(fieldDef, field, variables);
+    return Number.isInteger(limit) && limit > 0 ? limit : null;
+  } catch (error) {
+    // Los argumentos no válidos los rechaza la validación estándar o la ejecución
+    return null;
+  }
+};
+
+/**
+ * Calcula el costo de una selección: cada campo cuesta 1 multiplicado por el número
+ * de elementos que puede devolver su campo padre
+ * El límite de una consulta paginada se aplica a la lista de elementos que devuelve, hasta
+ * maxListSize (el mismo tope que aplican los resolvers); las listas sin paginar se estiman con defaultListSize
+ * @param {Object} context - Contexto de validación de graphql
+ * @param {Object} selectionSet - Selección a medir
+ * @param {Object} parentType - Tipo al que pertenece la selección
+ * @param {Object} options - defaultListSize, maxListSize, variables y si el padre ya fijó el número de elementos
+ * @param {Set} visitedFragments - Fragmentos del recorrido actual
+ * @returns {number}
+ */
+const measureComplexity = (context, selectionSet, parentType, options, visitedFragments = new Set()) => {
+  const { defaultListSize, maxListSize, variables, limited } = options;
+  let complexity = 0;
+
+  forEachField(context, selectionSet, visitedFragments, (field, fragments) => {
+    const fieldDef = parentType && parentType.getFields ? parentType.getFields()[field.name.value] : null;
+    const hasLimitArgument = Boolean(fieldDef && fieldDef.args.some((arg) => arg.name === 'limit'));
+
+    let multiplier = 1;
+    if (hasLimitArgument) {
+      multiplier = Math.min(getLimitArgument(field, fieldDef, variables) || defaultListSize, maxListSize);
+    } else if (fieldDef && isListType(getNullableType(fieldDef.type)) && !limited) {
+      multiplier = defaultListSize;
+    }
+
+    const childComplexity = field.selectionSet && fieldDef
+      ? measureComplexity(context, field.selectionSet, getNamedType(fieldDef.type), {
+        defaultListSize,
+        maxListSize,
+        variables,
+        limited: hasLimitArgument,
+      }, fragments)
+      : 0;
+
+    complexity += multiplier * (1 + childComplexity);
+  });
+
+  return complexity;
+};
+
+/**
+ * Coerciona las variables de una operación aplicando los valores por defecto de su definición,
+ * para que una variable omitida cuente con el valor que recibirá el resolver
+ * @param {GraphQLSchema} schema - Esquema de la consulta
+ * @param {Object} node - Definición de la operación
+ * @param {Object} variables - Variables enviadas por el cliente
+ * @returns {Object}
+ */
+const resolveVariables = (schema, node, variables) => {
+  const { coerced } = getVariableValues(schema, node.variableDefinitions || [], variables);
+  // Si las variables no son válidas la ejecución no llega a producirse
+  return coerced || {};
+};
+
+/**
+ * Crea la regla de validación que rechaza consultas demasiado costosas
+ * @param {Object} options - Opciones de la regla
+ * @param {number} options.maxComplexity - Costo máximo permitido
+ * @param {number} options.defaultListSize - Elementos estimados de una lista sin límite explícito
+ * @param {number} [options.maxListSize] - Tope del argumento limit que aplican los resolvers
+ * @param {Object} [options.variables] - Variables de la operación
+ * @returns {Function} - Regla de validación de graphql
+ */
+const createComplexityLimitRule = ({
+  maxComplexity,
+  defaultListSize,
+  maxListSize = Infinity,
+  variables = {},
+}) => (context) => ({
+  OperationDefinition(node) {
+    const schema = context.getSchema();
+    const complexity = measureComplexity(context, node.selectionSet, schema.getRootType(node.operation), {
+      defaultListSize,
+      maxListSize,
+      variables: resolveVariables(schema, node, variables || {}),
+      limited: false,
+    });
+
+    if (complexity > maxComplexity) {
+      context.reportError(new GraphQLError(
+        `La consulta supera la complejidad máxima permitida (${complexity} > ${maxComplexity})`,
+        { nodes: [node], extensions: { code: 'QUERY_TOO_COMPLEX', complexity, maxComplexity } }
+      ));
+    }
+  },
+});
+
+module.exports = {
+  createDepthLimitRule,
+  createComplexityLimitRule,
+};
@@ -0,0 +1,90 @@
+const DataLoader = require('dataloader');
+
+/**
+ * Clave estable de un objeto de argumentos, independiente del orden de sus campos
+ * @param {Object} args - Argumentos de la consulta
+ * @returns {string}
+ */
+const stableKey = (args) => JSON.stringify(Object.keys(args).sort().map((name) => [name, args[name]]));
+
+/**
+ * Crea un loader que obtiene cada clave con una llamada al servicio
+ * Los servicios no exponen consultas por lotes, por lo que el lote se resuelve con
+ * llamadas en paralelo; lo que aporta el loader es no repetir claves dentro de la solicitud
+ * @param {Function} fetch - Obtiene el valor de una clave
+ * @param {Object} [options] - Opciones adicionales de DataLoader
+ * @returns {DataLoader}
+ */
+const createLoader = (fetch, options) => new DataLoader(
+  (keys) => Promise.all(keys.map(async (key) => {
+    try {
+      return await fetch(key);
+    } catch (error) {
+      // Un recurso inexistente se resuelve como null en lugar de como error
+      if (error.reason === 'http' && error.statusCode === 404) {
+        return null;
+      }
+      return error;
+    }
+  })),
+  options
+);
+
+/**
+ * Crea los loaders de una solicitud GraphQL
+ * Se crean por solicitud para que la caché no mezcle datos de distintos usuarios
+ * @param {Object} composer - Compositor con las llamadas de la configuración GraphQL
+ * @param {Object} req - Solicitud de Express (aporta el token del usuario)
+ * @returns {Object} - Loaders indexados por recurso
+ */
+const createLoaders = (composer, req) => {
+  const call = (name, params, query) => composer.call(req, name, params, query);
+
+  const loaders = {
+    user: createLoader(async (userId) => (await call('user', { userId })).data.user),
+    profile: createLoader(async (userId) => (await call('profile', { userId })).data.profile),
+    addresses: createLoader(async (userId) => (await call('addresses', { userId })).data.addresses),
+    product: createLoader(async (productId) => (await call('product', { productId })).data.product),
+    order: createLoader(async (orderId) => (await call('order', { orderId })).data.order),
+
+    // Las consultas paginadas se deduplican por el conjunto de argumentos
+    userPage: createLoader(async (args) => {
+      const result = await call('users', {}, args);
+      result.data.users.forEach((user) => primeUser(user));
+      return { items: result.data.users, pagination: result.pagination };
+    }, { cacheKeyFn: stableKey }),
+
+    productPage: createLoader(async (args) => {
+      const result = await call('products', {}, args);
+      result.data.products.forEach((product) => loaders.product.prime(product.id, product));
+      return { items: result.data.products, pagination: result.pagination };
+    }, { cacheKeyFn: stableKey }),
+
+    orderPage: createLoader(async (args) => {
+      const result = await call('orders', {}, args);
+      result.data.orders.forEach((order) => loaders.order.prime(String(order._id || order.id), order));
+      return { items: result.data.orders, pagination: result.pagination };
+    }, { cacheKeyFn: stableKey }),
+
+    userOrderPage: createLoader(async ({ userId, ...args }) => {
+      const result = await call('userOrders', { userId }, args);
+      result.data.orders.forEach((order) => loaders.order.prime(String(order._id || order.id), order));
+      return { items: result.data.orders, pagination: result.pagination };
+    }, { cacheKeyFn: stableKey }),
+  };
+
+  /**
+   * Guarda un usuario ya obtenido bajo sus dos identificadores
+   * (el del servicio de usuarios y el del servicio de autenticación)
+   * @param {Object} user - Usuario
+   */
+  const primeUser = (user) => {
+    [user.id, user.userId].filter(Boolean).forEach((id) => loaders.user.prime(String(id), user));
+  };
+
+  return loaders;
+};
+
+module.exports = {
+  createLoaders,
+};
@@ -0,0 +1,298 @@
+const { buildSchema } = require('graphql');
+
+// Esquema GraphQL sobre las APIs REST de los servicios
+const typeDefs = `
+  "Paginación devuelta por los listados de los servicios"
+  type Pagination {
+    total: Int
+    page: Int
+    limit: Int
+    pages: Int
+  }
+
+  type SocialProfiles {
+    facebook: String
+    twitter: String
+    linkedin: String
+    instagram: String
+  }
+
+  type Language {
+    language: String
+    proficiency: String
+  }
+
+  "Perfil público y datos personales de un usuario"
+  type Profile {
+    firstName: String
+    lastName: String
+    phoneNumber: String
+    dateOfBirth: String
+    gender: String
+    bio: String
+    avatarUrl: String
+    profession: String
+    company: String
+    website: String
+    interests: [String!]
+    skills: [String!]
+    languages: [Language!]
+    socialProfiles: SocialProfiles
+    isPublic: Boolean
+  }
+
+  "Dirección guardada por un usuario"
+  type Address {
+    id: ID!
+    type: String
+    isDefault: Boolean
+    name: String
+    addressLine1: String
+    addressLine2: String
+    city: String
+    state: String
+    postalCode: String
+    country: String
+    phoneNumber: String
+    instructions: String
+    isVerified: Boolean
+  }
+
+  type User {
+    id: ID!
+    "Identificador del usuario en el servicio de autenticación"
+    userId: String
+    name: String
+    email: String
+    role: String
+    isActive: Boolean
+    isVerified: Boolean
+    createdAt: String
+    profile: Profile
+    addresses: [Address!]
+    orders(page: Int, limit: Int, status: String): OrderPage
+  }
+
+  type UserPage {
+    items: [User!]!
+    pagination: Pagination
+  }
+
+  type Category {
+    id: ID!
+    name: String
+    slug: String
+    products(page: Int, limit: Int, sortField: String, sortOrder: String): ProductPage
+  }
+
+  type ProductImage {
+    id: ID!
+    url: String
+    alt: String
+    isPrimary: Boolean
+  }
+
+  type Product {
+    id: ID!
+    sku: String
+    name: String
+    description: String
+    shortDescription: String
+    price: Float
+    salePrice: Float
+    onSale: Boolean
+    brand: String
+    featuredImage: String
+    tags: [String!]
+    isActive: Boolean
+    isFeatured: Boolean
+    category: Category
+    images: [ProductImage!]
+    "Unidades disponibles según el inventario"
+    stock: Int
+    inStock: Boolean
+  }
+
+  type ProductPage {
+    items: [Product!]!
+    pagination: Pagination
+  }
+
+  type OrderItem {
+    productId: ID!
+    sku: String
+    name: String
+    price: Float
+    salePrice: Float
+    quantity: Int
+    subtotal: Float
+    total: Float
+    image: String
+    "Producto actual del catálogo (el pedido conserva los datos del momento de la compra)"
+    product: Product
+  }
+
+  type OrderAddress {
+    name: String
+    addressLine1: String
+    addressLine2: String
+    city: String
+    state: String
+    postalCode: String
+    country: String
+    phoneNumber: String
+  }
+
+  type OrderPayment {
+    method: String
+    status: String
+    amount: Float
+    currency: String
+    paidAt: String
+  }
+
+  type OrderShipping {
+    method: String
+    carrier: String
+    trackingNumber: String
+    cost: Float
+    status: String
+    estimatedDelivery: String
+    shippedAt: String
+    deliveredAt: String
+  }
+
+  type Order {
+    id: ID!
+    orderNumber: String
+    userId: ID
+    status: String
+    items: [OrderItem!]
+    shippingAddress: OrderAddress
+    billingAddress: OrderAddress
+    subtotal: Float
+    taxAmount: Float
+    discountAmount: Float
+    shippingAmount: Float
+    total: Float
+    currency: String
+    payment: OrderPayment
+    shipping: OrderShipping
+    createdAt: String
+    customer: User
+  }
+
+  type OrderPage {
+    items: [Order!]!
+    pagination: Pagination
+  }
+
+  type Query {
+    "Usuario autenticado"
+    me: User
+    user(id: ID!): User
+    users(page: Int, limit: Int, search: String, role: String): UserPage
+    product(id: ID!): Product
+    products(
+      page: Int
+      limit: Int
+      search: String
+      category: ID
+      brand: String
+      minPrice: Float
+      maxPrice: Float
+      sortField: String
+      sortOrder: String
+    ): ProductPage
+    order(id: ID!): Order
+    orders(page: Int, limit: Int, status: String): OrderPage
+  }
+`;
+
+/**
+ * Identificador de un documento de Mongo, venga como id o como _id
+ * @param {Object} document - Documento devuelto por el servicio
+ * @returns {string}
+ */
+const documentId = (document) => String(document.id || document._id);
+
+// Resolvers por tipo; los campos sin resolver usan la propiedad del mismo nombre
+const resolvers = {
+  Query: {
+    me: (root, args, { user, loaders }) => (user ? loaders.user.load(String(user.id)) : null),
+    user: (root, { id }, { loaders }) => loaders.user.load(id),
+    users: (root, args, { loaders }) => loaders.userPage.load(args),
+    product: (root, { id }, { loaders }) => loaders.product.load(id),
+    products: (root, args, { loaders }) => loaders.productPage.load(args),
+    order: (root, { id }, { loaders }) => loaders.order.load(id),
+    orders: (root, args, { loaders }) => loaders.orderPage.load(args),
+  },
+
+  User: {
+    id: documentId,
+    profile: (user, args, { loaders }) => loaders.profile.load(documentId(user)),
+    addresses: (user, args, { loaders }) => loaders.addresses.load(documentId(user)),
+    // Los pedidos guardan el identificador del servicio de autenticación
+    orders: (user, args, { loaders }) => loaders.userOrderPage.load({ ...args, userId: user.userId || documentId(user) }),
+  },
+
+  Address: {
+    id: documentId,
+  },
+
+  Category: {
+    products: (category, args, { loaders }) => loaders.productPage.load({ ...args, category: category.id }),
+  },
+
+  Product: {
+    category: (product) => product.category || (product.categoryId ? { id: product.categoryId } : null),
+    stock: (product) => (product.inventory ? product.inventory.quantity : null),
+    inStock: (product) => (product.inventory ? product.inventory.inStock : null),
+  },
+
+  OrderItem: {
+    product: (item, args, { loaders }) => loaders.product.load(item.productId),
+  },
+
+  Order: {
+    id: documentId,
+    customer: (order, args, { loaders }) => loaders.user.load(String(order.userId)),
+  },
+};
+
+/**
+ * Limita el argumento limit de un listado al tamaño de página máximo
+ * @param {Object} args - Argumentos del campo
+ * @param {number} maxListSize - Elementos máximos por página
+ * @returns {Object}
+ */
+const capLimit = (args, maxListSize) => (
+  args.limit > maxListSize ? { ...args, limit: maxListSize } : args
+);
+
+/**
+ * Construye el esquema ejecutable a partir de la definición y los resolvers
+ * @param {Object} [options]
+ * @param {number} [options.maxListSize] - Tope del argumento limit de los listados
+ * @returns {GraphQLSchema}
+ */
+const createSchema = ({ maxListSize } = {}) => {
+  const schema = buildSchema(typeDefs);
+
+  Object.entries(resolvers).forEach(([typeName, fieldResolvers]) => {
+    const fields = schema.getType(typeName).getFields();
+    Object.entries(fieldResolvers).forEach(([fieldName, resolve]) => {
+      const field = fields[fieldName];
+      // Los servicios no deben recibir páginas mayores que las que admite el cálculo de complejidad
+      field.resolve = maxListSize && field.args.some((arg) => arg.name === 'limit')
+        ? (source, args, ...rest) => resolve(source, capLimit(args, maxListSize), ...rest)
+        : resolve;
+    });
+  });
+
+  return schema;
+};
+
+module.exports = {
+  createSchema,
+};
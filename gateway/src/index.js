@@ -1,81 +1,98 @@
 require('dotenv').config();
+// Inicializar el trazado antes de cargar los módulos instrumentados
+require('./utils/tracing');
 const express = require('express');
+const axios = require('axios');
 const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const compression = require('compression');
-const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
-const authMiddleware = require('./middleware/auth');
-const rateLimitMiddleware = require('./middleware/rateLimit');
 const errorHandlerMiddleware = require('./middleware/errorHandler');
+const { requestContextMiddleware, axiosPropagationInterceptor } = require('shared-lib/utils/requestContext');
+const { metricsMiddleware, metricsHandler } = require('./utils/metrics');
+const { setupMessageConsumer } = require('./messaging/consumer');
 const logger = require('./utils/logger');
-
-// Rutas
-const authRoutes = require('./routes/auth');
-const userRoutes = require('./routes/users');
-const productRoutes = require('./routes/products');
-const orderRoutes = require('./routes/orders');
+const { parseTrustProxy } = require('./utils/trustProxy');
+
+// Rutas (construidas desde la tabla declarativa en config/routes.json)
+const { createGatewayRouter } = require('./routes');
+const { createCompositeRouter } = require('./routes/composite');
+const { createGraphqlRouter } = require('./routes/graphql');
+const { createReloadableRouter } = require('./routes/reloadable');
+const { createAdminRouter } = require('./routes/admin');
+const { createEventsRouter } = require('./routes/events');
+const healthRoutes = require('./routes/health');
+const { openapiHandler, getUnifiedSpec } = require('./services/openapi');
+const runtimeConfig = require('./services/runtimeConfig');
+const { ipBlocklistMiddleware } = require('./middleware/ipBlocklist');
+const { maintenanceMiddleware } = require('./middleware/maintenance');
+const { abuseProtectionMiddleware } = require('./middleware/abuseProtection');
+const { loadSheddingMiddleware } = require('./middleware/loadShedding');
+const { auditMiddleware } = require('./middleware/audit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configuración de Swagger
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'API Microservicios',
-      version: '2.0.0',
-      description: 'Documentación de la API de microservicios',
-      license: {
-        name: 'MIT',
-        url: 'https://opensource.org/licenses/MIT',
-      },
-      contact: {
-        name: 'Edgar Alberto Ng Angulo',
-        email: 'its_shark03@protonmail.com',
-      },
-    },
-    servers: [
-      {
-        url: `http://localhost:${PORT}`,
-        description: 'Servidor de desarrollo',
-      },
-    ],
-  },
-  apis: ['./src/routes/*.js'],
-};
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
+// Proxies delante del gateway (ingress, balanceador) de los que se acepta X-Forwarded-For,
+// para que req.ip sea la IP del cliente en los bloqueos, las listas de IPs y los límites
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Propagar X-Request-ID y traceparent en las llamadas salientes con axios
+axios.interceptors.request.use(axiosPropagationInterceptor);
 
 // Middleware
+app.use(requestContextMiddleware);
+app.use(metricsMiddleware);
+// IPs bloqueadas desde la API de administración
+app.use(ipBlocklistMiddleware);
+// Descarte de las solicitudes de menor prioridad cuando el gateway está sobrecargado
+app.use(loadSheddingMiddleware);
+// Bloqueos temporales automáticos por actividad sospechosa (config/abuse.json)
+app.use(abuseProtectionMiddleware);
+// Registro de auditoría de las solicitudes de escritura
+app.use(auditMiddleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(compression());
 app.use(morgan('combined', { stream: logger.stream }));
 
-// Documentación API
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+// Documentación API unificada a partir de la especificación de cada servicio
+app.get('/openapi.json', openapiHandler);
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/openapi.json' } }));
+
+// API de administración de la configuración del gateway (solo rol admin)
+app.use('/api/v1/admin', createAdminRouter());
+
+// Modo mantenimiento (global o por grupo de rutas) activado desde la API de administración
+app.use(maintenanceMiddleware);
+
+// Stream de eventos en tiempo real (SSE) de pedidos y stock de productos
+app.use('/api/v1/events', createEventsRouter());
 
-// Rutas públicas
-app.use('/api/v1/auth', authRoutes);
+// Endpoints compuestos que combinan varios servicios (config/composites.json)
+// Los routers se reconstruyen cuando cambian los servicios de la tabla de rutas
+app.use(createReloadableRouter(() => createCompositeRouter(), ['routes']));
 
-// Middleware para proteger rutas
-app.use('/api/v1', rateLimitMiddleware);
-app.use('/api/v1', authMiddleware);
+// Endpoint GraphQL sobre las APIs de los servicios (config/graphql.json)
+app.use(createReloadableRouter(() => createGraphqlRouter(), ['routes']));
 
-// Rutas protegidas
-app.use('/api/v1/users', userRoutes);
-app.use('/api/v1/products', productRoutes);
-app.use('/api/v1/orders', orderRoutes);
+// Rutas del gateway (autenticación y límite de tasa definidos por ruta)
+app.use(createGatewayRouter());
+
+// Sondas de liveness y readiness y estado de los servicios
+app.use('/health', healthRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'UP', message: 'API Gateway is running!' });
 });
 
+// Métricas para Prometheus
+app.get('/metrics', metricsHandler);
+
 // Manejo de errores
 app.use(errorHandlerMiddleware);
 
@@ -85,9 +102,18 @@ app.use('*', (req, res) => {
 });
 
 // Iniciar el servidor
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   logger.info(`API Gateway corriendo en http://localhost:${PORT}`);
   logger.info(`Documentación disponible en http://localhost:${PORT}/api-docs`);
+
+  // Cargar los cambios de configuración guardados y escuchar los de otras réplicas
+  runtimeConfig.initialize().catch((error) => logger.error('Error al sincronizar la configuración dinámica:', error));
+
+  // Preparar la especificación unificada que usa la validación de solicitudes
+  getUnifiedSpec().catch((error) => logger.error('Error al construir la especificación OpenAPI unificada:', error));
+
+  // Iniciar consumidor de eventos para invalidar la caché de tokens
+  await setupMessageConsumer();
 });
 
 // Manejo de excepciones no capturadas
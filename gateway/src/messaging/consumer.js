@@ -0,0 +1,230 @@
+const amqp = require('amqplib');
+const tokenCache = require('../services/tokenCache');
+const apiKeyCache = require('../services/apiKeyCache');
+const responseCache = require('../services/responseCache');
+const eventRelay = require('../services/eventRelay');
+const logger = require('../utils/logger');
+const { withMessageContext } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('../utils/metrics');
+
+// Configuración
+const EXCHANGE_NAME = 'user_events';
+const PRODUCT_EXCHANGE_NAME = 'product_events';
+const ORDER_EXCHANGE_NAME = 'order_events';
+const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
+
+// Variable para mantener la conexión
+let connection = null;
+let channel = null;
+
+/**
+ * Configura el consumidor de mensajes
+ * Cada réplica del gateway usa su propia cola exclusiva para que todas
+ * reciban los eventos de invalidación (caché de tokens, de API keys y de respuestas)
+ * y los que se reenvían a los clientes conectados al stream de eventos
+ */
+const setupMessageConsumer = async () => {
+  try {
+    // Conectar a RabbitMQ
+    connection = await amqp.connect(RABBITMQ_URL);
+
+    // Manejar eventos de error y cierre
+    connection.on('error', (err) => {
+      logger.error('Error en conexión RabbitMQ consumer:', err);
+      channel = null;
+      connection = null;
+    });
+
+    connection.on('close', () => {
+      logger.info('Conexión RabbitMQ consumer cerrada');
+      channel = null;
+      connection = null;
+      // Reintentar conexión después de un tiempo
+      setTimeout(() => setupMessageConsumer(), 5000);
+    });
+
+    // Crear canal
+    channel = await connection.createChannel();
+
+    // Declarar exchanges
+    await channel.assertExchange(EXCHANGE_NAME, 'topic', {
+      durable: true,
+    });
+    await channel.assertExchange(PRODUCT_EXCHANGE_NAME, 'topic', {
+      durable: true,
+    });
+    await channel.assertExchange(ORDER_EXCHANGE_NAME, 'topic', {
+      durable: true,
+    });
+
+    // Declarar cola exclusiva (se elimina al cerrar la conexión)
+    const { queue } = await channel.assertQueue('', {
+      exclusive: true,
+      autoDelete: true,
+    });
+
+    // Eventos que invalidan la caché de validación de tokens y de API keys
+    const bindingPatterns = [
+      'user.deactivated',
+      'user.deleted',
+      'user.logout',
+      'user.session_compromised',
+      'client.updated',
+      'client.revoked',
+    ];
+
+    // Enlazar cola con exchange usando los patrones definidos
+    for (const pattern of bindingPatterns) {
+      await channel.bindQueue(queue, EXCHANGE_NAME, pattern);
+      logger.info(`Suscrito a: ${pattern}`);
+    }
+
+    // Eventos de productos que invalidan la caché de respuestas (campo invalidateOn de la tabla de rutas)
+    for (const pattern of responseCache.getInvalidationEvents()) {
+      await channel.bindQueue(queue, PRODUCT_EXCHANGE_NAME, pattern);
+      logger.info(`Suscrito a: ${pattern}`);
+    }
+
+    // Eventos que se reenvían al stream de eventos en tiempo real
+    await channel.bindQueue(queue, ORDER_EXCHANGE_NAME, 'order.#');
+    logger.info('Suscrito a: order.#');
+    for (const pattern of eventRelay.RELAYED_PRODUCT_EVENTS) {
+      await channel.bindQueue(queue, PRODUCT_EXCHANGE_NAME, pattern);
+      logger.info(`Suscrito a: ${pattern}`);
+    }
+
+    // Configurar consumidor
+    await channel.consume(queue, withMessageContext(handleMessage), {
+      noAck: false, // Requerir confirmación explícita
+    });
+
+    logger.info('Consumidor de mensajes RabbitMQ del gateway iniciado');
+  } catch (error) {
+    logger.error('Error al configurar consumidor RabbitMQ:', error);
+    // Reintentar conexión después de un tiempo
+    setTimeout(() => setupMessageConsumer(), 5000);
+  }
+};
+
+/**
+ * Maneja los mensajes recibidos
+ * @param {Object} msg - Mensaje recibido
+ */
+const handleMessage = async (msg) => {
+  if (!msg) return;
+  recordMessage('consume', msg.fields);
+
+  try {
+    // Parsear mensaje
+    const content = JSON.parse(msg.content.toString());
+    const { event, data } = content;
+
+    logger.debug(`Mensaje recibido: ${event}`);
+
+    // Procesar según el tipo de evento
+    switch (event) {
+      case 'user.deactivated':
+      case 'user.deleted':
+      case 'user.logout':
+        await handleUserSessionRevoked(data);
+        break;
+      case 'user.session_compromised':
+        await handleSessionCompromised(data);
+        break;
+      case 'client.updated':
+      case 'client.revoked':
+        await handleClientChanged(data);
+        break;
+      default:
+        if (responseCache.getInvalidationEvents().includes(event)) {
+          await responseCache.invalidateByEvent(event);
+        } else if (!eventRelay.isRelayedEvent(event)) {
+          logger.warn(`Tipo de evento no manejado: ${event}`);
+        }
+    }
+
+    // Reenviar a los clientes suscritos en esta réplica
+    eventRelay.relay(event, data);
+
+    // Confirmar procesamiento exitoso
+    channel.ack(msg);
+    recordMessage('ack', msg.fields);
+  } catch (error) {
+    logger.error('Error al procesar mensaje:', error);
+
+    // Si es un error de parseo o un error no recuperable, rechazar sin requeue
+    if (error instanceof SyntaxError) {
+      channel.nack(msg, false, false);
+      recordMessage('nack', msg.fields);
+    } else {
+      // Para otros errores, requeue para reintentar
+      channel.nack(msg, false, true);
+      recordMessage('nack', msg.fields);
+    }
+  }
+};
+
+/**
+ * Invalida las validaciones cacheadas del usuario afectado
+ * El servicio de usuarios publica su propio ID en userId y el del servicio
+ * de autenticación (el que viaja en el JWT) en externalUserId
+ * @param {Object} data - Datos del evento
+ */
+const handleUserSessionRevoked = async (data) => {
+  const userId = data.externalUserId || data.userId;
+  if (!userId) {
+    logger.warn('Evento de usuario sin userId, se ignora');
+    return;
+  }
+
+  await tokenCache.invalidateUser(userId);
+  // Las conexiones al stream de eventos no vuelven a validar el token
+  eventRelay.disconnectUser(userId, 'session_revoked');
+};
+
+/**
+ * Revoca los tokens de acceso del usuario cuya sesión se comprometió
+ * (refresh token reutilizado): los tokens no llevan la familia del refresh token,
+ * así que se rechazan todos los emitidos antes del evento aunque se validen de nuevo
+ * @param {Object} data - Datos del evento
+ */
+const handleSessionCompromised = async (data) => {
+  if (!data.userId) {
+    logger.warn('Evento de sesión comprometida sin userId, se ignora');
+    return;
+  }
+
+  const revokedAt = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+  await tokenCache.revokeUser(data.userId, revokedAt);
+  eventRelay.disconnectUser(data.userId, 'session_compromised');
+};
+
+/**
+ * Invalida las verificaciones cacheadas de la aplicación cliente afectada
+ * Tras una rotación, revocación o cambio de permisos las claves se vuelven a verificar
+ * @param {Object} data - Datos del evento
+ */
+const handleClientChanged = async (data) => {
+  if (!data.clientId) {
+    logger.warn('Evento de aplicación cliente sin clientId, se ignora');
+    return;
+  }
+
+  await apiKeyCache.invalidateClient(data.clientId);
+};
+
+/**
+ * Comprueba que la conexión con RabbitMQ sigue activa
+ * Se usa en la sonda de readiness
+ */
+const checkConnection = async () => {
+  if (!channel) {
+    throw new Error('Sin conexión con RabbitMQ');
+  }
+  await channel.checkExchange(EXCHANGE_NAME);
+};
+
+module.exports = {
+  setupMessageConsumer,
+  checkConnection,
+};
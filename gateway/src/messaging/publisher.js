@@ -0,0 +1,107 @@
+const amqp = require('amqplib');
+const logger = require('../utils/logger');
+const { getPropagationHeaders } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('../utils/metrics');
+
+// Configuración
+const EXCHANGE_NAME = 'audit_events';
+const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
+
+// Variable para mantener la conexión
+let channel = null;
+
+// Conexión en curso, compartida por las publicaciones que llegan mientras se establece
+let connecting = null;
+
+/**
+ * Inicializa la conexión a RabbitMQ y crea el canal
+ * Se publica en cada solicitud de escritura, así que un fallo no programa reintentos:
+ * la siguiente publicación vuelve a intentar la conexión
+ */
+const setupChannel = async () => {
+  if (channel) return channel;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    try {
+      // Conectar a RabbitMQ
+      const connection = await amqp.connect(RABBITMQ_URL);
+
+      // Manejar eventos de error y cierre
+      connection.on('error', (err) => {
+        logger.error('Error en conexión RabbitMQ publisher:', err);
+        channel = null;
+      });
+
+      connection.on('close', () => {
+        logger.info('Conexión RabbitMQ publisher cerrada');
+        channel = null;
+      });
+
+      // Crear canal
+      channel = await connection.createChannel();
+
+      // Declarar exchange
+      await channel.assertExchange(EXCHANGE_NAME, 'topic', {
+        durable: true,
+      });
+
+      logger.info('Conexión RabbitMQ publisher establecida');
+      return channel;
+    } finally {
+      connecting = null;
+    }
+  })();
+
+  return connecting;
+};
+
+/**
+ * Publica un evento del gateway
+ * @param {string} routingKey - Clave de enrutamiento (ej: 'audit.recorded')
+ * @param {Object} data - Datos del evento
+ * @returns {Promise<boolean>}
+ */
+const publishGatewayEvent = async (routingKey, data) => {
+  try {
+    // Asegurar que tenemos un canal
+    const ch = await setupChannel();
+
+    // Construir mensaje
+    const message = {
+      event: routingKey,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    // Publicar mensaje
+    const success = ch.publish(
+      EXCHANGE_NAME,
+      routingKey,
+      Buffer.from(JSON.stringify(message)),
+      {
+        persistent: true,  // Mensaje persistente
+        contentType: 'application/json',
+        // Propagar el ID de solicitud y el contexto de traza a los consumidores
+        headers: getPropagationHeaders(),
+      }
+    );
+
+    if (success) {
+      logger.debug(`Evento publicado: ${routingKey}`);
+      recordMessage('publish', { exchange: EXCHANGE_NAME, routingKey });
+    } else {
+      logger.warn(`No se pudo publicar el evento: ${routingKey}`);
+    }
+
+    return success;
+  } catch (error) {
+    logger.error(`Error al publicar evento ${routingKey}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  setupChannel,
+  publishGatewayEvent,
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const abuseStore = require('../services/abuseStore');
+const runtimeConfig = require('../services/runtimeConfig');
+const { createIpMatcher, isValidIpOrCidr, normalizeIp } = require('../utils/ipMatcher');
+const { abuseBans } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Ruta por defecto de las reglas de bloqueo automático
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'abuse.json');
+
+// Rutas que no se bloquean ni cuentan (sondas y métricas)
+const EXEMPT_PATHS = ['/health', '/metrics'];
+
+/**
+ * Carga las reglas de bloqueo automático desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_ABUSE_FILE
+ * @returns {Object} - Reglas, duraciones de bloqueo e IPs exentas
+ */
+const loadAbuseConfig = () => {
+  const file = process.env.GATEWAY_ABUSE_FILE || DEFAULT_RULES_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Valida las reglas de bloqueo automático
+ * @param {Object} config - Configuración propuesta
+ */
+const validateAbuseConfig = (config) => {
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error('Se esperaba un array rules');
+  }
+
+  const names = new Set();
+  config.rules.forEach((rule) => {
+    if (!rule.name || names.has(rule.name)) {
+      throw new Error(`Cada regla necesita un nombre único: ${rule.name}`);
+    }
+    names.add(rule.name);
+    if (!isPositiveInteger(rule.threshold) || !isPositiveInteger(rule.windowSeconds)) {
+      throw new Error(`La regla ${rule.name} necesita threshold y windowSeconds enteros positivos`);
+    }
+    if (rule.paths !== undefined && !(Array.isArray(rule.paths) && rule.paths.every((prefix) => typeof prefix === 'string'))) {
+      throw new Error(`paths de la regla ${rule.name} debe ser un array de rutas`);
+    }
+    if (rule.statuses !== undefined && !(Array.isArray(rule.statuses) && rule.statuses.every(Number.isInteger))) {
+      throw new Error(`statuses de la regla ${rule.name} debe ser un array de códigos HTTP`);
+    }
+  });
+
+  if (!Array.isArray(config.banDurations) || config.banDurations.length === 0 || !config.banDurations.every(isPositiveInteger)) {
+    throw new Error('banDurations debe ser un array de segundos (enteros positivos)');
+  }
+  if (!isPositiveInteger(config.offenseTtlSeconds)) {
+    throw new Error('offenseTtlSeconds debe ser un entero positivo');
+  }
+
+  const invalid = (config.exempt || []).filter((entry) => !isValidIpOrCidr(entry));
+  if (invalid.length > 0) {
+    throw new Error(`IPs o rangos CIDR exentos no válidos: ${invalid.join(', ')}`);
+  }
+};
+
+// Las reglas se pueden modificar en caliente desde la API de administración
+runtimeConfig.defineSection('abuse', loadAbuseConfig);
+runtimeConfig.addValidator('abuse', validateAbuseConfig);
+
+// Validar las reglas de disco al arrancar
+validateAbuseConfig(runtimeConfig.get('abuse'));
+
+let isExempt = createIpMatcher(runtimeConfig.get('abuse').exempt || []);
+runtimeConfig.onChange('abuse', (config) => {
+  isExempt = createIpMatcher(config.exempt || []);
+});
+
+/**
+ * Indica si la respuesta coincide con una regla
+ * @param {Object} rule - Regla de abuso
+ * @param {string} requestPath - Ruta de la solicitud (sin query)
+ * @param {number} statusCode - Código de estado de la respuesta
+ * @returns {boolean}
+ */
+const matchesRule = (rule, requestPath, statusCode) => {
+  if (rule.statuses && !rule.statuses.includes(statusCode)) {
+    return false;
+  }
+  return !rule.paths || rule.paths.some((prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`));
+};
+
+/**
+ * Cuenta la respuesta en las reglas que coinciden y bloquea la IP si supera algún umbral
+ * La duración del bloqueo crece con cada infracción (banDurations) y se reinicia
+ * si la IP pasa offenseTtlSeconds sin infracciones
+ * @param {string} ip - IP del cliente
+ * @param {string} requestPath - Ruta de la solicitud
+ * @param {number} statusCode - Código de estado de la respuesta
+ */
+const recordResponse = async (ip, requestPath, statusCode) => {
+  const { rules, banDurations, offenseTtlSeconds } = runtimeConfig.get('abuse');
+
+  for (const rule of rules.filter((candidate) => matchesRule(candidate, requestPath, statusCode))) {
+    const offense = await abuseStore.recordHit(ip, rule, offenseTtlSeconds);
+    if (offense) {
+      const durationSeconds = banDurations[Math.min(offense, banDurations.length) - 1];
+      await abuseStore.saveBan({ ip, rule: rule.name, offense, durationSeconds });
+      abuseBans.inc({ rule: rule.name });
+      logger.warn(`IP ${ip} bloqueada ${durationSeconds}s por la regla ${rule.name} (infracción ${offense})`);
+      return;
+    }
+  }
+};
+
+/**
+ * Rechaza las solicitudes de IPs bloqueadas y cuenta las respuestas sospechosas
+ * Si Redis no está disponible se permite la solicitud para no bloquear la API
+ */
+const abuseProtectionMiddleware = async (req, res, next) => {
+  const ip = normalizeIp(req.ip);
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+  if (
+    EXEMPT_PATHS.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))
+    || (internalApiKey && req.headers['x-api-key'] === internalApiKey)
+    || isExempt(ip)
+  ) {
+    return next();
+  }
+
+  try {
+    const ban = await abuseStore.getBan(ip);
+    if (ban) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(ban.expiresAt).getTime() - Date.now()) / 1000));
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(403).json({ message: 'IP bloqueada temporalmente por actividad sospechosa' });
+    }
+  } catch (error) {
+    logger.error('Error en Redis al comprobar los bloqueos de IP:', error);
+  }
+
+  // req.path cambia dentro de los routers montados; se guarda la ruta completa
+  const requestPath = req.path;
+  res.on('finish', () => {
+    recordResponse(ip, requestPath, res.statusCode).catch((error) => {
+      logger.error('Error en Redis al registrar la actividad de la IP:', error);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  abuseProtectionMiddleware,
+};
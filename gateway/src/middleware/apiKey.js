@@ -0,0 +1,117 @@
+const axios = require('axios');
+const authMiddleware = require('./auth');
+const apiKeyCache = require('../services/apiKeyCache');
+const { createIpMatcher } = require('../utils/ipMatcher');
+const logger = require('../utils/logger');
+
+// Tiempo máximo de espera para la verificación remota de la API key
+const AUTH_VALIDATE_TIMEOUT = parseInt(process.env.AUTH_VALIDATE_TIMEOUT, 10) || 3000;
+
+// Formato de las API keys de aplicaciones cliente (ver auth-service/models/ClientApp)
+const KEY_PATTERN = /^ck_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Obtiene la API key de la solicitud (X-API-Key o Authorization: ApiKey ...)
+ * La clave interna entre servicios no es una clave de aplicación y se ignora
+ * @param {Object} req - Solicitud de Express
+ * @returns {string|null}
+ */
+const extractApiKey = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && /^ApiKey /i.test(authHeader)) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey && apiKey !== process.env.INTERNAL_API_KEY) {
+    return apiKey;
+  }
+
+  return null;
+};
+
+/**
+ * Verifica la API key contra el servicio de autenticación
+ * @param {string} apiKey - API key recibida
+ * @returns {Promise<Object|null>} - Aplicación y clave, o null si la clave no es válida
+ */
+const verifyWithAuthService = async (apiKey) => {
+  const authServiceUrl = process.env.AUTH_SERVICE_URL;
+  const response = await axios.post(`${authServiceUrl}/api/clients/verify`, { apiKey }, {
+    headers: { 'X-API-Key': process.env.INTERNAL_API_KEY },
+    timeout: AUTH_VALIDATE_TIMEOUT,
+    validateStatus: (status) => status === 200 || status === 401,
+  });
+
+  return response.status === 200 && response.data.valid ? response.data : null;
+};
+
+/**
+ * Crea el middleware de autenticación de una ruta que admite API keys
+ * Las solicitudes con X-API-Key o Authorization: ApiKey se autentican como aplicación
+ * cliente; el resto sigue el flujo habitual con JWT. La aplicación debe tener todos los
+ * permisos de la ruta y, si los tiene configurados, llamar desde una IP y un origen permitidos
+ * @param {Object} route - Definición completa de la ruta (campo apiKey con los permisos)
+ * @returns {Function} - Middleware de Express
+ */
+const createApiKeyAuth = (route) => {
+  const requiredScopes = route.apiKey.scopes || [];
+
+  return async (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (!apiKey) {
+      return authMiddleware(req, res, next);
+    }
+
+    if (!KEY_PATTERN.test(apiKey)) {
+      return res.status(401).json({ message: 'API key inválida' });
+    }
+
+    let verification = await apiKeyCache.getVerification(apiKey);
+    if (!verification) {
+      try {
+        verification = await verifyWithAuthService(apiKey);
+      } catch (error) {
+        logger.error('Error al verificar la API key con el servicio de autenticación:', error);
+        return res.status(503).json({ message: 'No se pudo verificar la API key, intente más tarde' });
+      }
+
+      if (!verification) {
+        return res.status(401).json({ message: 'API key inválida, caducada o revocada' });
+      }
+      await apiKeyCache.setVerification(apiKey, verification);
+    }
+
+    const { client, key } = verification;
+
+    if (client.allowedIps.length > 0 && !createIpMatcher(client.allowedIps)(req.ip)) {
+      logger.warn(`API key de ${client.name} usada desde una IP no permitida: ${req.ip}`);
+      return res.status(403).json({ message: 'La IP de origen no está permitida para esta aplicación' });
+    }
+
+    // Las llamadas desde navegador solo se aceptan desde los orígenes registrados
+    const { origin } = req.headers;
+    if (origin && !client.allowedOrigins.includes(origin)) {
+      logger.warn(`API key de ${client.name} usada desde un origen no permitido: ${origin}`);
+      return res.status(403).json({ message: 'El origen no está permitido para esta aplicación' });
+    }
+
+    const missingScopes = requiredScopes.filter((scope) => !client.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      return res.status(403).json({
+        message: `La aplicación no tiene los permisos requeridos: ${missingScopes.join(', ')}`,
+      });
+    }
+
+    // Guardar la aplicación y una identidad equivalente a la de un usuario
+    // (req.client ya existe en Node: es el socket de la conexión)
+    req.clientApp = { ...client, keyId: key.keyId };
+    req.user = { id: `client:${client.id}`, role: 'client' };
+    next();
+  };
+};
+
+module.exports = {
+  createApiKeyAuth,
+  extractApiKey,
+};
@@ -0,0 +1,141 @@
+const auditStore = require('../services/auditStore');
+const { publishGatewayEvent } = require('../messaging/publisher');
+const logger = require('../utils/logger');
+
+// Métodos que no modifican nada y no se registran
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Campos cuyo valor no se guarda nunca (contraseñas, tokens, claves y datos de pago)
+const SENSITIVE_FIELD = /pass(word)?|secret|token|api[-_]?key|authorization|card|cvv|cvc|iban/i;
+const REDACTED = '[REDACTED]';
+
+// Límites del resumen del cuerpo para que un registro no crezca sin control
+const MAX_DIFF_FIELDS = 100;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Resume el cuerpo de la solicitud como los campos que pide cambiar
+ * Cada campo anidado se guarda con su ruta (ej: "inventory.quantity") y los sensibles se ocultan
+ * @param {*} body - Cuerpo ya parseado
+ * @returns {Object|null} - Campo -> nuevo valor, o null si no hay cuerpo
+ */
+const buildDiff = (body) => {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+    return null;
+  }
+
+  const diff = {};
+  let fields = 0;
+
+  const visit = (value, path) => {
+    if (fields >= MAX_DIFF_FIELDS) {
+      return;
+    }
+    const field = path[path.length - 1];
+    if (SENSITIVE_FIELD.test(field)) {
+      diff[path.join('.')] = REDACTED;
+      fields += 1;
+    } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+      Object.entries(value).forEach(([key, nested]) => visit(nested, [...path, key]));
+    } else {
+      diff[path.join('.')] = typeof value === 'string' && value.length > MAX_VALUE_LENGTH
+        ? `${value.slice(0, MAX_VALUE_LENGTH)}…`
+        : value;
+      fields += 1;
+    }
+  };
+
+  Object.entries(body).forEach(([key, value]) => visit(value, [key]));
+  if (fields >= MAX_DIFF_FIELDS) {
+    diff['…'] = `Se omitieron campos a partir de ${MAX_DIFF_FIELDS}`;
+  }
+  return diff;
+};
+
+/**
+ * Recurso afectado: el primer segmento tras la versión del API (ej: 'orders')
+ * @param {string} route - Plantilla de la ruta o ruta de la solicitud
+ * @returns {string|null}
+ */
+const getResource = (route) => {
+  const match = /^\/api\/v\d+\/([^/]+)/.exec(route) || /^\/([^/]+)/.exec(route);
+  return match ? match[1] : null;
+};
+
+/**
+ * ID del recurso afectado: el parámetro id de la ruta o, si no existe, el último parámetro
+ * @param {Object} params - Parámetros de la ruta
+ * @returns {string|null}
+ */
+const getResourceId = (params = {}) => {
+  if (params.id !== undefined) {
+    return params.id;
+  }
+  const values = Object.values(params);
+  return values.length > 0 ? values[values.length - 1] : null;
+};
+
+/**
+ * Guarda el registro y publica el evento audit.recorded
+ * Un fallo se registra en el log pero no afecta a la solicitud, que ya se respondió
+ * @param {Object} record - Registro de auditoría
+ */
+const recordAudit = async (record) => {
+  try {
+    const id = await auditStore.append(record);
+    await publishGatewayEvent('audit.recorded', { id, ...record });
+  } catch (error) {
+    logger.error(`Error al registrar la auditoría de ${record.method} ${record.path}:`, error);
+  }
+};
+
+/**
+ * Registra quién hizo cada solicitud de escritura, sobre qué recurso y con qué resultado
+ * El registro se completa al terminar la respuesta, cuando ya se conocen el usuario o la
+ * aplicación cliente autenticados, la ruta y el código de estado
+ */
+const auditMiddleware = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  // req.path y req.params cambian dentro de los routers montados; se guarda la ruta completa
+  const requestPath = req.path;
+  let recorded = false;
+
+  const onDone = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+    recordAudit({
+      timestamp: new Date(startedAt).toISOString(),
+      requestId: req.context && req.context.requestId,
+      method: req.method,
+      path: requestPath,
+      route,
+      resource: getResource(route || requestPath),
+      resourceId: route ? getResourceId(req.params) : null,
+      userId: req.user ? req.user.id : null,
+      role: req.user ? req.user.role : null,
+      clientId: req.clientApp ? req.clientApp.id : null,
+      ip: req.ip,
+      status: res.statusCode,
+      // La conexión se cerró antes de enviar la respuesta completa
+      aborted: !res.writableFinished,
+      latencyMs: Date.now() - startedAt,
+      diff: buildDiff(req.body),
+    });
+  };
+
+  res.on('finish', onDone);
+  res.on('close', onDone);
+  next();
+};
+
+module.exports = {
+  auditMiddleware,
+};
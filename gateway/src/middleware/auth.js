@@ -1,14 +1,39 @@
-const jwt = require('jsonwebtoken');
 const Redis = require('ioredis');
 const axios = require('axios');
+const tokenCache = require('../services/tokenCache');
+const { verifyToken } = require('../services/jwks');
 const logger = require('../utils/logger');
 
 // Configuración del cliente Redis
 const redis = new Redis(process.env.REDIS_URL);
 
+// Tiempo máximo de espera para la validación remota del token
+const AUTH_VALIDATE_TIMEOUT = parseInt(process.env.AUTH_VALIDATE_TIMEOUT, 10) || 3000;
+
+/**
+ * Valida el token contra el servicio de autenticación
+ * Comprueba que el usuario aún existe y está activo
+ * @param {string} token - Token JWT
+ * @returns {Promise<Object>} - Respuesta de validación del servicio
+ */
+const validateWithAuthService = async (token) => {
+  const authServiceUrl = process.env.AUTH_SERVICE_URL;
+  const response = await axios.get(`${authServiceUrl}/api/auth/validate`, {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: AUTH_VALIDATE_TIMEOUT,
+  });
+
+  if (!response.data.valid) {
+    throw new Error('Usuario no válido');
+  }
+
+  return response.data;
+};
+
 /**
  * Middleware de autenticación
- * Verifica el token JWT en las cabeceras y valida su autenticidad
+ * Verifica el token JWT localmente y solo consulta al servicio de autenticación
+ * cuando no existe una validación reciente en caché
  */
 const authMiddleware = async (req, res, next) => {
   try {
@@ -26,22 +51,24 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Token inválido o expirado' });
     }
 
-    // Verificar y decodificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verificar si el usuario aún existe y está activo
-    try {
-      const authServiceUrl = process.env.AUTH_SERVICE_URL;
-      const response = await axios.get(`${authServiceUrl}/api/auth/validate`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      
-      if (!response.data.valid) {
-        throw new Error('Usuario no válido');
+    // Verificar y decodificar el token con las claves públicas del servicio de autenticación
+    const decoded = await verifyToken(token);
+
+    // Rechazar los tokens emitidos antes de que la sesión del usuario se comprometiera
+    if (await tokenCache.isRevoked(decoded)) {
+      return res.status(401).json({ message: 'Token inválido o expirado' });
+    }
+
+    // Verificar si el usuario aún existe y está activo (primero en caché)
+    const cachedValidation = await tokenCache.getValidation(decoded, token);
+    if (!cachedValidation) {
+      try {
+        const validation = await validateWithAuthService(token);
+        await tokenCache.setValidation(decoded, token, validation);
+      } catch (error) {
+        logger.error('Error al validar el usuario con el servicio de autenticación:', error);
+        return res.status(401).json({ message: 'Usuario no válido o token expirado' });
       }
-    } catch (error) {
-      logger.error('Error al validar el usuario con el servicio de autenticación:', error);
-      return res.status(401).json({ message: 'Usuario no válido o token expirado' });
     }
 
     // Guardar la información del usuario en el objeto request
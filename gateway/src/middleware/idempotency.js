@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const idempotencyStore = require('../services/idempotencyStore');
+const logger = require('../utils/logger');
+
+// Valores por defecto de una ruta idempotente; la tabla de rutas puede sobrescribirlos
+const DEFAULT_IDEMPOTENCY = {
+  // Rechazar las solicitudes sin Idempotency-Key
+  required: false,
+  // Segundos que se conserva la respuesta original
+  ttl: 86400,
+  // Segundos que una solicitud en curso mantiene reservada su clave
+  lockTimeout: 60,
+};
+
+// Caracteres visibles ASCII, hasta 255
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Cabeceras de la respuesta original que se repiten junto al cuerpo
+const STORED_HEADERS = ['content-type', 'content-language', 'location'];
+
+/**
+ * Serializa un valor JSON con las claves ordenadas, para que el orden de los campos
+ * del cuerpo no cambie la huella de la solicitud
+ * @param {*} value - Valor a serializar
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort().map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Huella de la solicitud: método, URL y cuerpo
+ * @param {Object} req - Solicitud de Express
+ * @returns {string}
+ */
+const getFingerprint = (req) => {
+  const body = req._body ? stableStringify(req.body) : '';
+  return crypto.createHash('sha256').update(`${req.method} ${req.originalUrl}\n${body}`).digest('hex');
+};
+
+// Errores con los que la solicitud no llegó al servicio: se puede reintentar sin riesgo
+const UNDELIVERED_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Indica si un error del proxy garantiza que el servicio no recibió la solicitud
+ * @param {Error} error - Error del intento
+ * @returns {boolean}
+ */
+const isUndelivered = (error) => error.name === 'CircuitOpenError' || UNDELIVERED_ERRORS.includes(error.code);
+
+/**
+ * Crea el middleware de Idempotency-Key de una ruta
+ * La primera solicitud de cada clave y usuario reserva la clave y guarda su respuesta;
+ * los reintentos reciben esa misma respuesta, un duplicado simultáneo recibe 409 y una
+ * clave reutilizada con otra solicitud se rechaza con 422.
+ * La respuesta se guarda al llegar del servicio (ver services/upstreamProxy), aunque el
+ * cliente ya se haya desconectado; si el resultado es incierto la clave no se libera
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {Function} - Middleware de Express
+ */
+const createIdempotency = (route) => {
+  const routeId = `${route.method.toUpperCase()} ${route.fullPath}`;
+
+  if (route.method === 'get') {
+    throw new Error(`Las rutas GET ya son idempotentes y no admiten Idempotency-Key: ${routeId}`);
+  }
+
+  const options = { ...DEFAULT_IDEMPOTENCY, ...route.idempotency };
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!idempotencyKey) {
+      if (options.required) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Esta operación requiere la cabecera Idempotency-Key',
+        });
+      }
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La cabecera Idempotency-Key debe tener entre 1 y 255 caracteres ASCII visibles',
+      });
+    }
+
+    // Las claves son por usuario: dos usuarios pueden usar la misma sin interferir
+    const identity = req.user && req.user.id ? req.user.id : req.ip;
+    const keyHash = crypto.createHash('sha256').update(idempotencyKey).digest('hex');
+    const key = `${routeId}:${identity}:${keyHash}`;
+    const fingerprint = getFingerprint(req);
+
+    let acquired;
+    try {
+      acquired = await idempotencyStore.acquire(key, { fingerprint, startedAt: Date.now() }, options.lockTimeout * 1000);
+    } catch (error) {
+      // Si Redis no está disponible se permite la solicitud para no bloquear la API
+      logger.error('Error en Redis durante el control de Idempotency-Key:', error);
+      return next();
+    }
+
+    if (!acquired) {
+      let record;
+      try {
+        record = await idempotencyStore.get(key);
+      } catch (error) {
+        logger.error('Error en Redis durante el control de Idempotency-Key:', error);
+        return next();
+      }
+
+      // La reserva pudo caducar entre ambas consultas; el cliente puede reintentar
+      if (!record || (!record.response && !record.unknownOutcome)) {
+        res.setHeader('Retry-After', options.lockTimeout);
+        return res.status(409).json({
+          status: 'error',
+          message: 'Ya hay una solicitud en curso con esta Idempotency-Key',
+        });
+      }
+
+      if (record.fingerprint !== fingerprint) {
+        logger.warn(`Idempotency-Key reutilizada con otra solicitud por ${identity} en ${routeId}`);
+        return res.status(422).json({
+          status: 'error',
+          message: 'La Idempotency-Key ya se usó con una solicitud distinta',
+        });
+      }
+
+      // El servicio pudo aplicar la operación: repetirla podría duplicarla
+      if (record.unknownOutcome) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'No se sabe si la solicitud original con esta Idempotency-Key se completó; consulta su estado antes de repetirla con otra clave',
+        });
+      }
+
+      const { statusCode, headers, body } = record.response;
+      Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(statusCode).end(Buffer.from(body, 'base64'));
+    }
+
+    const store = async (record) => {
+      try {
+        await idempotencyStore.complete(key, { fingerprint, ...record }, options.ttl);
+      } catch (error) {
+        logger.error(`Error al guardar la respuesta idempotente de ${routeId}:`, error);
+      }
+    };
+
+    const markUnknown = (reason) => {
+      logger.warn(`Resultado desconocido de ${routeId} para ${identity} (${reason}): la Idempotency-Key queda bloqueada`);
+      return store({ unknownOutcome: true, failedAt: Date.now() });
+    };
+
+    // Pedir la respuesta sin comprimir al servicio para poder guardarla tal cual
+    req.upstreamIdentityEncoding = true;
+
+    // El proxy entrega la respuesta del servicio aunque el cliente ya no esté conectado
+    req.captureUpstreamResponse = (proxyRes) => {
+      const chunks = [];
+      proxyRes.on('data', (chunk) => chunks.push(chunk));
+      proxyRes.on('error', (error) => markUnknown(error.message));
+      proxyRes.on('end', () => {
+        // Un 5xx del servicio no indica si la operación llegó a aplicarse
+        if (proxyRes.statusCode >= 500) {
+          markUnknown(`respuesta ${proxyRes.statusCode}`);
+          return;
+        }
+
+        const headers = Object.fromEntries(STORED_HEADERS
+          .filter((name) => proxyRes.headers[name] !== undefined)
+          .map((name) => [name, proxyRes.headers[name]]));
+
+        store({
+          response: { statusCode: proxyRes.statusCode, headers, body: Buffer.concat(chunks).toString('base64') },
+          completedAt: Date.now(),
+        });
+      });
+    };
+
+    // Solo se libera la clave si la solicitud no llegó al servicio; un tiempo de espera
+    // agotado o una conexión cortada a mitad dejan el resultado en el aire
+    req.captureUpstreamError = async (error) => {
+      if (!isUndelivered(error)) {
+        await markUnknown(error.timedOut ? 'tiempo de espera agotado' : error.message);
+        return;
+      }
+      try {
+        await idempotencyStore.release(key);
+      } catch (releaseError) {
+        logger.error(`Error al liberar la Idempotency-Key de ${routeId}:`, releaseError);
+      }
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  createIdempotency,
+};
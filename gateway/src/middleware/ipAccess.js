@@ -0,0 +1,27 @@
+const { createIpMatcher } = require('../utils/ipMatcher');
+const logger = require('../utils/logger');
+
+/**
+ * Crea el middleware de listas de IPs de una ruta o grupo de rutas
+ * Con allow solo se aceptan las IPs o rangos CIDR indicados; deny rechaza los suyos
+ * y prevalece sobre allow
+ * @param {Object} route - Definición completa de la ruta (campo ipAccess con allow y deny)
+ * @returns {Function} - Middleware de Express
+ */
+const createIpAccess = (route) => {
+  const { allow = [], deny = [] } = route.ipAccess;
+  const isAllowed = allow.length > 0 ? createIpMatcher(allow) : () => true;
+  const isDenied = createIpMatcher(deny);
+
+  return (req, res, next) => {
+    if (isDenied(req.ip) || !isAllowed(req.ip)) {
+      logger.warn(`Acceso rechazado desde ${req.ip} a ${req.method} ${req.originalUrl} por las listas de IPs de la ruta`);
+      return res.status(403).json({ message: 'Acceso no permitido desde esta IP' });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  createIpAccess,
+};
@@ -0,0 +1,49 @@
+const runtimeConfig = require('../services/runtimeConfig');
+const { createIpMatcher, isValidIpOrCidr } = require('../utils/ipMatcher');
+const logger = require('../utils/logger');
+
+// Rutas que siguen respondiendo a cualquier IP (sondas y métricas)
+const EXEMPT_PATHS = ['/health', '/metrics'];
+
+/**
+ * Valida la lista de bloqueo: deny es un array de IPs o rangos CIDR
+ * @param {Object} config - Configuración propuesta
+ */
+const validateBlocklist = (config) => {
+  if (!config || !Array.isArray(config.deny)) {
+    throw new Error('Se esperaba un array deny con las IPs o rangos bloqueados');
+  }
+  const invalid = config.deny.filter((entry) => !isValidIpOrCidr(entry));
+  if (invalid.length > 0) {
+    throw new Error(`IPs o rangos CIDR no válidos: ${invalid.join(', ')}`);
+  }
+};
+
+// Sin cambios desde la API de administración no se bloquea ninguna IP
+runtimeConfig.defineSection('ipBlocklist', () => ({ deny: [] }));
+runtimeConfig.addValidator('ipBlocklist', validateBlocklist);
+
+let isBlocked = createIpMatcher(runtimeConfig.get('ipBlocklist').deny);
+runtimeConfig.onChange('ipBlocklist', (config) => {
+  isBlocked = createIpMatcher(config.deny);
+});
+
+/**
+ * Rechaza las solicitudes de IPs incluidas en la lista de bloqueo
+ */
+const ipBlocklistMiddleware = (req, res, next) => {
+  if (EXEMPT_PATHS.some((path) => req.path === path || req.path.startsWith(`${path}/`))) {
+    return next();
+  }
+
+  if (isBlocked(req.ip)) {
+    logger.warn(`Solicitud bloqueada desde ${req.ip}: ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: 'Acceso denegado desde esta IP' });
+  }
+
+  next();
+};
+
+module.exports = {
+  ipBlocklistMiddleware,
+};
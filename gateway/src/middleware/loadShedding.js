@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const runtimeConfig = require('../services/runtimeConfig');
+const { loadShedRequests, eventLoopLag, requestsInFlight } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Ruta por defecto de la configuración de descarte de carga
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'loadShedding.json');
+
+// Prioridades de menor a mayor; las críticas no se descartan nunca
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+// Rutas que no se descartan ni cuentan (sondas, métricas y API de administración)
+const EXEMPT_PATHS = ['/health', '/metrics', '/api/v1/admin'];
+
+// Cada cuánto se mide el retraso del event loop (ms)
+const SAMPLE_INTERVAL = 500;
+
+/**
+ * Carga la configuración de descarte de carga desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_LOAD_SHEDDING_FILE
+ * @returns {Object} - Umbrales por prioridad y reglas que asignan la prioridad
+ */
+const loadSheddingConfig = () => {
+  const file = process.env.GATEWAY_LOAD_SHEDDING_FILE || DEFAULT_CONFIG_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Valida la configuración de descarte de carga
+ * @param {Object} config - Configuración propuesta
+ */
+const validateLoadShedding = (config) => {
+  if (!config || typeof config.enabled !== 'boolean') {
+    throw new Error('Se esperaba el campo enabled con un booleano');
+  }
+  if (!PRIORITIES.includes(config.defaultPriority)) {
+    throw new Error(`defaultPriority debe ser una de: ${PRIORITIES.join(', ')}`);
+  }
+  if (config.retryAfter !== undefined && !isPositiveInteger(config.retryAfter)) {
+    throw new Error('retryAfter debe ser un número entero de segundos mayor que 0');
+  }
+
+  if (!config.thresholds || typeof config.thresholds !== 'object') {
+    throw new Error('Se esperaba un objeto thresholds con los umbrales por prioridad');
+  }
+  for (const [priority, threshold] of Object.entries(config.thresholds)) {
+    if (!PRIORITIES.includes(priority) || priority === 'critical') {
+      throw new Error(`Prioridad sin umbrales posibles: ${priority}`);
+    }
+    if (!isPositiveInteger(threshold.eventLoopLagMs) || !isPositiveInteger(threshold.inFlight)) {
+      throw new Error(`Los umbrales de ${priority} necesitan eventLoopLagMs e inFlight enteros positivos`);
+    }
+  }
+
+  if (!Array.isArray(config.rules)) {
+    throw new Error('Se esperaba un array rules');
+  }
+  config.rules.forEach((rule, index) => {
+    if (!Array.isArray(rule.paths) || !rule.paths.every((prefix) => typeof prefix === 'string' && prefix.startsWith('/'))) {
+      throw new Error(`paths de la regla ${index} debe ser un array de rutas`);
+    }
+    if (rule.methods !== undefined && !(Array.isArray(rule.methods) && rule.methods.every((method) => typeof method === 'string'))) {
+      throw new Error(`methods de la regla ${index} debe ser un array de métodos HTTP`);
+    }
+    if (!PRIORITIES.includes(rule.priority)) {
+      throw new Error(`La prioridad de la regla ${index} debe ser una de: ${PRIORITIES.join(', ')}`);
+    }
+  });
+};
+
+// Los umbrales y las prioridades se pueden modificar en caliente desde la API de administración
+runtimeConfig.defineSection('loadShedding', loadSheddingConfig);
+runtimeConfig.addValidator('loadShedding', validateLoadShedding);
+
+// Validar la configuración de disco al arrancar
+validateLoadShedding(runtimeConfig.get('loadShedding'));
+
+// Carga actual de esta réplica
+let inFlight = 0;
+let lagMs = 0;
+
+// Solicitudes en curso que ya no cuentan (ej: streams abiertos) -> función que las descuenta
+const releases = new WeakMap();
+
+const histogram = monitorEventLoopDelay({ resolution: 10 });
+histogram.enable();
+
+// Se toma el percentil 99 de cada intervalo para reaccionar a los bloqueos recientes
+setInterval(() => {
+  lagMs = histogram.percentile(99) / 1e6;
+  histogram.reset();
+  eventLoopLag.set(lagMs / 1000);
+}, SAMPLE_INTERVAL).unref();
+
+const matchesPrefix = (requestPath, prefix) => requestPath === prefix || requestPath.startsWith(`${prefix.replace(/\/$/, '')}/`);
+
+/**
+ * Prioridad de una solicitud según la primera regla que coincide
+ * @param {Object} config - Configuración vigente
+ * @param {Object} req - Solicitud de Express
+ * @returns {string}
+ */
+const resolvePriority = (config, req) => {
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+  if (internalApiKey && req.headers['x-api-key'] === internalApiKey) {
+    return 'critical';
+  }
+
+  const method = req.method.toLowerCase();
+  const rule = config.rules.find((candidate) => (
+    candidate.paths.some((prefix) => matchesPrefix(req.path, prefix))
+    && (!candidate.methods || candidate.methods.some((allowed) => allowed.toLowerCase() === method))
+  ));
+  return rule ? rule.priority : config.defaultPriority;
+};
+
+/**
+ * Motivo por el que se descarta una solicitud de una prioridad, o null si se atiende
+ * @param {Object} threshold - Umbrales de la prioridad
+ * @returns {string|null} - event_loop_lag o in_flight
+ */
+const getShedReason = (threshold) => {
+  if (!threshold) {
+    return null;
+  }
+  if (lagMs > threshold.eventLoopLagMs) {
+    return 'event_loop_lag';
+  }
+  if (inFlight > threshold.inFlight) {
+    return 'in_flight';
+  }
+  return null;
+};
+
+/**
+ * Deja de contar una solicitud como trabajo en curso
+ * Lo usan las conexiones de larga duración, que no consumen recursos mientras esperan
+ * @param {Object} res - Respuesta de Express
+ */
+const releaseInFlight = (res) => {
+  const release = releases.get(res);
+  if (release) {
+    release();
+  }
+};
+
+/**
+ * Cuenta las solicitudes en curso y descarta las de menor prioridad cuando el gateway
+ * está sobrecargado (retraso del event loop o solicitudes en curso por encima del umbral
+ * de su prioridad). Responde 503 con Retry-After
+ */
+const loadSheddingMiddleware = (req, res, next) => {
+  if (EXEMPT_PATHS.some((prefix) => matchesPrefix(req.path, prefix))) {
+    return next();
+  }
+
+  const config = runtimeConfig.get('loadShedding');
+  if (config.enabled) {
+    const priority = resolvePriority(config, req);
+    const reason = getShedReason(config.thresholds[priority]);
+    if (reason) {
+      loadShedRequests.inc({ priority, reason });
+      logger.warn(`Solicitud descartada por sobrecarga (${reason}, prioridad ${priority}): ${req.method} ${req.originalUrl}`);
+      if (config.retryAfter) {
+        res.setHeader('Retry-After', config.retryAfter);
+      }
+      return res.status(503).json({
+        status: 'error',
+        message: 'El gateway está sobrecargado, por favor intente más tarde.',
+      });
+    }
+  }
+
+  inFlight += 1;
+  requestsInFlight.set(inFlight);
+
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      inFlight -= 1;
+      requestsInFlight.set(inFlight);
+    }
+  };
+  releases.set(res, release);
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
+
+module.exports = {
+  loadSheddingMiddleware,
+  releaseInFlight,
+};
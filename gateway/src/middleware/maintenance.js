@@ -0,0 +1,136 @@
+const runtimeConfig = require('../services/runtimeConfig');
+const { verifyToken } = require('../services/jwks');
+
+// Rutas que siguen disponibles durante el mantenimiento (sondas y métricas)
+const EXEMPT_PATHS = ['/health', '/metrics'];
+
+// Modos de mantenimiento: full rechaza todo y read-only solo las escrituras
+const MODES = ['full', 'read-only'];
+
+// Métodos que se siguen atendiendo en modo solo lectura
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const DEFAULT_MESSAGES = {
+  full: 'El API está en mantenimiento, por favor intente más tarde.',
+  'read-only': 'El API está en modo solo lectura por mantenimiento, por favor intente más tarde.',
+};
+
+/**
+ * Valida el mensaje, el modo y retryAfter de un mantenimiento (global o de un grupo)
+ * @param {Object} options - Opciones propuestas
+ * @param {string} label - Dónde están las opciones, para el mensaje de error
+ */
+const validateOptions = (options, label) => {
+  if (options.mode !== undefined && !MODES.includes(options.mode)) {
+    throw new Error(`El modo de ${label} debe ser uno de: ${MODES.join(', ')}`);
+  }
+  if (options.message !== undefined && typeof options.message !== 'string') {
+    throw new Error(`El mensaje de ${label} debe ser un texto`);
+  }
+  if (options.retryAfter !== undefined && !(Number.isInteger(options.retryAfter) && options.retryAfter > 0)) {
+    throw new Error(`retryAfter de ${label} debe ser un número entero de segundos mayor que 0`);
+  }
+};
+
+/**
+ * Valida la configuración del modo mantenimiento
+ * @param {Object} config - Configuración propuesta
+ */
+const validateMaintenance = (config) => {
+  if (!config || typeof config.enabled !== 'boolean') {
+    throw new Error('Se esperaba el campo enabled con un booleano');
+  }
+  validateOptions(config, 'la configuración global');
+
+  if (config.groups === undefined) {
+    return;
+  }
+  if (!Array.isArray(config.groups)) {
+    throw new Error('groups debe ser un array de grupos de rutas');
+  }
+  config.groups.forEach((group) => {
+    if (!group || typeof group.prefix !== 'string' || !group.prefix.startsWith('/')) {
+      throw new Error('Cada grupo necesita un prefix que empiece por / (ej: /api/v1/orders)');
+    }
+    validateOptions(group, `el grupo ${group.prefix}`);
+  });
+};
+
+runtimeConfig.defineSection('maintenance', () => ({
+  enabled: false,
+  mode: 'full',
+  message: DEFAULT_MESSAGES.full,
+  retryAfter: 600,
+  groups: [],
+}));
+runtimeConfig.addValidator('maintenance', validateMaintenance);
+
+const matchesPrefix = (requestPath, prefix) => requestPath === prefix || requestPath.startsWith(`${prefix.replace(/\/$/, '')}/`);
+
+/**
+ * Mantenimiento que afecta a una solicitud: el global si está activo y, si no,
+ * el primer grupo cuyo prefijo coincide con la ruta
+ * @param {Object} config - Configuración vigente
+ * @param {string} requestPath - Ruta de la solicitud
+ * @returns {Object|null} - Modo, mensaje y retryAfter, o null si la ruta no está en mantenimiento
+ */
+const findMaintenance = (config, requestPath) => {
+  const defaults = { mode: config.mode || 'full', retryAfter: config.retryAfter };
+  if (config.enabled) {
+    return { ...defaults, message: config.message };
+  }
+
+  const group = (config.groups || []).find((candidate) => matchesPrefix(requestPath, candidate.prefix));
+  return group ? { ...defaults, ...group } : null;
+};
+
+/**
+ * Indica si la solicitud viene de un administrador
+ * Solo se comprueba la firma del JWT; el resto de validaciones las hace la ruta
+ * @param {Object} req - Solicitud de Express
+ * @returns {Promise<boolean>}
+ */
+const isAdminRequest = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+  try {
+    return (await verifyToken(authHeader.split(' ')[1])).role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Responde 503 mientras la ruta está en mantenimiento, globalmente o por grupo de rutas
+ * En modo read-only se siguen atendiendo las lecturas. Los administradores, las llamadas
+ * internas entre servicios y las sondas no se ven afectados
+ */
+const maintenanceMiddleware = async (req, res, next) => {
+  if (EXEMPT_PATHS.some((path) => matchesPrefix(req.path, path))) {
+    return next();
+  }
+
+  const maintenance = findMaintenance(runtimeConfig.get('maintenance'), req.path);
+  if (!maintenance || (maintenance.mode === 'read-only' && READ_METHODS.includes(req.method))) {
+    return next();
+  }
+
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+  if ((internalApiKey && req.headers['x-api-key'] === internalApiKey) || (await isAdminRequest(req))) {
+    return next();
+  }
+
+  if (maintenance.retryAfter) {
+    res.setHeader('Retry-After', maintenance.retryAfter);
+  }
+  res.status(503).json({
+    status: 'error',
+    message: maintenance.message || DEFAULT_MESSAGES[maintenance.mode],
+  });
+};
+
+module.exports = {
+  maintenanceMiddleware,
+};
@@ -0,0 +1,315 @@
+const zlib = require('zlib');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getUnifiedSpec, toOpenApiPath } = require('../services/openapi');
+const logger = require('../utils/logger');
+
+// Validar también las respuestas de los servicios (por defecto solo en desarrollo)
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV === 'development';
+
+const ajvLogger = {
+  log: () => {},
+  warn: (message) => logger.debug(`OpenAPI: ${message}`),
+  error: (message) => logger.error(`OpenAPI: ${message}`),
+};
+
+/**
+ * Crea una instancia de Ajv con los formatos usados en los documentos OpenAPI
+ * @param {Object} options - Opciones adicionales de Ajv
+ * @returns {Ajv}
+ */
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, logger: ajvLogger, ...options });
+  addFormats(ajv);
+  // Formatos de OpenAPI que solo documentan el dato
+  ajv.addFormat('password', true);
+  return ajv;
+};
+
+// Validadores compilados por especificación. Cada especificación tiene sus propias instancias
+// de Ajv: Ajv guarda en caché todo esquema compilado y, si se compartieran, cada reconstrucción
+// de la especificación (OPENAPI_CACHE_TTL) añadiría esquemas que nunca se liberan
+const compiledBySpec = new WeakMap();
+
+/**
+ * Estado de validación de una especificación: instancias de Ajv y validadores por operación
+ * @param {Object} spec - Especificación unificada
+ * @returns {Object}
+ */
+const getSpecValidation = (spec) => {
+  if (!compiledBySpec.has(spec)) {
+    compiledBySpec.set(spec, {
+      // Los parámetros de ruta y query llegan como texto y se convierten al tipo del esquema
+      parameterAjv: createAjv({ coerceTypes: 'array' }),
+      bodyAjv: createAjv({}),
+      operations: new Map(),
+    });
+  }
+  return compiledBySpec.get(spec);
+};
+
+/**
+ * Compila un esquema de la especificación conservando las referencias a components
+ * @param {Ajv} ajv - Instancia de Ajv
+ * @param {Object} schema - Esquema JSON de OpenAPI
+ * @param {Object} spec - Especificación a la que pertenece
+ * @returns {Function}
+ */
+const compileSchema = (ajv, schema, spec) => ajv.compile({ ...schema, components: spec.components });
+
+/**
+ * Construye el esquema de objeto de los parámetros de una ubicación (path o query)
+ * @param {Array} parameters - Parámetros de la operación
+ * @param {string} location - Ubicación de los parámetros
+ * @returns {Object|null} - Esquema, o null si no hay parámetros en esa ubicación
+ */
+const buildParametersSchema = (parameters, location) => {
+  const selected = parameters.filter((parameter) => parameter.in === location && parameter.schema);
+  if (selected.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map((parameter) => [parameter.name, parameter.schema])),
+    required: selected.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+  };
+};
+
+/**
+ * Obtiene el esquema JSON de una respuesta según su código de estado
+ * @param {Object} responses - Respuestas de la operación
+ * @param {number} statusCode - Código de estado de la respuesta
+ * @returns {Object|null}
+ */
+const getResponseSchema = (responses, statusCode) => {
+  const response = responses[statusCode] || responses[`${String(statusCode)[0]}XX`] || responses.default;
+  const content = response && response.content && response.content['application/json'];
+  return content && content.schema ? content.schema : null;
+};
+
+/**
+ * Compila (una sola vez por especificación) los validadores de una operación
+ * @param {Object} spec - Especificación unificada
+ * @param {string} openApiPath - Ruta de la operación en formato OpenAPI
+ * @param {string} method - Método HTTP en minúsculas
+ * @returns {Object|null} - Validadores de path, query, cuerpo y respuestas
+ */
+const getOperationValidators = (spec, openApiPath, method) => {
+  const { parameterAjv, bodyAjv, operations: cache } = getSpecValidation(spec);
+  const key = `${method} ${openApiPath}`;
+
+  if (!cache.has(key)) {
+    const operation = spec.paths[openApiPath] && spec.paths[openApiPath][method];
+    let validators = null;
+
+    if (operation) {
+      const parameters = operation.parameters || [];
+      const pathSchema = buildParametersSchema(parameters, 'path');
+      const querySchema = buildParametersSchema(parameters, 'query');
+      const { requestBody } = operation;
+      const bodyContent = requestBody && requestBody.content && requestBody.content['application/json'];
+      const responseValidators = new Map();
+
+      validators = {
+        path: pathSchema && compileSchema(parameterAjv, pathSchema, spec),
+        query: querySchema && compileSchema(parameterAjv, querySchema, spec),
+        body: bodyContent && bodyContent.schema && compileSchema(bodyAjv, bodyContent.schema, spec),
+        bodyRequired: Boolean(requestBody && requestBody.required),
+        response: (statusCode) => {
+          if (!responseValidators.has(statusCode)) {
+            const schema = getResponseSchema(operation.responses || {}, statusCode);
+            responseValidators.set(statusCode, schema && compileSchema(bodyAjv, schema, spec));
+          }
+          return responseValidators.get(statusCode);
+        },
+      };
+    }
+    cache.set(key, validators);
+  }
+  return cache.get(key);
+};
+
+/**
+ * Traduce un error de Ajv a un mensaje legible
+ * @param {Object} error - Error de Ajv
+ * @returns {string}
+ */
+const formatMessage = ({ keyword, params, message }) => {
+  switch (keyword) {
+    case 'required':
+      return 'Es requerido';
+    case 'type':
+      return `Debe ser de tipo ${params.type}`;
+    case 'minLength':
+      return params.limit === 1 ? 'No puede estar vacío' : `Debe tener al menos ${params.limit} caracteres`;
+    case 'maxLength':
+      return `Debe tener como máximo ${params.limit} caracteres`;
+    case 'minimum':
+      return `Debe ser mayor o igual a ${params.limit}`;
+    case 'maximum':
+      return `Debe ser menor o igual a ${params.limit}`;
+    case 'exclusiveMinimum':
+      return `Debe ser mayor que ${params.limit}`;
+    case 'exclusiveMaximum':
+      return `Debe ser menor que ${params.limit}`;
+    case 'minItems':
+      return `Debe contener al menos ${params.limit} elementos`;
+    case 'maxItems':
+      return `Debe contener como máximo ${params.limit} elementos`;
+    case 'enum':
+      return `Debe ser uno de: ${params.allowedValues.join(', ')}`;
+    case 'format':
+      return `No tiene un formato ${params.format} válido`;
+    case 'pattern':
+      return 'No tiene un formato válido';
+    case 'additionalProperties':
+      return 'No es un campo permitido';
+    case 'oneOf':
+    case 'anyOf':
+      return 'No coincide con ninguno de los formatos admitidos';
+    default:
+      return message;
+  }
+};
+
+/**
+ * Convierte los errores de Ajv al formato de errores del gateway
+ * @param {Array} errors - Errores de Ajv
+ * @param {string} location - path, query o body
+ * @returns {Array} - Errores con ubicación, campo y mensaje
+ */
+const formatErrors = (errors, location) => {
+  return errors
+    // Los fallos de cada alternativa de oneOf/anyOf se resumen en el error de la combinación
+    .filter((error) => !/\/(oneOf|anyOf)\/\d+\//.test(error.schemaPath))
+    .map((error) => {
+      const segments = error.instancePath.split('/').filter(Boolean);
+      if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+      } else if (error.keyword === 'additionalProperties') {
+        segments.push(error.params.additionalProperty);
+      }
+
+      return {
+        location,
+        field: segments.join('.'),
+        message: formatMessage(error),
+      };
+    });
+};
+
+/**
+ * Valida el cuerpo de una respuesta del servicio y registra las discrepancias con el contrato
+ * @param {Object} proxyRes - Respuesta del servicio
+ * @param {Buffer} raw - Cuerpo recibido
+ * @param {Function} validate - Validador del esquema de la respuesta
+ * @param {string} operation - Descripción de la operación para el registro
+ */
+const checkResponse = (proxyRes, raw, validate, operation) => {
+  const encoding = proxyRes.headers['content-encoding'];
+  let body;
+
+  try {
+    let decoded = raw;
+    if (encoding === 'gzip') {
+      decoded = zlib.gunzipSync(raw);
+    } else if (encoding === 'deflate') {
+      decoded = zlib.inflateSync(raw);
+    } else if (encoding === 'br') {
+      decoded = zlib.brotliDecompressSync(raw);
+    }
+    body = JSON.parse(decoded.toString('utf8'));
+  } catch (error) {
+    logger.warn(`Respuesta ${proxyRes.statusCode} de ${operation} no es JSON válido: ${error.message}`);
+    return;
+  }
+
+  if (!validate(body)) {
+    const details = formatErrors(validate.errors, 'response')
+      .map((error) => `${error.field || '(raíz)'}: ${error.message}`)
+      .join('; ');
+    logger.warn(`Respuesta ${proxyRes.statusCode} de ${operation} no cumple el contrato OpenAPI: ${details}`);
+  }
+};
+
+/**
+ * Crea el middleware que valida path, query y cuerpo contra el esquema OpenAPI de la ruta
+ * Los errores se devuelven en un único formato con código 400; si la especificación
+ * no describe la operación, la solicitud continúa sin validar.
+ * Si la especificación no se puede construir se responde 503: es la única validación de
+ * entrada del gateway y no se reenvían solicitudes sin validar
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {Function} - Middleware de Express
+ */
+const createOpenApiValidator = (route) => {
+  const openApiPath = toOpenApiPath(route.fullPath);
+  const operation = `${route.method.toUpperCase()} ${openApiPath}`;
+
+  return async (req, res, next) => {
+    let validators;
+    try {
+      validators = getOperationValidators(await getUnifiedSpec(), openApiPath, route.method);
+    } catch (error) {
+      logger.error(`No se pudieron preparar los validadores OpenAPI de ${operation}:`, error);
+      res.setHeader('Retry-After', 30);
+      return res.status(503).json({
+        status: 'error',
+        message: 'No se puede validar la solicitud en este momento, intente más tarde',
+      });
+    }
+
+    if (!validators) {
+      return next();
+    }
+
+    const errors = [];
+
+    if (validators.path && !validators.path({ ...req.params })) {
+      errors.push(...formatErrors(validators.path.errors, 'path'));
+    }
+
+    if (validators.query && !validators.query({ ...req.query })) {
+      errors.push(...formatErrors(validators.query.errors, 'query'));
+    }
+
+    // req._body indica que express.json() procesó un cuerpo JSON
+    if (!req._body) {
+      if (validators.bodyRequired) {
+        errors.push({ location: 'body', field: '', message: 'El cuerpo de la solicitud es requerido' });
+      }
+    } else if (validators.body && !validators.body(req.body)) {
+      errors.push(...formatErrors(validators.body.errors, 'body'));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La solicitud no es válida',
+        errors,
+      });
+    }
+
+    if (VALIDATE_RESPONSES) {
+      // El proxy entrega la respuesta del servicio antes de transmitirla al cliente
+      req.inspectUpstreamResponse = (proxyRes) => {
+        const validate = validators.response(proxyRes.statusCode);
+        if (!validate) {
+          return;
+        }
+
+        const chunks = [];
+        proxyRes.on('data', (chunk) => chunks.push(chunk));
+        proxyRes.on('end', () => checkResponse(proxyRes, Buffer.concat(chunks), validate, operation));
+      };
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createOpenApiValidator,
+};
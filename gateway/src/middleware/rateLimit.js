@@ -1,93 +1,177 @@
-const rateLimit = require('express-rate-limit');
-const Redis = require('ioredis');
+const fs = require('fs');
+const path = require('path');
+const rateLimitStore = require('../services/rateLimitStore');
+const runtimeConfig = require('../services/runtimeConfig');
+const { getRouteConfig } = require('../routes/routeTable');
+const { rateLimitRejections } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
-// Cliente Redis para almacenar contadores de tasa de límite
-const redis = new Redis(process.env.REDIS_URL);
+// Ruta por defecto del archivo de políticas de límite de tasa
+const DEFAULT_POLICIES_FILE = path.join(__dirname, '..', 'config', 'rateLimits.json');
+
+// Políticas que puede devolver resolvePlan; no se pueden eliminar
+const PLAN_POLICIES = ['anonymous', 'user', 'premium', 'admin', 'internal', 'partner'];
 
 /**
- * Store personalizado para usar Redis con el limitador de tasa
+ * Carga las políticas de límite de tasa desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_RATE_LIMITS_FILE
+ * @returns {Object} - Configuración con las políticas indexadas por nombre en policies
  */
-const redisStore = {
-  /**
-   * Incrementa el contador para la clave especificada
-   * @param {string} key - Clave única para el limitador (basada en IP o identificador de usuario)
-   * @param {function} cb - Función callback
-   */
-  increment: function (key, cb) {
-    redis
-      .multi()
-      .incr(key)
-      .pttl(key)
-      .exec((err, results) => {
-        if (err) {
-          logger.error('Error en Redis durante rate limiting:', err);
-          return cb(err);
-        }
-        
-        const counter = results[0][1];
-        
-        // Si es el primer incremento, establecer el tiempo de expiración (1 hora)
-        if (counter === 1) {
-          redis.expire(key, 60 * 60);
-        }
-        
-        cb(null, {
-          totalHits: counter,
-          resetTime: Date.now() + results[1][1],
-        });
-      });
-  },
-  
-  /**
-   * Decrementa el contador (usado para revertir incrementos en casos especiales)
-   * @param {string} key - Clave única
-   */
-  decrement: function (key) {
-    redis.decrby(key, 1).catch(err => {
-      logger.error('Error al decrementar contador en Redis:', err);
-    });
-  },
-  
-  /**
-   * Restablece el contador para la clave especificada
-   * @param {string} key - Clave única
-   */
-  resetKey: function (key) {
-    redis.del(key).catch(err => {
-      logger.error('Error al restablecer clave en Redis:', err);
-    });
-  },
+const loadRateLimitConfig = () => {
+  const file = process.env.GATEWAY_RATE_LIMITS_FILE || DEFAULT_POLICIES_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Valida una configuración de políticas: algoritmos soportados, límites numéricos
+ * y que sigan existiendo los planes y las políticas que usa la tabla de rutas
+ * @param {Object} config - Configuración con policies
+ */
+const validateRateLimitConfig = (config) => {
+  if (!config || typeof config.policies !== 'object' || Array.isArray(config.policies)) {
+    throw new Error('Se esperaba un objeto policies con las políticas indexadas por nombre');
+  }
+
+  for (const [name, policy] of Object.entries(config.policies)) {
+    if (policy.algorithm && !rateLimitStore.isSupportedAlgorithm(policy.algorithm)) {
+      throw new Error(`Algoritmo de límite de tasa no soportado en la política ${name}: ${policy.algorithm}`);
+    }
+    if (!(policy.windowMs > 0) || !(policy.max > 0)) {
+      throw new Error(`La política ${name} necesita windowMs y max positivos`);
+    }
+  }
+
+  const referenced = getRouteConfig().groups
+    .flatMap((group) => group.endpoints.map((endpoint) => ({ ...group, ...endpoint }).rateLimit))
+    .map((binding) => (typeof binding === 'string' ? binding : binding && binding.policy))
+    .filter(Boolean);
+
+  const missing = [...new Set([...PLAN_POLICIES, ...referenced])].filter((name) => !config.policies[name]);
+  if (missing.length > 0) {
+    throw new Error(`Faltan políticas en uso: ${missing.join(', ')}`);
+  }
+};
+
+// Las políticas se pueden modificar en caliente desde la API de administración
+runtimeConfig.defineSection('rateLimits', loadRateLimitConfig);
+runtimeConfig.addValidator('rateLimits', validateRateLimitConfig);
+
+// Validar las políticas de disco al arrancar
+validateRateLimitConfig(runtimeConfig.get('rateLimits'));
+
+/**
+ * Políticas vigentes indexadas por nombre
+ * @returns {Object}
+ */
+const getPolicies = () => runtimeConfig.get('rateLimits').policies;
+
+/**
+ * Determina la política que corresponde al llamante según su plan
+ * @param {Object} req - Solicitud de Express
+ * @returns {string} - Nombre de la política (anonymous, user, premium, admin, internal o la de la aplicación cliente)
+ */
+const resolvePlan = (req) => {
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+  if (internalApiKey && req.headers['x-api-key'] === internalApiKey) {
+    return 'internal';
+  }
+
+  // Las aplicaciones cliente usan la política asignada en su registro
+  if (req.clientApp) {
+    if (getPolicies()[req.clientApp.rateLimitPolicy]) {
+      return req.clientApp.rateLimitPolicy;
+    }
+    logger.warn(`Política de límite de tasa desconocida para la aplicación ${req.clientApp.id}: ${req.clientApp.rateLimitPolicy}`);
+    return 'partner';
+  }
+
+  if (!req.user) {
+    return 'anonymous';
+  }
+
+  if (req.user.role === 'admin') {
+    return 'admin';
+  }
+
+  if (req.user.role === 'premium') {
+    return 'premium';
+  }
+
+  return 'user';
 };
 
 /**
- * Configuración del middleware de límite de tasa (rate limiting)
- * Limita el número de solicitudes por IP
+ * Calcula el costo de una solicitud para la política indicada
+ * @param {Object} policy - Política de límite de tasa
+ * @param {number|string} [cost] - Costo numérico o nombre de un peso definido en la política
+ * @returns {number} - Unidades que consume la solicitud
  */
-const rateLimitMiddleware = rateLimit({
-  store: redisStore,
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // Límite de 100 solicitudes por ventana por IP
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    status: 429,
-    message: 'Demasiadas solicitudes, por favor intente más tarde.',
-  },
-  // Función para generar claves personalizadas basadas en el usuario autenticado o la IP
-  keyGenerator: (req) => {
-    // Si el usuario está autenticado, usar su ID como parte de la clave
-    if (req.user && req.user.id) {
-      return `ratelimit_${req.user.id}`;
+const resolveCost = (policy, cost) => {
+  if (typeof cost === 'number') {
+    return cost;
+  }
+  return (cost && policy.costs && policy.costs[cost]) || 1;
+};
+
+/**
+ * Crea el middleware de límite de tasa para una ruta o grupo de rutas
+ * @param {Object|string} [binding] - Nombre de política u opciones:
+ *   policy (fija la política; por defecto se usa el plan del llamante),
+ *   cost (número o peso de la política) y bucket (contador independiente)
+ * @returns {Function} - Middleware de Express
+ */
+const createRateLimiter = (binding = {}) => {
+  const options = typeof binding === 'string' ? { policy: binding } : binding;
+
+  if (options.policy && !getPolicies()[options.policy]) {
+    throw new Error(`Política de límite de tasa desconocida: ${options.policy}`);
+  }
+
+  return async (req, res, next) => {
+    const policyName = options.policy || resolvePlan(req);
+    const policy = getPolicies()[policyName];
+    if (!policy) {
+      logger.error(`Política de límite de tasa no disponible: ${policyName}`);
+      return next();
+    }
+    const cost = resolveCost(policy, options.cost);
+
+    // Usar el ID del usuario autenticado o, en su defecto, la IP
+    const identity = req.user && req.user.id ? req.user.id : req.ip;
+    const key = `ratelimit:${policyName}:${options.bucket || 'global'}:${identity}`;
+
+    try {
+      const result = await rateLimitStore.consume(key, policy, cost);
+
+      // La cuota es la que se repone en cada ventana; la capacidad del token bucket va aparte como ráfaga
+      const burst = result.burst ? `;burst=${result.burst}` : '';
+      res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(policy.windowMs / 1000)}${burst}`);
+      res.setHeader('RateLimit-Limit', result.limit);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      res.setHeader('RateLimit-Reset', Math.ceil(result.msBeforeReset / 1000));
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', Math.max(1, Math.ceil(result.msBeforeRetry / 1000)));
+
+        logger.warn(`Límite de tasa excedido (${policyName}) para ${identity} en ${req.method} ${req.originalUrl}`);
+        rateLimitRejections.inc({ policy: policyName, bucket: options.bucket || 'global' });
+
+        return res.status(429).json({
+          status: 429,
+          message: 'Demasiadas solicitudes, por favor intente más tarde.',
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Si Redis no está disponible se permite la solicitud para no bloquear la API
+      logger.error('Error en Redis durante rate limiting:', error);
+      next();
     }
-    // De lo contrario, usar la IP
-    return `ratelimit_${req.ip}`;
-  },
-  // Función para determinar si se debe omitir el límite (por ejemplo, para algunos usuarios premium)
-  skip: (req) => {
-    // Ejemplo: omitir para usuarios premium
-    return req.user && req.user.role === 'premium';
-  },
-});
-
-module.exports = rateLimitMiddleware;
\ No newline at end of file
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  resolvePlan,
+};
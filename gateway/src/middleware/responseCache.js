@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const responseCache = require('../services/responseCache');
+const { getCircuitBreaker, getRouteTimeout } = require('../services/upstreamProxy');
+const { toServicePath } = require('../services/openapi');
+const { responseCacheResults } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Valores por defecto de la caché de una ruta; la tabla de rutas puede sobrescribirlos
+const DEFAULT_CACHE = {
+  ttl: 60,
+  staleWhileRevalidate: 300,
+  vary: [],
+  invalidateOn: [],
+};
+
+// Cabeceras de la respuesta del servicio que se guardan con la entrada
+const STORED_HEADERS = ['content-type', 'content-language'];
+
+// Cabeceras de conexión que no se copian al responder en nombre del proxy
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+/**
+ * Genera el ETag de un cuerpo de respuesta
+ * Es débil porque la compresión del gateway cambia los bytes, no el contenido
+ * @param {Buffer} body - Cuerpo de la respuesta
+ * @returns {string}
+ */
+const createEtag = (body) => `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+/**
+ * Indica si el ETag de la entrada coincide con alguno de If-None-Match (comparación débil)
+ * @param {Object} req - Solicitud de Express
+ * @param {string} etag - ETag de la entrada
+ * @returns {boolean}
+ */
+const matchesEtag = (req, etag) => {
+  const header = req.headers['if-none-match'];
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Construye la clave de una solicitud: ruta, query normalizada y cabeceras relevantes
+ * @param {string} routeId - Identificador de la ruta
+ * @param {Object} req - Solicitud de Express
+ * @param {Array<string>} vary - Cabeceras de la solicitud que cambian la respuesta
+ * @returns {string}
+ */
+const buildKey = (routeId, req, vary) => {
+  const [pathname, search = ''] = req.originalUrl.split('?');
+  const query = new URLSearchParams(search);
+  query.sort();
+
+  const headers = vary.map((name) => [name, req.headers[name] || '']);
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([pathname, query.toString(), headers]))
+    .digest('hex');
+  return `${routeId}:${hash}`;
+};
+
+/**
+ * Indica si una respuesta del servicio se puede guardar
+ * @param {number} statusCode - Código de estado
+ * @param {Object} headers - Cabeceras de la respuesta
+ * @returns {boolean}
+ */
+const isStorable = (statusCode, headers) => {
+  return statusCode === 200 && !/no-store|private/i.test(headers['cache-control'] || '');
+};
+
+/**
+ * Crea una entrada de caché a partir de una respuesta del servicio
+ * @param {number} statusCode - Código de estado
+ * @param {Object} headers - Cabeceras de la respuesta
+ * @param {Buffer} body - Cuerpo de la respuesta
+ * @returns {Object}
+ */
+const createEntry = (statusCode, headers, body) => ({
+  statusCode,
+  headers: Object.fromEntries(STORED_HEADERS.filter((name) => headers[name]).map((name) => [name, headers[name]])),
+  body,
+  etag: createEtag(body),
+  storedAt: Date.now(),
+});
+
+/**
+ * Crea el middleware de caché HTTP de una ruta GET
+ * Las respuestas se guardan en Redis con su ETag y se sirven mientras estén frescas (ttl);
+ * después, durante staleWhileRevalidate, se sirven caducadas mientras se renuevan en segundo plano.
+ * Un If-None-Match que coincide se responde con 304 y los eventos de invalidateOn
+ * eliminan las entradas de la ruta
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {Function} - Middleware de Express
+ */
+const createResponseCache = (route) => {
+  const routeId = `${route.method.toUpperCase()} ${route.fullPath}`;
+
+  if (route.method !== 'get') {
+    throw new Error(`Solo se pueden cachear rutas GET: ${routeId}`);
+  }
+
+  const options = { ...DEFAULT_CACHE, ...route.cache };
+  const vary = options.vary.map((name) => name.toLowerCase());
+  const lifetime = options.ttl + options.staleWhileRevalidate;
+  const timeout = getRouteTimeout(route);
+  const breaker = getCircuitBreaker(route.service);
+  const cacheControl = [
+    // Las rutas autenticadas no deben guardarse en cachés compartidas
+    route.auth ? 'private' : 'public',
+    `max-age=${options.ttl}`,
+    `stale-while-revalidate=${options.staleWhileRevalidate}`,
+  ].join(', ');
+
+  responseCache.registerRoute(routeId, options.invalidateOn);
+
+  /**
+   * Responde con una entrada de la caché (o 304 si el cliente ya la tiene)
+   * @param {Object} req - Solicitud de Express
+   * @param {Object} res - Respuesta de Express
+   * @param {Object} entry - Entrada de la caché
+   * @param {string} result - HIT, STALE o MISS
+   */
+  const sendEntry = (req, res, entry, result) => {
+    responseCacheResults.inc({ route: routeId, result: result.toLowerCase() });
+
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('Cache-Control', cacheControl);
+    res.setHeader('Age', Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)));
+    res.setHeader('X-Cache', result);
+    if (vary.length > 0) {
+      res.setHeader('Vary', options.vary.join(', '));
+    }
+
+    if (matchesEtag(req, entry.etag)) {
+      return res.status(304).end();
+    }
+
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.status(entry.statusCode).end(entry.body);
+  };
+
+  /**
+   * Renueva en segundo plano una entrada caducada
+   * Solo una réplica revalida cada entrada; el resto sigue sirviendo la versión anterior
+   * @param {Object} req - Solicitud que encontró la entrada caducada
+   * @param {string} key - Clave de la entrada
+   */
+  const revalidate = async (req, key) => {
+    if (!(await responseCache.acquireRevalidationLock(key, timeout))) {
+      return;
+    }
+
+    try {
+      const response = await breaker.fire(async () => {
+        const result = await axios.get(`${route.service.target}${toServicePath(req.originalUrl, route.pathRewrite)}`, {
+          timeout,
+          responseType: 'arraybuffer',
+          headers: {
+            // La API key de una aplicación cliente no se reenvía a los servicios
+            ...(!req.clientApp && { Authorization: req.headers.authorization }),
+            ...Object.fromEntries(vary.filter((name) => req.headers[name]).map((name) => [name, req.headers[name]])),
+          },
+          validateStatus: () => true,
+        });
+
+        if (result.status >= 500) {
+          throw new Error(`Respuesta ${result.status} del ${route.service.label}`);
+        }
+        return result;
+      });
+
+      if (isStorable(response.status, response.headers)) {
+        await responseCache.setEntry(routeId, key, createEntry(response.status, response.headers, Buffer.from(response.data)), lifetime);
+      }
+    } catch (error) {
+      logger.warn(`No se pudo revalidar la caché de ${routeId}: ${error.message}`);
+    } finally {
+      await responseCache.releaseRevalidationLock(key);
+    }
+  };
+
+  return async (req, res, next) => {
+    const key = buildKey(routeId, req, vary);
+    // Cache-Control: no-cache del cliente obliga a consultar al servicio
+    const forceRefresh = /no-cache/i.test(req.headers['cache-control'] || '');
+    const entry = forceRefresh ? null : await responseCache.getEntry(key);
+
+    if (entry) {
+      const age = (Date.now() - entry.storedAt) / 1000;
+      if (age < options.ttl) {
+        return sendEntry(req, res, entry, 'HIT');
+      }
+      sendEntry(req, res, entry, 'STALE');
+      return revalidate(req, key);
+    }
+
+    // Sin entrada, el proxy entrega aquí la respuesta del servicio en lugar de transmitirla
+    req.handleUpstreamResponse = (proxyRes) => {
+      const chunks = [];
+      proxyRes.on('data', (chunk) => chunks.push(chunk));
+      proxyRes.on('error', (error) => {
+        logger.error(`Error al leer la respuesta de ${route.service.name}:`, error);
+        if (!res.headersSent) {
+          res.status(502).json({ message: `Error al conectar con el ${route.service.label}` });
+        }
+      });
+      proxyRes.on('end', () => {
+        const body = Buffer.concat(chunks);
+
+        // HEAD comparte ruta con GET pero su respuesta no tiene cuerpo que guardar
+        if (req.method === 'GET' && isStorable(proxyRes.statusCode, proxyRes.headers)) {
+          const fresh = createEntry(proxyRes.statusCode, proxyRes.headers, body);
+          responseCache.setEntry(routeId, key, fresh, lifetime);
+          return sendEntry(req, res, fresh, 'MISS');
+        }
+
+        responseCacheResults.inc({ route: routeId, result: 'uncacheable' });
+        Object.entries(proxyRes.headers)
+          .filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+          .forEach(([name, value]) => res.setHeader(name, value));
+        res.status(proxyRes.statusCode).end(body);
+      });
+    };
+
+    // Evitar respuestas comprimidas por el servicio: el gateway ya comprime las suyas
+    req.upstreamIdentityEncoding = true;
+    next();
+  };
+};
+
+module.exports = {
+  createResponseCache,
+};
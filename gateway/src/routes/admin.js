@@ -0,0 +1,258 @@
+const net = require('net');
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const runtimeConfig = require('../services/runtimeConfig');
+const abuseStore = require('../services/abuseStore');
+const auditStore = require('../services/auditStore');
+const { normalizeIp } = require('../utils/ipMatcher');
+const logger = require('../utils/logger');
+
+// Máximo de entradas del historial por consulta
+const MAX_HISTORY_LIMIT = 500;
+
+// Máximo de registros de auditoría por consulta
+const MAX_AUDIT_LIMIT = 200;
+
+// Formato de los IDs del stream de auditoría que se usan como cursor
+const AUDIT_CURSOR_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Solo los administradores pueden usar la API de administración
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ status: 'error', message: 'Se requiere rol de administrador' });
+  }
+  next();
+};
+
+/**
+ * Quién hace el cambio y desde dónde, para el historial de auditoría
+ * @param {Object} req - Solicitud de Express
+ * @returns {Object}
+ */
+const getActor = (req) => ({
+  id: req.user.id,
+  email: req.user.email,
+  role: req.user.role,
+  ip: req.ip,
+  requestId: req.context && req.context.requestId,
+});
+
+/**
+ * Versión esperada indicada en If-Match (ETag de la sección, ej: "3")
+ * @param {Object} req - Solicitud de Express
+ * @returns {number|undefined|null} - undefined sin cabecera, null si no es válida
+ */
+const getExpectedVersion = (req) => {
+  const header = req.headers['if-match'];
+  if (header === undefined) {
+    return undefined;
+  }
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Envía la vista de una sección con su versión como ETag
+ * @param {Object} res - Respuesta de Express
+ * @param {number} status - Código de estado HTTP
+ * @param {Object} snapshot - Vista de la sección
+ */
+const sendSnapshot = (res, status, snapshot) => {
+  res.setHeader('ETag', `"${snapshot.version}"`);
+  res.status(status).json({ status: 'success', data: snapshot });
+};
+
+/**
+ * Lee una fecha de la query (ISO 8601 o milisegundos)
+ * @param {string} value - Valor recibido
+ * @returns {Date|undefined|null} - undefined sin valor, null si no es válida
+ */
+const parseDate = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Adapta un manejador asíncrono convirtiendo los errores de configuración en respuestas
+ * @param {Function} handler - Manejador de Express
+ * @returns {Function}
+ */
+const handle = (handler) => async (req, res, next) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof runtimeConfig.RuntimeConfigError) {
+      if (error.details && error.details.version !== undefined) {
+        res.setHeader('ETag', `"${error.details.version}"`);
+      }
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Construye el router de la API de administración del gateway
+ * Permite leer y modificar en caliente la tabla de rutas, las políticas de límite de tasa,
+ * la lista de IPs bloqueadas, las reglas de abuso y el modo mantenimiento. Los cambios se
+ * guardan en Redis, se propagan a todas las réplicas y quedan registrados en el historial.
+ * También permite consultar y levantar los bloqueos automáticos de IPs y buscar en el
+ * registro de auditoría de las solicitudes de escritura
+ * @returns {express.Router}
+ */
+const createAdminRouter = () => {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireAdmin, createRateLimiter({ bucket: 'admin' }));
+
+  /**
+   * Todas las secciones configurables con su versión
+   */
+  router.get('/config', (req, res) => {
+    res.status(200).json({ status: 'success', data: runtimeConfig.listSnapshots() });
+  });
+
+  /**
+   * Historial de cambios, del más reciente al más antiguo
+   */
+  router.get('/config/history', handle(async (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      return res.status(400).json({ status: 'error', message: `El límite debe estar entre 1 y ${MAX_HISTORY_LIMIT}` });
+    }
+
+    const history = await runtimeConfig.getHistory({ section: req.query.section, limit });
+    res.status(200).json({ status: 'success', results: history.length, data: history });
+  }));
+
+  /**
+   * Una sección; su versión se devuelve como ETag para usarla en If-Match
+   */
+  router.get('/config/:section', handle(async (req, res) => {
+    sendSnapshot(res, 200, runtimeConfig.getSnapshot(req.params.section));
+  }));
+
+  /**
+   * Reemplaza una sección; con If-Match solo se aplica si nadie la cambió antes
+   */
+  router.put('/config/:section', handle(async (req, res) => {
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null) {
+      return res.status(400).json({ status: 'error', message: 'If-Match debe contener la versión de la sección (ETag)' });
+    }
+    if (req.body === undefined || req.body === null || typeof req.body !== 'object') {
+      return res.status(400).json({ status: 'error', message: 'El cuerpo debe ser un objeto JSON con la nueva configuración' });
+    }
+
+    const snapshot = await runtimeConfig.update(req.params.section, req.body, {
+      expectedVersion,
+      actor: getActor(req),
+    });
+    sendSnapshot(res, 200, snapshot);
+  }));
+
+  /**
+   * Descarta los cambios de una sección y vuelve a la configuración de disco
+   */
+  router.delete('/config/:section', handle(async (req, res) => {
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null) {
+      return res.status(400).json({ status: 'error', message: 'If-Match debe contener la versión de la sección (ETag)' });
+    }
+
+    const snapshot = await runtimeConfig.reset(req.params.section, {
+      expectedVersion,
+      actor: getActor(req),
+    });
+    sendSnapshot(res, 200, snapshot);
+  }));
+
+  /**
+   * Bloqueos automáticos activos
+   */
+  router.get('/bans', handle(async (req, res) => {
+    const bans = await abuseStore.listBans();
+    res.status(200).json({ status: 'success', results: bans.length, data: bans });
+  }));
+
+  /**
+   * Bloqueo activo de una IP
+   */
+  router.get('/bans/:ip', handle(async (req, res) => {
+    if (!net.isIP(req.params.ip)) {
+      return res.status(400).json({ status: 'error', message: 'IP no válida' });
+    }
+
+    const ban = await abuseStore.getBan(normalizeIp(req.params.ip));
+    if (!ban) {
+      return res.status(404).json({ status: 'error', message: 'La IP no está bloqueada' });
+    }
+    res.status(200).json({ status: 'success', data: ban });
+  }));
+
+  /**
+   * Levanta el bloqueo de una IP; sus infracciones anteriores dejan de contar para escalar
+   */
+  router.delete('/bans/:ip', handle(async (req, res) => {
+    if (!net.isIP(req.params.ip)) {
+      return res.status(400).json({ status: 'error', message: 'IP no válida' });
+    }
+
+    const ip = normalizeIp(req.params.ip);
+    if (!await abuseStore.removeBan(ip)) {
+      return res.status(404).json({ status: 'error', message: 'La IP no está bloqueada' });
+    }
+
+    const actor = getActor(req);
+    logger.info(`Bloqueo de la IP ${ip} levantado por ${actor.email || actor.id}`);
+    res.status(200).json({ status: 'success', message: 'Bloqueo levantado' });
+  }));
+
+  /**
+   * Registro de auditoría, del más reciente al más antiguo
+   * Filtros: userId, clientId, resource, resourceId y rango de fechas (from, to)
+   */
+  router.get('/audit', handle(async (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+      return res.status(400).json({ status: 'error', message: `El límite debe estar entre 1 y ${MAX_AUDIT_LIMIT}` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ status: 'error', message: 'from y to deben ser fechas ISO 8601 o milisegundos' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ status: 'error', message: 'from no puede ser posterior a to' });
+    }
+
+    const { cursor } = req.query;
+    if (cursor !== undefined && !AUDIT_CURSOR_PATTERN.test(cursor)) {
+      return res.status(400).json({ status: 'error', message: 'Cursor no válido' });
+    }
+
+    const filters = ['userId', 'clientId', 'resource', 'resourceId'].reduce((selected, field) => {
+      if (typeof req.query[field] === 'string') {
+        selected[field] = req.query[field];
+      }
+      return selected;
+    }, {});
+
+    const { records, nextCursor } = await auditStore.search({ ...filters, from, to, limit, cursor });
+    res.status(200).json({ status: 'success', results: records.length, nextCursor, data: records });
+  }));
+
+  logger.debug('API de administración registrada en /api/v1/admin');
+  return router;
+};
+
+module.exports = {
+  createAdminRouter,
+};
@@ -0,0 +1,141 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { createOpenApiValidator } = require('../middleware/openapiValidation');
+const { createComposer, composeSections } = require('../services/composer');
+const logger = require('../utils/logger');
+const { getRouteConfig, loadCompositeConfig, resolveServices } = require('./routeTable');
+
+/**
+ * Envía la respuesta compuesta con el estado de cada sección
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} data - Secciones de la respuesta
+ * @param {Array} degraded - Secciones que no se pudieron obtener
+ */
+const sendComposite = (res, data, degraded) => {
+  res.status(200).json({
+    status: degraded.length > 0 ? 'partial' : 'success',
+    data,
+    degraded,
+  });
+};
+
+/**
+ * Responde cuando falla la llamada de la que dependen el resto de secciones
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error de la llamada
+ */
+const sendPrimaryFailure = (res, error) => {
+  if (error.reason === 'http') {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.reason === 'timeout') {
+    return res.status(504).json({ message: error.message });
+  }
+  if (error.reason === 'circuit_open') {
+    return res.status(503).json({ message: error.message });
+  }
+  return res.status(502).json({ message: error.message });
+};
+
+// Lógica de composición de cada endpoint de la tabla, indexada por nombre
+const handlers = {
+  /**
+   * Panel del usuario autenticado: datos de usuario, pedidos recientes y novedades del catálogo
+   */
+  dashboard: async (composer, req, res) => {
+    const userId = req.user.id;
+
+    const { data, degraded } = await composeSections({
+      user: async () => (await composer.call(req, 'user', { userId })).data.user,
+      recentOrders: async () => (await composer.call(req, 'recentOrders', { userId })).data.orders,
+      latestProducts: async () => (await composer.call(req, 'latestProducts')).data.products,
+    });
+
+    sendComposite(res, data, degraded);
+  },
+
+  /**
+   * Detalle de un pedido con sus productos, el cliente y el seguimiento del envío
+   * Sin el pedido no hay nada que componer, por lo que su fallo sí es un error
+   */
+  orderDetails: async (composer, req, res) => {
+    let order;
+    try {
+      order = (await composer.call(req, 'order', { id: req.params.id })).data.order;
+    } catch (error) {
+      return sendPrimaryFailure(res, error);
+    }
+
+    // Una sección por producto para que el fallo de uno no oculte los demás
+    const productIds = [...new Set((order.items || []).map((item) => item.productId))];
+    const productSections = Object.fromEntries(productIds.map((productId) => [
+      `product:${productId}`,
+      async () => (await composer.call(req, 'product', { productId })).data.product,
+    ]));
+
+    const { data, degraded } = await composeSections({
+      ...productSections,
+      customer: async () => (await composer.call(req, 'customer', { userId: order.userId })).data.user,
+      shipping: async () => (await composer.call(req, 'shipping', { orderId: order._id || req.params.id })).data,
+    });
+
+    sendComposite(res, {
+      order: {
+        ...order,
+        items: (order.items || []).map((item) => ({
+          ...item,
+          product: data[`product:${item.productId}`],
+        })),
+      },
+      customer: data.customer,
+      shipping: data.shipping,
+    }, degraded);
+  },
+};
+
+/**
+ * Construye el router de los endpoints compuestos ("backend for frontend")
+ * Cada endpoint reparte llamadas en paralelo entre servicios y combina los resultados
+ * @param {Object} [composites] - Tabla de endpoints compuestos (por defecto se carga desde disco)
+ * @param {Object} [routeConfig] - Tabla de rutas, de la que se toman los servicios (por defecto la vigente)
+ * @returns {express.Router}
+ */
+const createCompositeRouter = (composites = loadCompositeConfig(), routeConfig = getRouteConfig()) => {
+  const router = express.Router();
+  const services = resolveServices(routeConfig.services);
+
+  for (const [name, composite] of Object.entries(composites)) {
+    const handler = handlers[name];
+    if (!handler) {
+      throw new Error(`No existe lógica de composición para el endpoint compuesto ${name}`);
+    }
+
+    const composer = createComposer(composite, services);
+    const method = composite.method.toLowerCase();
+    const chain = [];
+
+    if (composite.auth) {
+      chain.push(authMiddleware);
+    }
+    if (composite.rateLimit) {
+      chain.push(createRateLimiter(composite.rateLimit));
+    }
+    chain.push(createOpenApiValidator({ method, fullPath: composite.path }));
+
+    router[method](composite.path, ...chain, async (req, res, next) => {
+      try {
+        await handler(composer, req, res);
+      } catch (error) {
+        next(error);
+      }
+    });
+    logger.debug(`Endpoint compuesto registrado: ${method.toUpperCase()} ${composite.path}`);
+  }
+
+  return router;
+};
+
+module.exports = {
+  createCompositeRouter,
+};
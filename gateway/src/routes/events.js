@@ -0,0 +1,128 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { releaseInFlight } = require('../middleware/loadShedding');
+const eventRelay = require('../services/eventRelay');
+const logger = require('../utils/logger');
+
+// Máximo de temas por conexión
+const MAX_TOPICS = 20;
+
+// Conexiones simultáneas por usuario en cada réplica
+const MAX_CONNECTIONS = parseInt(process.env.EVENT_STREAM_MAX_CONNECTIONS, 10) || 5;
+
+// Intervalo del comentario que mantiene viva la conexión a través de proxies y balanceadores
+const HEARTBEAT_INTERVAL = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS, 10) || 25000;
+
+// Espera que se indica al cliente antes de reconectar (ms)
+const RECONNECT_DELAY = 5000;
+
+// Mayor espera admitida por setTimeout (unos 24 días)
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Temas pedidos en ?topics=orders,product:<id> (sin repetidos)
+ * @param {Object} req - Solicitud de Express
+ * @returns {Array<string>}
+ */
+const parseTopics = (req) => {
+  const topics = String(req.query.topics || '')
+    .split(',')
+    .map((topic) => topic.trim())
+    .filter(Boolean);
+  return [...new Set(topics)];
+};
+
+/**
+ * Escribe un evento con el formato de Server-Sent Events
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} frame - id (opcional), event y data
+ */
+const writeEvent = (res, { id, event, data }) => {
+  const lines = id !== undefined ? [`id: ${id}`] : [];
+  lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+  res.write(`${lines.join('\n')}\n\n`);
+};
+
+/**
+ * Abre el stream de eventos del usuario autenticado
+ * La conexión se cierra cuando el cliente se desconecta, cuando expira su token
+ * o cuando se revoca su sesión
+ */
+const openStream = (req, res) => {
+  const topics = parseTopics(req);
+  if (topics.length === 0) {
+    return res.status(400).json({ message: 'Indica al menos un tema en topics (ej: orders, order:<id>, product:<id>)' });
+  }
+  if (topics.length > MAX_TOPICS) {
+    return res.status(400).json({ message: `No se admiten más de ${MAX_TOPICS} temas por conexión` });
+  }
+  const invalid = topics.filter((topic) => !eventRelay.isValidTopic(topic));
+  if (invalid.length > 0) {
+    return res.status(400).json({ message: `Temas no válidos: ${invalid.join(', ')}` });
+  }
+  if (eventRelay.countConnections(req.user.id) >= MAX_CONNECTIONS) {
+    return res.status(429).json({ message: `Se alcanzó el máximo de ${MAX_CONNECTIONS} conexiones simultáneas al stream de eventos` });
+  }
+
+  // no-transform evita que compression acumule los eventos en su búfer
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Desactivar el búfer de nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  // Una conexión abierta no cuenta como solicitud en curso para el descarte de carga
+  releaseInFlight(res);
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  writeEvent(res, { event: 'subscribed', data: { topics } });
+
+  let unsubscribe = null;
+  let expiryTimer = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  };
+
+  const close = (reason) => {
+    writeEvent(res, { event: 'close', data: { reason } });
+    res.end();
+    cleanup();
+  };
+
+  unsubscribe = eventRelay.subscribe(req.user, topics, {
+    send: (id, event, data) => writeEvent(res, { id, event, data }),
+    close,
+  });
+
+  // El token no se vuelve a comprobar mientras la conexión sigue abierta; se corta al expirar
+  if (req.user.exp) {
+    expiryTimer = setTimeout(() => close('token_expired'), Math.min(MAX_TIMER_DELAY, Math.max(0, req.user.exp * 1000 - Date.now())));
+  }
+
+  res.on('close', cleanup);
+  logger.debug(`Stream de eventos abierto para el usuario ${req.user.id}: ${topics.join(', ')}`);
+};
+
+/**
+ * Crea el router del stream de eventos en tiempo real
+ * @returns {Object} - Router de Express
+ */
+const createEventsRouter = () => {
+  const router = express.Router();
+
+  router.get('/', authMiddleware, createRateLimiter({ bucket: 'events' }), openStream);
+
+  return router;
+};
+
+module.exports = {
+  createEventsRouter,
+};
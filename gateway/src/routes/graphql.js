@@ -0,0 +1,92 @@
+const express = require('express');
+const { GraphQLError } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const authMiddleware = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { createComposer } = require('../services/composer');
+const { createSchema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const { createDepthLimitRule, createComplexityLimitRule } = require('../graphql/limits');
+const logger = require('../utils/logger');
+const { getRouteConfig, loadGraphqlConfig, resolveServices } = require('./routeTable');
+
+/**
+ * Añade a los errores de GraphQL el motivo del fallo del servicio y oculta los errores internos
+ * @param {GraphQLError} error - Error producido al ejecutar la consulta
+ * @returns {GraphQLError}
+ */
+const formatError = (error) => {
+  const { originalError } = error;
+
+  if (!originalError || originalError instanceof GraphQLError) {
+    return error;
+  }
+
+  const details = originalError.reason
+    ? { reason: originalError.reason, ...(originalError.statusCode && { statusCode: originalError.statusCode }) }
+    : null;
+
+  if (!details) {
+    logger.error(`Error al resolver ${(error.path || []).join('.')}:`, originalError);
+  }
+
+  return new GraphQLError(details ? error.message : 'Error interno del gateway', {
+    nodes: error.nodes,
+    source: error.source,
+    positions: error.positions,
+    path: error.path,
+    originalError,
+    extensions: { ...error.extensions, ...(details || { reason: 'error' }) },
+  });
+};
+
+/**
+ * Construye el router del endpoint GraphQL
+ * Los resolvers llaman a las APIs REST de los servicios con el token del usuario,
+ * a través de loaders por solicitud que agrupan y deduplican las llamadas
+ * @param {Object} [config] - Configuración del endpoint (por defecto se carga desde disco)
+ * @param {Object} [routeConfig] - Tabla de rutas, de la que se toman los servicios (por defecto la vigente)
+ * @returns {express.Router}
+ */
+const createGraphqlRouter = (config = loadGraphqlConfig(), routeConfig = getRouteConfig()) => {
+  const router = express.Router();
+  const composer = createComposer(config, resolveServices(routeConfig.services));
+  const { maxDepth, maxComplexity, defaultListSize, maxListSize } = config.limits;
+  const chain = [];
+
+  if (config.auth) {
+    chain.push(authMiddleware);
+  }
+  if (config.rateLimit) {
+    chain.push(createRateLimiter(config.rateLimit));
+  }
+
+  const handler = createHandler({
+    schema: createSchema({ maxListSize }),
+    context: (req) => ({
+      user: req.raw.user,
+      loaders: createLoaders(composer, req.raw),
+    }),
+    // Los límites se calculan por solicitud para resolver el argumento limit desde las variables
+    validationRules: (req, args, specifiedRules) => [
+      ...specifiedRules,
+      createDepthLimitRule(maxDepth),
+      createComplexityLimitRule({
+        maxComplexity,
+        defaultListSize,
+        maxListSize,
+        variables: args.variableValues,
+      }),
+    ],
+    formatError,
+  });
+
+  router.all(config.path, ...chain, handler);
+  logger.debug(`Endpoint GraphQL registrado: ${config.path}`);
+
+  return router;
+};
+
+module.exports = {
+  createGraphqlRouter,
+};
@@ -0,0 +1,88 @@
+const axios = require('axios');
+const Redis = require('ioredis');
+const { createHealthRouter, checkRedis, withTimeout } = require('shared-lib/utils/healthCheck');
+const { checkConnection } = require('../messaging/consumer');
+const { getCircuitBreaker } = require('../services/upstreamProxy');
+const { getRouteConfig, resolveServices } = require('./routeTable');
+
+// Cliente Redis para comprobar la disponibilidad
+const redis = new Redis(process.env.REDIS_URL);
+
+// Tiempo máximo de espera por servicio en la vista agregada
+const SERVICE_CHECK_TIMEOUT = Number(process.env.HEALTH_CHECK_TIMEOUT || 2000);
+
+// Sondas /health/live y /health/ready con las dependencias propias del gateway
+// La disponibilidad de los servicios no forma parte de readiness para no propagar caídas
+const router = createHealthRouter({
+  redis: checkRedis(redis),
+  rabbitmq: checkConnection,
+});
+
+/**
+ * Consulta la sonda de readiness de un destino de un servicio
+ * @param {Object} service - Servicio resuelto de la tabla de rutas
+ * @param {Object} target - Destino (la versión estable o una en prueba)
+ * @returns {Promise<Object>} - Estado, latencia, dependencias y estado del circuit breaker
+ */
+const checkTarget = async (service, target) => {
+  const start = Date.now();
+  const circuitBreaker = getCircuitBreaker(service, target).state;
+
+  try {
+    const response = await withTimeout(axios.get(`${target.target}/health/ready`, {
+      timeout: SERVICE_CHECK_TIMEOUT,
+      validateStatus: () => true,
+    }), SERVICE_CHECK_TIMEOUT);
+
+    return {
+      status: response.status === 200 ? 'UP' : 'DOWN',
+      latencyMs: Date.now() - start,
+      dependencies: response.data && response.data.dependencies,
+      circuitBreaker,
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      latencyMs: Date.now() - start,
+      error: error.message,
+      circuitBreaker,
+    };
+  }
+};
+
+/**
+ * Consulta el estado de un servicio
+ * Si tiene versiones en prueba se informan en targets con su peso, pero el estado
+ * del servicio es el de la versión estable
+ * @param {Object} service - Servicio resuelto de la tabla de rutas
+ * @returns {Promise<Object>}
+ */
+const checkService = async (service) => {
+  const [stable, ...candidates] = service.targets;
+  const result = await checkTarget(service, stable);
+  if (candidates.length === 0) {
+    return result;
+  }
+
+  const targets = await Promise.all(candidates.map(async (target) => [
+    target.name,
+    { weight: target.weight, ...await checkTarget(service, target) },
+  ]));
+  return { ...result, weight: stable.weight, targets: Object.fromEntries(targets) };
+};
+
+/**
+ * Vista agregada del estado de todos los servicios de la tabla de rutas
+ */
+router.get('/services', async (req, res) => {
+  const services = Object.values(resolveServices(getRouteConfig().services));
+  const results = await Promise.all(services.map(async (service) => [service.name, await checkService(service)]));
+  const healthy = results.every(([, result]) => result.status === 'UP');
+
+  res.status(200).json({
+    status: healthy ? 'UP' : 'DEGRADED',
+    services: Object.fromEntries(results),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { createApiKeyAuth } = require('../middleware/apiKey');
+const { createIpAccess } = require('../middleware/ipAccess');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { createOpenApiValidator } = require('../middleware/openapiValidation');
+const { createResponseCache } = require('../middleware/responseCache');
+const { createIdempotency } = require('../middleware/idempotency');
+const { createUpstreamProxy } = require('../services/upstreamProxy');
+const runtimeConfig = require('../services/runtimeConfig');
+const logger = require('../utils/logger');
+const { getRouteConfig, loadCompositeConfig, loadGraphqlConfig, resolveServices, resolveRoute } = require('./routeTable');
+const { createReloadableRouter } = require('./reloadable');
+const { createCompositeRouter } = require('./composite');
+const { createGraphqlRouter } = require('./graphql');
+
+/**
+ * Responde a las rutas deshabilitadas desde la tabla de rutas ("disabled": true)
+ */
+const disabledRouteHandler = (req, res) => {
+  res.status(503).json({ status: 'error', message: 'Ruta deshabilitada temporalmente' });
+};
+
+/**
+ * Construye el router del gateway a partir de la tabla de rutas declarativa
+ * Cada endpoint encadena listas de IPs, autenticación, límite de tasa, validación, caché, idempotencia y proxy
+ * @param {Object} config - Tabla de rutas
+ * @returns {express.Router} - Router con todas las rutas del gateway
+ */
+const buildGatewayRouter = (config) => {
+  if (!config || typeof config.services !== 'object' || !Array.isArray(config.groups)) {
+    throw new Error('La tabla de rutas necesita un objeto services y un array groups');
+  }
+
+  const router = express.Router();
+  const services = resolveServices(config.services);
+  const proxies = new Map();
+
+  for (const group of config.groups) {
+    for (const endpoint of group.endpoints) {
+      const route = resolveRoute(group, endpoint, services);
+      const chain = [];
+
+      if (route.disabled) {
+        router[route.method](route.fullPath, disabledRouteHandler);
+        logger.debug(`Ruta deshabilitada: ${route.method.toUpperCase()} ${route.fullPath}`);
+        continue;
+      }
+
+      // Listas de IPs o rangos CIDR permitidos y denegados ("ipAccess")
+      if (route.ipAccess) {
+        try {
+          chain.push(createIpAccess(route));
+        } catch (error) {
+          throw new Error(`${error.message} en la ruta ${route.method.toUpperCase()} ${route.fullPath}`);
+        }
+      }
+
+      if (route.auth) {
+        // Las rutas con "apiKey" aceptan también las API keys de aplicaciones cliente
+        chain.push(route.apiKey ? createApiKeyAuth(route) : authMiddleware);
+      }
+
+      if (route.rateLimit) {
+        try {
+          chain.push(createRateLimiter(route.rateLimit));
+        } catch (error) {
+          throw new Error(`${error.message} en la ruta ${route.method.toUpperCase()} ${route.fullPath}`);
+        }
+      }
+
+      // Validar parámetros, query y cuerpo contra el esquema OpenAPI de la operación
+      chain.push(createOpenApiValidator(route));
+
+      // Caché HTTP de las lecturas configuradas con "cache"
+      if (route.cache) {
+        chain.push(createResponseCache(route));
+      }
+
+      // Idempotency-Key en las escrituras configuradas con "idempotency"
+      if (route.idempotency) {
+        chain.push(createIdempotency(route));
+      }
+
+      // Reutilizar el proxy entre rutas con el mismo destino y opciones
+      const proxyKey = JSON.stringify([route.service.name, route.pathRewrite, route.timeout, Boolean(route.cache)]);
+      if (!proxies.has(proxyKey)) {
+        proxies.set(proxyKey, createUpstreamProxy(route));
+      }
+      chain.push(proxies.get(proxyKey));
+
+      router[route.method](route.fullPath, ...chain);
+      logger.debug(`Ruta registrada: ${route.method.toUpperCase()} ${route.fullPath} -> ${route.service.name}`);
+    }
+  }
+
+  return router;
+};
+
+// Un cambio en la tabla de rutas solo se acepta si con ella se pueden construir todos los
+// routers que dependen de sus servicios: rutas, endpoints compuestos y GraphQL
+runtimeConfig.addValidator('routes', (routeConfig) => {
+  buildGatewayRouter(routeConfig);
+  createCompositeRouter(loadCompositeConfig(), routeConfig);
+  createGraphqlRouter(loadGraphqlConfig(), routeConfig);
+});
+
+/**
+ * Crea el router del gateway con la tabla de rutas vigente
+ * Se reconstruye cuando la tabla cambia desde la API de administración
+ * @returns {Function} - Middleware de Express
+ */
+const createGatewayRouter = () => createReloadableRouter(() => buildGatewayRouter(getRouteConfig()), ['routes']);
+
+module.exports = {
+  buildGatewayRouter,
+  createGatewayRouter,
+};
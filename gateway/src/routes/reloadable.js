@@ -0,0 +1,29 @@
+const runtimeConfig = require('../services/runtimeConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Envuelve un router que se reconstruye cuando cambian secciones de la configuración dinámica
+ * Las solicitudes en curso terminan con el router anterior; las nuevas usan el reconstruido.
+ * Si la reconstrucción falla se sigue sirviendo el router anterior
+ * @param {Function} build - Construye el router con la configuración vigente
+ * @param {Array<string>} sections - Secciones de las que depende (ej: ['routes'])
+ * @returns {Function} - Middleware de Express
+ */
+const createReloadableRouter = (build, sections) => {
+  let current = build();
+
+  const rebuild = () => {
+    try {
+      current = build();
+    } catch (error) {
+      logger.error('Error al reconstruir el router con la nueva configuración:', error);
+    }
+  };
+  sections.forEach((section) => runtimeConfig.onChange(section, rebuild));
+
+  return (req, res, next) => current(req, res, next);
+};
+
+module.exports = {
+  createReloadableRouter,
+};
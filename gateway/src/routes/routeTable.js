@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const runtimeConfig = require('../services/runtimeConfig');
+
+// Ruta por defecto de la tabla de rutas del gateway
+const DEFAULT_ROUTES_FILE = path.join(__dirname, '..', 'config', 'routes.json');
+
+// Ruta por defecto de la tabla de endpoints compuestos
+const DEFAULT_COMPOSITES_FILE = path.join(__dirname, '..', 'config', 'composites.json');
+
+// Ruta por defecto de la configuración del endpoint GraphQL
+const DEFAULT_GRAPHQL_FILE = path.join(__dirname, '..', 'config', 'graphql.json');
+
+// Métodos HTTP admitidos en la tabla de rutas
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Nombre del destino principal de cada servicio; el resto son versiones en prueba (canary)
+const STABLE_TARGET = 'stable';
+
+/**
+ * Carga la tabla de rutas desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_ROUTES_FILE
+ * @returns {Object} - Configuración de servicios y grupos de rutas
+ */
+const loadRouteConfig = () => {
+  const file = process.env.GATEWAY_ROUTES_FILE || DEFAULT_ROUTES_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// La tabla de rutas se puede modificar en caliente desde la API de administración
+runtimeConfig.defineSection('routes', loadRouteConfig);
+
+/**
+ * Tabla de rutas vigente (la de disco o la modificada desde la API de administración)
+ * @returns {Object} - Configuración de servicios y grupos de rutas
+ */
+const getRouteConfig = () => runtimeConfig.get('routes');
+
+/**
+ * Carga la tabla de endpoints compuestos desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_COMPOSITES_FILE
+ * @returns {Object} - Endpoints compuestos indexados por nombre
+ */
+const loadCompositeConfig = () => {
+  const file = process.env.GATEWAY_COMPOSITES_FILE || DEFAULT_COMPOSITES_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8')).composites;
+};
+
+/**
+ * Carga la configuración del endpoint GraphQL desde disco
+ * Permite sobrescribir el archivo con la variable GATEWAY_GRAPHQL_FILE
+ * @returns {Object} - Ruta, límites y llamadas a servicios del endpoint
+ */
+const loadGraphqlConfig = () => {
+  const file = process.env.GATEWAY_GRAPHQL_FILE || DEFAULT_GRAPHQL_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Resuelve los destinos de un servicio
+ * El primero es siempre la versión estable (la URL del propio servicio) y recibe el
+ * porcentaje de tráfico que no se asigna a las versiones declaradas en "targets"
+ * @param {string} name - Nombre del servicio
+ * @param {Object} service - Definición del servicio
+ * @param {string} target - URL resuelta de la versión estable
+ * @returns {Array<Object>} - Destinos con nombre, URL y peso (porcentaje)
+ */
+const resolveTargets = (name, service, target) => {
+  const extra = (service.targets || []).map((entry) => {
+    if (!entry.name || entry.name === STABLE_TARGET) {
+      throw new Error(`Los destinos adicionales del servicio ${name} necesitan un nombre distinto de "${STABLE_TARGET}"`);
+    }
+    if (!Number.isInteger(entry.weight) || entry.weight < 0 || entry.weight > 100) {
+      throw new Error(`El peso del destino ${entry.name} del servicio ${name} debe ser un entero entre 0 y 100`);
+    }
+    const url = entry.target || process.env[entry.urlEnv] || entry.url;
+    if (!url) {
+      throw new Error(`El destino ${entry.name} del servicio ${name} no tiene URL`);
+    }
+    return { ...entry, target: url };
+  });
+
+  const names = extra.map((entry) => entry.name);
+  if (new Set(names).size !== names.length) {
+    throw new Error(`Nombres de destino repetidos en el servicio ${name}`);
+  }
+
+  const assigned = extra.reduce((total, entry) => total + entry.weight, 0);
+  if (assigned > 100) {
+    throw new Error(`Los pesos de los destinos del servicio ${name} suman más de 100`);
+  }
+
+  return [{ name: STABLE_TARGET, target, weight: 100 - assigned }, ...extra];
+};
+
+/**
+ * Resuelve la URL de cada servicio y sus destinos
+ * Un target fijado desde la API de administración prevalece sobre la variable de entorno,
+ * y esta sobre la URL por defecto
+ * @param {Object} services - Definición de servicios de la tabla de rutas
+ * @returns {Object} - Servicios con su URL de destino resuelta
+ */
+const resolveServices = (services) => {
+  return Object.entries(services).reduce((resolved, [name, service]) => {
+    const target = service.target || process.env[service.urlEnv] || service.url;
+    resolved[name] = {
+      ...service,
+      name,
+      target,
+      targets: resolveTargets(name, service, target),
+    };
+    return resolved;
+  }, {});
+};
+
+/**
+ * Combina la configuración del grupo con la de cada endpoint y la valida
+ * @param {Object} group - Grupo de rutas con valores por defecto
+ * @param {Object} endpoint - Definición del endpoint
+ * @param {Object} services - Servicios resueltos
+ * @returns {Object} - Definición completa de la ruta
+ */
+const resolveRoute = (group, endpoint, services) => {
+  const { endpoints, ...defaults } = group;
+  const route = { ...defaults, ...endpoint };
+  const method = (route.method || '').toLowerCase();
+  const fullPath = `${route.prefix}${route.path === '/' ? '' : route.path}` || '/';
+
+  if (!HTTP_METHODS.includes(method)) {
+    throw new Error(`Método HTTP no soportado en la tabla de rutas: ${route.method} ${fullPath}`);
+  }
+
+  if (!services[route.service]) {
+    throw new Error(`Servicio desconocido "${route.service}" en la ruta ${method.toUpperCase()} ${fullPath}`);
+  }
+
+  return {
+    ...route,
+    method,
+    fullPath,
+    service: services[route.service],
+  };
+};
+
+module.exports = {
+  STABLE_TARGET,
+  loadRouteConfig,
+  getRouteConfig,
+  loadCompositeConfig,
+  loadGraphqlConfig,
+  resolveServices,
+  resolveRoute,
+};
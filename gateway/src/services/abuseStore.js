@@ -0,0 +1,120 @@
+const Redis = require('ioredis');
+
+// Cliente Redis para los contadores de abuso y los bloqueos (compartidos entre réplicas)
+const redis = new Redis(process.env.REDIS_URL);
+
+const COUNTER_PREFIX = 'abuse:count:';
+const OFFENSES_PREFIX = 'abuse:offenses:';
+const BAN_PREFIX = 'abuse:ban:';
+// Índice de bloqueos activos ordenado por fecha de expiración
+const BANS_INDEX = 'abuse:bans';
+
+/**
+ * Cuenta una respuesta sospechosa en la ventana de la regla y, si alcanza el umbral,
+ * reinicia el contador y suma una infracción a la IP
+ * Devuelve { bloquear, número de infracción }
+ */
+const RECORD_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+if count < tonumber(ARGV[2]) then
+  return { 0, 0 }
+end
+
+redis.call('DEL', KEYS[1])
+local offense = redis.call('INCR', KEYS[2])
+redis.call('EXPIRE', KEYS[2], ARGV[3])
+return { 1, offense }
+`;
+
+redis.defineCommand('abuseRecord', { numberOfKeys: 2, lua: RECORD_SCRIPT });
+
+/**
+ * Registra una respuesta que coincide con una regla de abuso
+ * @param {string} ip - IP del cliente
+ * @param {Object} rule - Regla (name, threshold, windowSeconds)
+ * @param {number} offenseTtlSeconds - Tiempo que se recuerdan las infracciones para escalar la duración
+ * @returns {Promise<number|null>} - Número de infracción si se alcanzó el umbral, o null
+ */
+const recordHit = async (ip, rule, offenseTtlSeconds) => {
+  const [exceeded, offense] = await redis.abuseRecord(
+    `${COUNTER_PREFIX}${rule.name}:${ip}`,
+    `${OFFENSES_PREFIX}${ip}`,
+    rule.windowSeconds,
+    rule.threshold,
+    offenseTtlSeconds
+  );
+  return exceeded ? offense : null;
+};
+
+/**
+ * Bloquea una IP durante un tiempo
+ * @param {Object} ban - ip, rule, offense y durationSeconds
+ * @returns {Promise<Object>} - Bloqueo guardado con sus fechas
+ */
+const saveBan = async ({ ip, rule, offense, durationSeconds }) => {
+  const now = Date.now();
+  const ban = {
+    ip,
+    rule,
+    offense,
+    durationSeconds,
+    bannedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + durationSeconds * 1000).toISOString(),
+  };
+
+  await redis.multi()
+    .set(`${BAN_PREFIX}${ip}`, JSON.stringify(ban), 'EX', durationSeconds)
+    .zadd(BANS_INDEX, now + durationSeconds * 1000, ip)
+    .exec();
+  return ban;
+};
+
+/**
+ * Bloqueo activo de una IP
+ * @param {string} ip - IP del cliente
+ * @returns {Promise<Object|null>}
+ */
+const getBan = async (ip) => {
+  const ban = await redis.get(`${BAN_PREFIX}${ip}`);
+  return ban ? JSON.parse(ban) : null;
+};
+
+/**
+ * Bloqueos activos, del que caduca antes al que caduca después
+ * @returns {Promise<Array<Object>>}
+ */
+const listBans = async () => {
+  await redis.zremrangebyscore(BANS_INDEX, '-inf', Date.now());
+  const ips = await redis.zrange(BANS_INDEX, 0, -1);
+  if (ips.length === 0) {
+    return [];
+  }
+
+  const bans = await redis.mget(ips.map((ip) => `${BAN_PREFIX}${ip}`));
+  return bans.filter(Boolean).map((ban) => JSON.parse(ban));
+};
+
+/**
+ * Levanta el bloqueo de una IP y olvida sus infracciones
+ * @param {string} ip - IP del cliente
+ * @returns {Promise<boolean>} - Si la IP estaba bloqueada
+ */
+const removeBan = async (ip) => {
+  const [[, removed]] = await redis.multi()
+    .del(`${BAN_PREFIX}${ip}`)
+    .zrem(BANS_INDEX, ip)
+    .del(`${OFFENSES_PREFIX}${ip}`)
+    .exec();
+  return removed > 0;
+};
+
+module.exports = {
+  recordHit,
+  saveBan,
+  getBan,
+  listBans,
+  removeBan,
+};
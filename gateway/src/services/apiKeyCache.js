@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createValidationCache } = require('./validationCache');
+
+const cache = createValidationCache({
+  name: 'API keys',
+  keyPrefix: 'auth:apikey:',
+  indexPrefix: 'auth:apikey:client:',
+  // Tiempo máximo (en segundos) que se confía en una verificación cacheada
+  maxTtl: parseInt(process.env.API_KEY_CACHE_TTL, 10) || 60,
+});
+
+/**
+ * Obtiene el identificador de la API key para usarlo como clave de caché
+ * La clave en claro nunca se guarda en Redis
+ * @param {string} apiKey - API key recibida
+ * @returns {string}
+ */
+const getKeyId = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Busca una verificación cacheada para la API key
+ * @param {string} apiKey - API key recibida
+ * @returns {Promise<Object|null>} - Resultado de verificación o null si no existe
+ */
+const getVerification = (apiKey) => cache.get(getKeyId(apiKey));
+
+/**
+ * Guarda el resultado de verificación de la API key, como mucho hasta su caducidad
+ * Registra además la clave en el índice de su aplicación para poder invalidarla por eventos
+ * @param {string} apiKey - API key recibida
+ * @param {Object} verification - Respuesta del servicio de autenticación
+ */
+const setVerification = (apiKey, verification) => cache.set(
+  getKeyId(apiKey),
+  verification.client.id,
+  verification,
+  verification.key && verification.key.expiresAt && new Date(verification.key.expiresAt).getTime()
+);
+
+/**
+ * Elimina todas las verificaciones cacheadas de una aplicación cliente
+ * @param {string} clientId - ID de la aplicación en el servicio de autenticación
+ */
+const invalidateClient = async (clientId) => {
+  const count = await cache.invalidate(clientId);
+  logger.info(`Caché de API keys invalidada para la aplicación ${clientId} (${count} claves)`);
+};
+
+module.exports = {
+  getVerification,
+  setVerification,
+  invalidateClient,
+};
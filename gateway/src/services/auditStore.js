@@ -0,0 +1,82 @@
+const Redis = require('ioredis');
+
+// Cliente Redis para el registro de auditoría (compartido entre réplicas)
+const redis = new Redis(process.env.REDIS_URL);
+
+// Stream de Redis con los registros; su ID es la fecha de inserción
+// El gateway solo añade: nunca recorta ni borra registros (el archivo a largo plazo se hace
+// consumiendo el evento audit.recorded)
+const STREAM_KEY = 'gateway:audit';
+
+// Registros que se leen de cada vez y máximo que se revisa por consulta
+const SCAN_BATCH = 500;
+const MAX_SCANNED = 10000;
+
+/**
+ * Añade un registro de auditoría
+ * @param {Object} record - Registro de la solicitud
+ * @returns {Promise<string>} - ID del registro en el stream
+ */
+const append = (record) => redis.xadd(STREAM_KEY, '*', 'record', JSON.stringify(record));
+
+/**
+ * Indica si un registro cumple los filtros de la consulta
+ * @param {Object} record - Registro de auditoría
+ * @param {Object} filters - userId, clientId, resource y resourceId
+ * @returns {boolean}
+ */
+const matchesFilters = (record, filters) => ['userId', 'clientId', 'resource', 'resourceId']
+  .every((field) => filters[field] === undefined || String(record[field]) === filters[field]);
+
+/**
+ * Busca registros, del más reciente al más antiguo
+ * Cada consulta revisa como mucho MAX_SCANNED registros; si quedan más por revisar devuelve
+ * nextCursor para continuar desde ahí aunque no se haya llegado a limit
+ * @param {Object} query - Filtros (userId, clientId, resource, resourceId), rango (from, to), limit y cursor
+ * @returns {Promise<Object>} - { records, nextCursor }
+ */
+const search = async ({ from, to, limit, cursor, ...filters }) => {
+  const start = from ? String(from.getTime()) : '-';
+  let end = to ? String(to.getTime()) : '+';
+  if (cursor) {
+    // El cursor es el ID del último registro devuelto; se continúa justo después
+    end = `(${cursor}`;
+  }
+
+  const records = [];
+  let scanned = 0;
+  let exhausted = false;
+  let lastId = null;
+
+  while (!exhausted && records.length < limit && scanned < MAX_SCANNED) {
+    const count = Math.min(SCAN_BATCH, MAX_SCANNED - scanned);
+    const entries = await redis.xrevrange(STREAM_KEY, end, start, 'COUNT', count);
+    exhausted = entries.length < count;
+
+    for (let index = 0; index < entries.length; index += 1) {
+      const [id, fields] = entries[index];
+      scanned += 1;
+      lastId = id;
+      end = `(${id}`;
+
+      const record = { id, ...JSON.parse(fields[1]) };
+      if (matchesFilters(record, filters)) {
+        records.push(record);
+        if (records.length === limit) {
+          exhausted = exhausted && index === entries.length - 1;
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    records,
+    nextCursor: exhausted ? null : lastId,
+  };
+};
+
+module.exports = {
+  append,
+  search,
+};
@@ -0,0 +1,143 @@
+const axios = require('axios');
+const { getCircuitBreaker } = require('./upstreamProxy');
+const { upstreamRequestDuration } = require('../utils/metrics');
+const { STABLE_TARGET } = require('../routes/routeTable');
+const logger = require('../utils/logger');
+
+// Tiempo máximo por llamada si la tabla de endpoints compuestos no lo indica
+const DEFAULT_CALL_TIMEOUT = 2000;
+
+/**
+ * Sustituye los parámetros de Express (/orders/:id) de una ruta por sus valores
+ * @param {string} template - Ruta con parámetros
+ * @param {Object} params - Valores de los parámetros
+ * @returns {string}
+ */
+const buildPath = (template, params) => {
+  return template.replace(/:(\w+)/g, (match, name) => {
+    if (params[name] === undefined) {
+      throw new Error(`Falta el parámetro ${name} para ${template}`);
+    }
+    return encodeURIComponent(params[name]);
+  });
+};
+
+/**
+ * Crea un error de llamada con la información necesaria para describir la sección degradada
+ * @param {string} message - Mensaje del error
+ * @param {Object} details - reason (timeout, unavailable, circuit_open o http) y statusCode
+ * @returns {Error}
+ */
+const createCallError = (message, details) => Object.assign(new Error(message), details);
+
+/**
+ * Crea el compositor de un endpoint compuesto (también lo usa el endpoint GraphQL)
+ * Cada llamada usa el circuit breaker del servicio, su propio tiempo límite
+ * y reenvía la identidad del usuario para que el servicio aplique sus permisos
+ * @param {Object} composite - Definición del endpoint, con su ruta y sus llamadas
+ * @param {Object} services - Servicios resueltos de la tabla de rutas
+ * @returns {Object} - Compositor con el método call
+ */
+const createComposer = (composite, services) => {
+  const calls = Object.fromEntries(Object.entries(composite.calls).map(([name, call]) => {
+    if (!services[call.service]) {
+      throw new Error(`Servicio desconocido "${call.service}" en la llamada ${name} de ${composite.path}`);
+    }
+    return [name, { ...call, service: services[call.service] }];
+  }));
+
+  /**
+   * Ejecuta una llamada declarada en la tabla de endpoints compuestos
+   * @param {Object} req - Solicitud de Express original
+   * @param {string} name - Nombre de la llamada
+   * @param {Object} [params] - Parámetros de la ruta del servicio
+   * @param {Object} [extraQuery] - Parámetros de consulta que se suman a los de la tabla
+   * @returns {Promise<Object>} - Cuerpo de la respuesta del servicio
+   */
+  const call = async (req, name, params = {}, extraQuery = {}) => {
+    const { service, path, query, timeout = DEFAULT_CALL_TIMEOUT } = calls[name];
+    const breaker = getCircuitBreaker(service);
+    const endTimer = upstreamRequestDuration.startTimer({ upstream: service.name, target: STABLE_TARGET, method: 'GET' });
+
+    let response;
+    try {
+      response = await breaker.fire(async () => {
+        const result = await axios.get(`${service.target}${buildPath(path, params)}`, {
+          params: { ...query, ...extraQuery },
+          timeout,
+          headers: { Authorization: req.headers.authorization },
+          // Los códigos 4xx no son fallos del servicio y no deben abrir el circuito
+          validateStatus: () => true,
+        });
+
+        if (result.status >= 500) {
+          throw createCallError(`Respuesta ${result.status} del ${service.label}`, { reason: 'unavailable', statusCode: result.status });
+        }
+        return result;
+      });
+    } catch (error) {
+      if (error.name === 'CircuitOpenError') {
+        endTimer({ status_code: 'circuit_open' });
+        throw createCallError(`El ${service.label} no está disponible temporalmente`, { reason: 'circuit_open' });
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        endTimer({ status_code: 'timeout' });
+        throw createCallError(`Tiempo de espera agotado con el ${service.label}`, { reason: 'timeout' });
+      }
+      endTimer({ status_code: error.statusCode || 'error' });
+      if (error.reason) {
+        throw error;
+      }
+      throw createCallError(`Error al conectar con el ${service.label}`, { reason: 'unavailable' });
+    }
+
+    endTimer({ status_code: response.status });
+
+    if (response.status >= 400) {
+      const message = (response.data && response.data.message) || `Respuesta ${response.status} del ${service.label}`;
+      throw createCallError(message, { reason: 'http', statusCode: response.status });
+    }
+    return response.data;
+  };
+
+  return { call };
+};
+
+/**
+ * Ejecuta en paralelo las secciones de una respuesta compuesta
+ * Una sección que falla se devuelve como null y se describe en degraded
+ * en lugar de hacer fallar toda la respuesta
+ * @param {Object} sections - Funciones que obtienen cada sección, indexadas por nombre
+ * @returns {Promise<Object>} - data (valor de cada sección) y degraded (secciones fallidas)
+ */
+const composeSections = async (sections) => {
+  const names = Object.keys(sections);
+  const results = await Promise.allSettled(names.map((name) => sections[name]()));
+  const data = {};
+  const degraded = [];
+
+  results.forEach((result, index) => {
+    const name = names[index];
+    if (result.status === 'fulfilled') {
+      data[name] = result.value;
+      return;
+    }
+
+    const { reason: error } = result;
+    logger.warn(`Sección ${name} degradada: ${error.message}`);
+    data[name] = null;
+    degraded.push({
+      section: name,
+      reason: error.reason || 'error',
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      message: error.message,
+    });
+  });
+
+  return { data, degraded };
+};
+
+module.exports = {
+  createComposer,
+  composeSections,
+};
@@ -0,0 +1,139 @@
+const { eventStreamConnections } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Eventos de productos que se reenvían a los clientes (los de pedidos se reenvían todos)
+const RELAYED_PRODUCT_EVENTS = ['product.stock_updated', 'product.updated', 'product.deleted'];
+
+// Temas admitidos: los pedidos propios, un pedido concreto o un producto
+const TOPIC_PATTERNS = [
+  /^orders$/,
+  /^order:[A-Za-z0-9-]{1,64}$/,
+  /^product:[A-Za-z0-9-]{1,64}$/,
+];
+
+// Conexiones abiertas en esta réplica: id -> { user, topics, send, close }
+const subscribers = new Map();
+let nextSubscriberId = 1;
+
+// Identificador incremental de los eventos enviados por esta réplica
+let nextEventId = 1;
+
+/**
+ * Comprueba si un tema tiene un formato admitido
+ * @param {string} topic - Tema (ej: 'orders', 'order:<id>', 'product:<id>')
+ * @returns {boolean}
+ */
+const isValidTopic = (topic) => TOPIC_PATTERNS.some((pattern) => pattern.test(topic));
+
+/**
+ * Indica si un evento de RabbitMQ se reenvía a los clientes
+ * @param {string} event - Clave de enrutamiento del evento
+ * @returns {boolean}
+ */
+const isRelayedEvent = (event) => event.startsWith('order.') || RELAYED_PRODUCT_EVENTS.includes(event);
+
+/**
+ * Indica si un evento corresponde a un tema para un usuario
+ * Los eventos de pedidos solo llegan a su propietario; un administrador puede seguir
+ * cualquier pedido por su ID, pero en 'orders' solo recibe los suyos
+ * @param {string} topic - Tema suscrito
+ * @param {Object} user - Usuario del JWT
+ * @param {string} event - Clave de enrutamiento del evento
+ * @param {Object} data - Datos del evento
+ * @returns {boolean}
+ */
+const matchesTopic = (topic, user, event, data) => {
+  if (event.startsWith('order.')) {
+    const isOwner = data.userId !== undefined && String(data.userId) === String(user.id);
+    if (topic === 'orders') {
+      return isOwner;
+    }
+    return topic === `order:${data.orderId}` && (isOwner || user.role === 'admin');
+  }
+  return topic === `product:${data.productId}`;
+};
+
+/**
+ * Registra una conexión del stream de eventos
+ * @param {Object} user - Usuario del JWT
+ * @param {Array<string>} topics - Temas ya validados
+ * @param {Object} handlers - send(id, event, data) y close(reason)
+ * @returns {Function} - Elimina la suscripción
+ */
+const subscribe = (user, topics, { send, close }) => {
+  const id = nextSubscriberId;
+  nextSubscriberId += 1;
+  subscribers.set(id, { user, topics, send, close });
+  eventStreamConnections.inc();
+
+  return () => {
+    if (subscribers.delete(id)) {
+      eventStreamConnections.dec();
+    }
+  };
+};
+
+/**
+ * Conexiones abiertas de un usuario en esta réplica
+ * @param {string} userId - ID del usuario
+ * @returns {number}
+ */
+const countConnections = (userId) => [...subscribers.values()]
+  .filter((subscriber) => String(subscriber.user.id) === String(userId))
+  .length;
+
+/**
+ * Envía un evento a las conexiones suscritas a alguno de sus temas
+ * Un cliente que falla no impide la entrega al resto
+ * @param {string} event - Clave de enrutamiento del evento
+ * @param {Object} data - Datos del evento
+ * @returns {number} - Conexiones a las que se envió
+ */
+const relay = (event, data) => {
+  if (!isRelayedEvent(event) || !data) {
+    return 0;
+  }
+
+  const id = nextEventId;
+  nextEventId += 1;
+  let delivered = 0;
+
+  for (const subscriber of subscribers.values()) {
+    if (subscriber.topics.some((topic) => matchesTopic(topic, subscriber.user, event, data))) {
+      try {
+        subscriber.send(id, event, data);
+        delivered += 1;
+      } catch (error) {
+        logger.error(`Error al enviar el evento ${event} al stream del usuario ${subscriber.user.id}:`, error);
+      }
+    }
+  }
+
+  if (delivered > 0) {
+    logger.debug(`Evento ${event} reenviado a ${delivered} conexiones`);
+  }
+  return delivered;
+};
+
+/**
+ * Cierra las conexiones de un usuario (cierre de sesión, desactivación o eliminación)
+ * @param {string} userId - ID del usuario (el del JWT)
+ * @param {string} reason - Motivo que se envía al cliente antes de cerrar
+ */
+const disconnectUser = (userId, reason) => {
+  for (const subscriber of [...subscribers.values()]) {
+    if (String(subscriber.user.id) === String(userId)) {
+      subscriber.close(reason);
+    }
+  }
+};
+
+module.exports = {
+  isValidTopic,
+  isRelayedEvent,
+  subscribe,
+  countConnections,
+  relay,
+  disconnectUser,
+  RELAYED_PRODUCT_EVENTS,
+};
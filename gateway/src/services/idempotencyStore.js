@@ -0,0 +1,54 @@
+const Redis = require('ioredis');
+
+// Cliente Redis para los registros de Idempotency-Key (compartidos entre réplicas)
+const redis = new Redis(process.env.REDIS_URL);
+
+const KEY_PREFIX = 'gateway:idempotency:';
+
+/**
+ * Reserva una clave para la primera solicitud que la usa
+ * La reserva caduca sola si la solicitud no llega a completarse
+ * @param {string} key - Clave del registro
+ * @param {Object} record - Registro en curso (huella de la solicitud e inicio)
+ * @param {number} lockTtlMs - Duración máxima de la reserva
+ * @returns {Promise<boolean>} - true si la clave estaba libre
+ */
+const acquire = async (key, record, lockTtlMs) => {
+  const result = await redis.set(`${KEY_PREFIX}${key}`, JSON.stringify(record), 'PX', lockTtlMs, 'NX');
+  return result === 'OK';
+};
+
+/**
+ * Obtiene el registro de una clave
+ * @param {string} key - Clave del registro
+ * @returns {Promise<Object|null>}
+ */
+const get = async (key) => {
+  const stored = await redis.get(`${KEY_PREFIX}${key}`);
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Guarda la respuesta de la solicitud original para repetirla en los reintentos
+ * @param {string} key - Clave del registro
+ * @param {Object} record - Registro completado con la respuesta
+ * @param {number} ttl - Segundos que se conserva la respuesta
+ */
+const complete = async (key, record, ttl) => {
+  await redis.set(`${KEY_PREFIX}${key}`, JSON.stringify(record), 'EX', ttl);
+};
+
+/**
+ * Libera una clave para que la solicitud se pueda volver a intentar
+ * @param {string} key - Clave del registro
+ */
+const release = async (key) => {
+  await redis.del(`${KEY_PREFIX}${key}`);
+};
+
+module.exports = {
+  acquire,
+  get,
+  complete,
+  release,
+};
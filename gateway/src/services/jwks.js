@@ -0,0 +1,5 @@
+const { createJwksClient } = require('shared-lib/utils/jwks');
+const logger = require('../utils/logger');
+
+// Cliente JWKS del gateway, compartido por la autenticación y el modo mantenimiento
+module.exports = createJwksClient({ logger });
@@ -0,0 +1,330 @@
+const path = require('path');
+const axios = require('axios');
+const swaggerJsDoc = require('swagger-jsdoc');
+const {
+  getRouteConfig,
+  loadCompositeConfig,
+  resolveServices,
+  resolveRoute,
+} = require('../routes/routeTable');
+const logger = require('../utils/logger');
+
+// Tiempo máximo para obtener la especificación de cada servicio
+const OPENAPI_FETCH_TIMEOUT = Number(process.env.OPENAPI_FETCH_TIMEOUT || 3000);
+// Segundos durante los que se reutiliza la especificación unificada
+const OPENAPI_CACHE_TTL = Number(process.env.OPENAPI_CACHE_TTL || 60);
+
+// Fragmentos locales del gateway, usados cuando un servicio no responde
+const LOCAL_DOCS = path.join(__dirname, '..', 'docs', '*.yaml');
+
+// Tipos de componentes que se combinan entre especificaciones
+const COMPONENT_TYPES = ['schemas', 'responses', 'parameters', 'requestBodies', 'headers', 'examples'];
+
+const PORT = process.env.PORT || 3000;
+
+/**
+ * Definición base del documento unificado
+ * @returns {Object}
+ */
+const createBaseDefinition = () => ({
+  openapi: '3.0.0',
+  info: {
+    title: 'API Microservicios',
+    version: '2.0.0',
+    description: 'Documentación unificada de la API de microservicios expuesta por el gateway',
+    license: {
+      name: 'MIT',
+      url: 'https://opensource.org/licenses/MIT',
+    },
+    contact: {
+      name: 'Edgar Alberto Ng Angulo',
+      email: 'its_shark03@protonmail.com',
+    },
+  },
+  servers: [
+    {
+      url: `http://localhost:${PORT}`,
+      description: 'Servidor de desarrollo',
+    },
+  ],
+  tags: [],
+  paths: {},
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Token de acceso emitido por /api/v1/auth/login',
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'API key de una aplicación cliente (también se admite Authorization: ApiKey <clave>)',
+      },
+    },
+  },
+});
+
+/**
+ * Convierte una ruta de Express (/orders/:id) al formato de OpenAPI (/orders/{id})
+ * @param {string} expressPath - Ruta con parámetros de Express
+ * @returns {string}
+ */
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Plantilla de una ruta sin nombres de parámetros, para comparar rutas equivalentes
+ * @param {string} openApiPath - Ruta en formato OpenAPI
+ * @returns {string}
+ */
+const toPathTemplate = (openApiPath) => openApiPath.replace(/\{[^}]+\}/g, '{}');
+
+/**
+ * Aplica el pathRewrite del grupo para obtener la ruta que expone el servicio
+ * @param {string} gatewayPath - Ruta pública del gateway
+ * @param {Object} pathRewrite - Reglas de reescritura de la tabla de rutas
+ * @returns {string}
+ */
+const toServicePath = (gatewayPath, pathRewrite = {}) => {
+  return Object.entries(pathRewrite).reduce(
+    (current, [pattern, replacement]) => current.replace(new RegExp(pattern), replacement),
+    gatewayPath
+  );
+};
+
+/**
+ * Busca la operación de una ruta en una especificación, sin depender del nombre de los parámetros
+ * @param {Object} spec - Especificación OpenAPI
+ * @param {string} specPath - Ruta buscada en formato OpenAPI
+ * @param {string} method - Método HTTP en minúsculas
+ * @returns {Object|null} - Operación y ruta encontrada en la especificación
+ */
+const findOperation = (spec, specPath, method) => {
+  const template = toPathTemplate(specPath);
+  const match = Object.keys(spec.paths || {}).find((candidate) => toPathTemplate(candidate) === template);
+
+  if (!match || !spec.paths[match][method]) {
+    return null;
+  }
+  return { operation: spec.paths[match][method], sourcePath: match };
+};
+
+/**
+ * Renombra los parámetros de ruta de la operación para que coincidan con la ruta del gateway
+ * @param {Object} operation - Operación OpenAPI
+ * @param {string} sourcePath - Ruta original de la operación
+ * @param {string} targetPath - Ruta pública del gateway
+ * @returns {Object} - Copia de la operación
+ */
+const renamePathParameters = (operation, sourcePath, targetPath) => {
+  const sourceNames = (sourcePath.match(/\{([^}]+)\}/g) || []).map((name) => name.slice(1, -1));
+  const targetNames = (targetPath.match(/\{([^}]+)\}/g) || []).map((name) => name.slice(1, -1));
+  const renames = Object.fromEntries(sourceNames.map((name, index) => [name, targetNames[index]]));
+
+  return {
+    ...operation,
+    parameters: (operation.parameters || []).map((parameter) => (
+      parameter.in === 'path' && renames[parameter.name]
+        ? { ...parameter, name: renames[parameter.name] }
+        : parameter
+    )),
+  };
+};
+
+/**
+ * Obtiene la especificación publicada por un servicio en /openapi.json
+ * @param {Object} service - Servicio resuelto de la tabla de rutas
+ * @returns {Promise<Object|null>} - Especificación, o null si el servicio no responde
+ */
+const fetchServiceSpec = async (service) => {
+  try {
+    const { data } = await axios.get(`${service.target}/openapi.json`, { timeout: OPENAPI_FETCH_TIMEOUT });
+    if (!data || typeof data.paths !== 'object') {
+      throw new Error('Documento OpenAPI no válido');
+    }
+    return data;
+  } catch (error) {
+    logger.warn(`No se pudo obtener la especificación OpenAPI de ${service.name}, se usará la documentación local: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Incorpora las etiquetas y componentes de una especificación al documento unificado
+ * En caso de conflicto se conserva la primera definición
+ * @param {Object} target - Documento unificado
+ * @param {Object} source - Especificación de origen
+ * @param {string} sourceName - Nombre del origen para los avisos
+ */
+const mergeDefinitions = (target, source, sourceName) => {
+  (source.tags || []).forEach((tag) => {
+    if (!target.tags.some((existing) => existing.name === tag.name)) {
+      target.tags.push(tag);
+    }
+  });
+
+  COMPONENT_TYPES.forEach((type) => {
+    Object.entries((source.components || {})[type] || {}).forEach(([name, definition]) => {
+      target.components[type] = target.components[type] || {};
+      if (target.components[type][name]) {
+        if (JSON.stringify(target.components[type][name]) !== JSON.stringify(definition)) {
+          logger.warn(`Componente ${type}/${name} de ${sourceName} en conflicto con una definición previa; se conserva la primera`);
+        }
+        return;
+      }
+      target.components[type][name] = definition;
+    });
+  });
+};
+
+/**
+ * Documenta la cabecera Idempotency-Key de una ruta que la admite
+ * @param {Object} idempotency - Configuración de idempotencia de la ruta
+ * @returns {Object} - Parámetro OpenAPI
+ */
+const createIdempotencyParameter = (idempotency) => ({
+  in: 'header',
+  name: 'Idempotency-Key',
+  required: Boolean(idempotency.required),
+  description: 'Clave única de la operación; los reintentos con la misma clave y el mismo cuerpo devuelven la respuesta original',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+});
+
+/**
+ * Requisitos de seguridad de una ruta: JWT y, si la ruta lo admite, API key de aplicación cliente
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {Array<Object>} - Alternativas de seguridad OpenAPI
+ */
+const getRouteSecurity = (route) => {
+  if (!route.auth) {
+    return [];
+  }
+  return route.apiKey ? [{ bearerAuth: [] }, { apiKeyAuth: [] }] : [{ bearerAuth: [] }];
+};
+
+/**
+ * Construye la especificación unificada del gateway
+ * Solo se publican las rutas declaradas en la tabla de rutas, con sus rutas públicas
+ * y su requisito de autenticación; la documentación de cada operación procede del
+ * servicio o, si no está disponible, de los fragmentos locales del gateway
+ * @param {Object} [config] - Tabla de rutas (por defecto la vigente)
+ * @returns {Promise<Object>} - Documento OpenAPI 3.0
+ */
+const buildUnifiedSpec = async (config = getRouteConfig()) => {
+  const services = resolveServices(config.services);
+  const spec = createBaseDefinition();
+  const localSpec = swaggerJsDoc({ definition: { openapi: '3.0.0', info: spec.info }, apis: [LOCAL_DOCS] });
+
+  const serviceSpecs = Object.fromEntries(await Promise.all(
+    Object.values(services).map(async (service) => [service.name, await fetchServiceSpec(service)])
+  ));
+
+  Object.entries(serviceSpecs).forEach(([name, serviceSpec]) => {
+    if (serviceSpec) {
+      mergeDefinitions(spec, serviceSpec, name);
+    }
+  });
+  mergeDefinitions(spec, localSpec, 'gateway');
+
+  for (const group of config.groups) {
+    for (const endpoint of group.endpoints) {
+      const route = resolveRoute(group, endpoint, services);
+      const gatewayPath = toOpenApiPath(route.fullPath);
+      const serviceSpec = serviceSpecs[route.service.name];
+
+      const found = (serviceSpec && findOperation(serviceSpec, toServicePath(gatewayPath, route.pathRewrite), route.method))
+        || findOperation(localSpec, gatewayPath, route.method);
+
+      const operation = found
+        ? renamePathParameters(found.operation, found.sourcePath, gatewayPath)
+        : { summary: `${route.method.toUpperCase()} ${gatewayPath}`, responses: { default: { description: 'Respuesta del servicio' } } };
+
+      spec.paths[gatewayPath] = spec.paths[gatewayPath] || {};
+      spec.paths[gatewayPath][route.method] = {
+        ...operation,
+        ...(route.idempotency && { parameters: [...(operation.parameters || []), createIdempotencyParameter(route.idempotency)] }),
+        security: getRouteSecurity(route),
+        ...(route.apiKey && { 'x-api-key-scopes': route.apiKey.scopes || [] }),
+        'x-upstream': route.service.name,
+      };
+    }
+  }
+
+  // Los endpoints compuestos pertenecen al gateway y se documentan solo en los fragmentos locales
+  for (const composite of Object.values(loadCompositeConfig())) {
+    const method = composite.method.toLowerCase();
+    const gatewayPath = toOpenApiPath(composite.path);
+    const found = findOperation(localSpec, gatewayPath, method);
+
+    spec.paths[gatewayPath] = spec.paths[gatewayPath] || {};
+    spec.paths[gatewayPath][method] = {
+      ...(found ? found.operation : { summary: `${method.toUpperCase()} ${gatewayPath}`, responses: { default: { description: 'Respuesta compuesta' } } }),
+      security: composite.auth ? [{ bearerAuth: [] }] : [],
+      'x-composite': [...new Set(Object.values(composite.calls).map((call) => call.service))],
+    };
+  }
+
+  // Publicar solo las etiquetas que usa alguna operación expuesta
+  const usedTags = new Set(Object.values(spec.paths)
+    .flatMap((operations) => Object.values(operations))
+    .flatMap((operation) => operation.tags || []));
+  spec.tags = spec.tags.filter((tag) => usedTags.has(tag.name));
+
+  return spec;
+};
+
+let cachedSpec = null;
+let cachedAt = 0;
+let pendingBuild = null;
+
+/**
+ * Devuelve la especificación unificada, reconstruyéndola cuando caduca la caché
+ * Mientras se reconstruye se sigue sirviendo la versión anterior y las
+ * solicitudes simultáneas comparten la misma reconstrucción
+ * @returns {Promise<Object>}
+ */
+const getUnifiedSpec = async () => {
+  const fresh = cachedSpec && Date.now() - cachedAt < OPENAPI_CACHE_TTL * 1000;
+
+  if (!fresh && !pendingBuild) {
+    pendingBuild = buildUnifiedSpec()
+      .then((spec) => {
+        cachedSpec = spec;
+        cachedAt = Date.now();
+        return spec;
+      })
+      .catch((error) => {
+        // Conservar la versión anterior si la reconstrucción falla
+        if (cachedSpec) {
+          logger.error('Error al reconstruir la especificación OpenAPI unificada:', error);
+          return cachedSpec;
+        }
+        throw error;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return cachedSpec || pendingBuild;
+};
+
+/**
+ * Manejador de la ruta /openapi.json del gateway
+ */
+const openapiHandler = async (req, res, next) => {
+  try {
+    res.status(200).json(await getUnifiedSpec());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  toOpenApiPath,
+  toServicePath,
+  buildUnifiedSpec,
+  getUnifiedSpec,
+  openapiHandler,
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+// Cliente Redis para almacenar el estado de los límites (compartido entre réplicas)
+const redis = new Redis(process.env.REDIS_URL);
+
+/**
+ * Ventana fija: contador por ventana más un contador opcional de ráfaga
+ * Solo consume cuando la solicitud se permite
+ * Devuelve { permitido, restantes, ms hasta el reinicio, ms hasta reintentar }
+ */
+const FIXED_WINDOW_SCRIPT = `
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local burstWindow = tonumber(ARGV[4])
+local burstLimit = tonumber(ARGV[5])
+
+local function state(key, ttlDefault)
+  local used = tonumber(redis.call('GET', key) or '0')
+  local ttl = redis.call('PTTL', key)
+  if ttl < 0 then ttl = ttlDefault end
+  return used, ttl
+end
+
+local function consume(key, ttl)
+  local used = redis.call('INCRBY', key, cost)
+  if redis.call('PTTL', key) < 0 then redis.call('PEXPIRE', key, ttl) end
+  return used
+end
+
+local used, ttl = state(KEYS[1], window)
+local burstUsed, burstTtl = 0, 0
+local windowOk = used + cost <= limit
+local burstOk = true
+if burstWindow > 0 then
+  burstUsed, burstTtl = state(KEYS[2], burstWindow)
+  burstOk = burstUsed + cost <= burstLimit
+end
+
+if windowOk and burstOk then
+  used = consume(KEYS[1], window)
+  if burstWindow > 0 then consume(KEYS[2], burstWindow) end
+  return { 1, math.max(0, limit - used), ttl, 0 }
+end
+
+local retryAfter = 0
+if not windowOk then retryAfter = ttl end
+if not burstOk then retryAfter = math.max(retryAfter, burstTtl) end
+return { 0, math.max(0, limit - used), ttl, retryAfter }
+`;
+
+/**
+ * Ventana deslizante (registro): cada unidad consumida es una entrada con su marca de tiempo
+ * La ráfaga se evalúa contando las entradas de la subventana más reciente
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local burstWindow = tonumber(ARGV[5])
+local burstLimit = tonumber(ARGV[6])
+local member = ARGV[7]
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local used = redis.call('ZCARD', key)
+local burstUsed = 0
+if burstWindow > 0 then
+  burstUsed = redis.call('ZCOUNT', key, '(' .. (now - burstWindow), '+inf')
+end
+
+-- Tiempo hasta que la entrada en la posición index (ascendente) salga de la ventana
+local function expiresIn(index, span)
+  local entry = redis.call('ZRANGE', key, index, index, 'WITHSCORES')
+  if entry[2] == nil then return span end
+  return math.max(0, tonumber(entry[2]) + span - now)
+end
+
+local windowOk = used + cost <= limit
+local burstOk = burstWindow == 0 or burstUsed + cost <= burstLimit
+
+local retryAfter = 0
+if windowOk and burstOk then
+  for i = 1, cost do
+    redis.call('ZADD', key, now, member .. ':' .. i)
+  end
+  used = used + cost
+else
+  if not windowOk then
+    retryAfter = expiresIn(used + cost - limit - 1, window)
+  end
+  if not burstOk then
+    local firstBurstEntry = used - burstUsed
+    retryAfter = math.max(retryAfter, expiresIn(firstBurstEntry + burstUsed + cost - burstLimit - 1, burstWindow))
+  end
+end
+
+redis.call('PEXPIRE', key, window)
+local reset = 0
+if used > 0 then reset = expiresIn(0, window) end
+
+return { (windowOk and burstOk) and 1 or 0, math.max(0, limit - used), reset, retryAfter }
+`;
+
+/**
+ * Token bucket: el cubo se rellena de forma continua a razón de max / windowMs
+ * y su capacidad determina la ráfaga máxima admitida
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local rate = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+local bucket = redis.call('HMGET', key, 'tokens', 'ts')
+local tokens = tonumber(bucket[1])
+local ts = tonumber(bucket[2])
+if tokens == nil or ts == nil then
+  tokens = capacity
+  ts = now
+end
+
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+local allowed = 0
+local retryAfter = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfter = math.ceil((cost - tokens) / rate)
+end
+
+redis.call('HSET', key, 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', key, math.ceil(capacity / rate))
+
+return { allowed, math.floor(tokens), math.ceil((capacity - tokens) / rate), retryAfter }
+`;
+
+redis.defineCommand('rateLimitFixedWindow', { numberOfKeys: 2, lua: FIXED_WINDOW_SCRIPT });
+redis.defineCommand('rateLimitSlidingWindow', { numberOfKeys: 1, lua: SLIDING_WINDOW_SCRIPT });
+redis.defineCommand('rateLimitTokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+
+/**
+ * Estrategias disponibles, seleccionables con el campo "algorithm" de cada política
+ * Cada una devuelve el límite de la ventana, la ráfaga admitida si la hay y el resultado del script
+ */
+const strategies = {
+  'fixed-window': async (key, policy, cost) => {
+    const burst = policy.burst || { windowMs: 0, max: 0 };
+    const result = await redis.rateLimitFixedWindow(
+      key,
+      `${key}:burst`,
+      policy.windowMs,
+      policy.max,
+      cost,
+      burst.windowMs,
+      burst.max
+    );
+    return { limit: policy.max, result };
+  },
+
+  'sliding-window': async (key, policy, cost) => {
+    const burst = policy.burst || { windowMs: 0, max: 0 };
+    const result = await redis.rateLimitSlidingWindow(
+      key,
+      Date.now(),
+      policy.windowMs,
+      policy.max,
+      cost,
+      burst.windowMs,
+      burst.max,
+      crypto.randomUUID()
+    );
+    return { limit: policy.max, result };
+  },
+
+  'token-bucket': async (key, policy, cost) => {
+    // La capacidad del cubo es la ráfaga permitida; sin ráfaga, el máximo de la ventana
+    const capacity = policy.burst ? policy.burst.max : policy.max;
+    const result = await redis.rateLimitTokenBucket(
+      key,
+      Date.now(),
+      capacity,
+      policy.max / policy.windowMs,
+      cost
+    );
+    return { limit: policy.max, burst: capacity, result };
+  },
+};
+
+const DEFAULT_ALGORITHM = 'fixed-window';
+
+/**
+ * Indica si el algoritmo de límite de tasa está soportado
+ * @param {string} algorithm - Nombre del algoritmo
+ * @returns {boolean}
+ */
+const isSupportedAlgorithm = (algorithm) => Boolean(strategies[algorithm]);
+
+/**
+ * Consume unidades de la política indicada de forma atómica
+ * @param {string} key - Clave del llamante para la política
+ * @param {Object} policy - Política de límite de tasa
+ * @param {number} cost - Unidades a consumir
+ * @returns {Promise<Object>} - { allowed, limit, burst, remaining, msBeforeReset, msBeforeRetry }
+ */
+const consume = async (key, policy, cost) => {
+  const algorithm = policy.algorithm || DEFAULT_ALGORITHM;
+  const { limit, burst, result } = await strategies[algorithm](`${key}:${algorithm}`, policy, cost);
+  const [allowed, remaining, msBeforeReset, msBeforeRetry] = result;
+
+  return {
+    allowed: allowed === 1,
+    limit,
+    burst,
+    remaining,
+    msBeforeReset,
+    msBeforeRetry,
+  };
+};
+
+module.exports = {
+  consume,
+  isSupportedAlgorithm,
+};
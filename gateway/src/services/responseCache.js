@@ -0,0 +1,134 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Cliente Redis para las respuestas cacheadas (compartidas entre réplicas)
+const redis = new Redis(process.env.REDIS_URL);
+
+const KEY_PREFIX = 'gateway:cache:';
+const ROUTE_INDEX_PREFIX = 'gateway:cache:route:';
+const LOCK_PREFIX = 'gateway:cache:lock:';
+
+// Rutas cacheadas indexadas por identificador, con los eventos que las invalidan
+const invalidations = new Map();
+
+/**
+ * Registra una ruta cacheada y los eventos que invalidan sus respuestas
+ * @param {string} routeId - Identificador de la ruta (método y ruta pública)
+ * @param {Array<string>} events - Eventos de invalidación
+ */
+const registerRoute = (routeId, events = []) => {
+  invalidations.set(routeId, events);
+};
+
+/**
+ * Eventos a los que debe suscribirse el consumidor para invalidar la caché
+ * @returns {Array<string>}
+ */
+const getInvalidationEvents = () => [...new Set([...invalidations.values()].flat())];
+
+/**
+ * Obtiene una respuesta cacheada
+ * Un error de Redis se trata como ausencia de entrada para no bloquear la solicitud
+ * @param {string} key - Clave de la entrada
+ * @returns {Promise<Object|null>} - Entrada con el cuerpo como Buffer, o null
+ */
+const getEntry = async (key) => {
+  try {
+    const cached = await redis.get(`${KEY_PREFIX}${key}`);
+    if (!cached) {
+      return null;
+    }
+    const entry = JSON.parse(cached);
+    return { ...entry, body: Buffer.from(entry.body, 'base64') };
+  } catch (error) {
+    logger.error('Error al leer la caché de respuestas:', error);
+    return null;
+  }
+};
+
+/**
+ * Guarda una respuesta y la añade al índice de su ruta
+ * La entrada se conserva durante ttl + staleWhileRevalidate segundos
+ * @param {string} routeId - Identificador de la ruta
+ * @param {string} key - Clave de la entrada
+ * @param {Object} entry - Respuesta (statusCode, headers, body, etag, storedAt)
+ * @param {number} lifetime - Segundos que se conserva la entrada
+ */
+const setEntry = async (routeId, key, entry, lifetime) => {
+  const indexKey = `${ROUTE_INDEX_PREFIX}${routeId}`;
+
+  try {
+    await redis
+      .multi()
+      .set(`${KEY_PREFIX}${key}`, JSON.stringify({ ...entry, body: entry.body.toString('base64') }), 'EX', lifetime)
+      .sadd(indexKey, key)
+      // El índice vive al menos lo que la entrada más reciente
+      .expire(indexKey, lifetime)
+      .exec();
+  } catch (error) {
+    logger.error('Error al guardar en la caché de respuestas:', error);
+  }
+};
+
+/**
+ * Reserva la revalidación de una entrada para que solo la haga una réplica
+ * @param {string} key - Clave de la entrada
+ * @param {number} ttlMs - Duración máxima de la reserva
+ * @returns {Promise<boolean>} - true si se obtuvo la reserva
+ */
+const acquireRevalidationLock = async (key, ttlMs) => {
+  try {
+    return (await redis.set(`${LOCK_PREFIX}${key}`, '1', 'PX', ttlMs, 'NX')) === 'OK';
+  } catch (error) {
+    logger.error('Error al reservar la revalidación de la caché de respuestas:', error);
+    return false;
+  }
+};
+
+/**
+ * Libera la reserva de revalidación de una entrada
+ * @param {string} key - Clave de la entrada
+ */
+const releaseRevalidationLock = async (key) => {
+  try {
+    await redis.del(`${LOCK_PREFIX}${key}`);
+  } catch (error) {
+    logger.error('Error al liberar la revalidación de la caché de respuestas:', error);
+  }
+};
+
+/**
+ * Elimina todas las respuestas cacheadas de una ruta
+ * @param {string} routeId - Identificador de la ruta
+ */
+const invalidateRoute = async (routeId) => {
+  const indexKey = `${ROUTE_INDEX_PREFIX}${routeId}`;
+  const entryKeys = await redis.smembers(indexKey);
+
+  const keys = entryKeys.map((key) => `${KEY_PREFIX}${key}`);
+  await redis.del(indexKey, ...keys);
+
+  logger.info(`Caché de respuestas invalidada para ${routeId} (${keys.length} entradas)`);
+};
+
+/**
+ * Invalida las rutas cacheadas que dependen de un evento
+ * @param {string} event - Nombre del evento (ej: 'product.updated')
+ */
+const invalidateByEvent = async (event) => {
+  const routeIds = [...invalidations.entries()]
+    .filter(([, events]) => events.includes(event))
+    .map(([routeId]) => routeId);
+
+  await Promise.all(routeIds.map((routeId) => invalidateRoute(routeId)));
+};
+
+module.exports = {
+  registerRoute,
+  getInvalidationEvents,
+  getEntry,
+  setEntry,
+  acquireRevalidationLock,
+  releaseRevalidationLock,
+  invalidateByEvent,
+};
@@ -0,0 +1,326 @@
+const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Cliente Redis para leer y guardar la configuración dinámica
+const redis = new Redis(process.env.REDIS_URL);
+
+// Conexión dedicada a la suscripción (un cliente suscrito no admite otros comandos)
+let subscriber = null;
+
+const KEY_PREFIX = 'gateway:config:';
+const HISTORY_KEY = 'gateway:config:history';
+const CHANNEL = 'gateway:config:changes';
+
+// Cambios que se conservan en el historial de auditoría
+const HISTORY_SIZE = 500;
+
+/**
+ * Guarda una sección si su versión coincide con la esperada y registra el cambio en el historial
+ * El registro del historial se completa aquí con la versión asignada
+ * Devuelve { guardado, versión actual o nueva }
+ */
+const UPDATE_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if ARGV[1] ~= '' and tonumber(ARGV[1]) ~= current then
+  return { 0, current }
+end
+
+local version = current + 1
+redis.call('HSET', KEYS[1], 'value', ARGV[2], 'version', version, 'updatedAt', ARGV[3], 'updatedBy', ARGV[4])
+redis.call('LPUSH', KEYS[2], '{"version":' .. version .. ',' .. string.sub(ARGV[5], 2))
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[6]) - 1)
+return { 1, version }
+`;
+
+// Secciones configurables: valor por defecto, validaciones y estado actual
+const sections = new Map();
+const emitter = new EventEmitter();
+
+/**
+ * Error de una operación sobre la configuración, con el código HTTP que le corresponde
+ */
+class RuntimeConfigError extends Error {
+  /**
+   * @param {string} message - Mensaje de error
+   * @param {number} statusCode - Código de estado HTTP
+   * @param {Object} [details] - Información adicional (ej: versión actual)
+   */
+  constructor(message, statusCode, details = null) {
+    super(message);
+    this.name = 'RuntimeConfigError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Declara una sección configurable en caliente
+ * Mientras no se modifique desde la API de administración vale lo que devuelva load
+ * @param {string} name - Nombre de la sección (ej: 'routes')
+ * @param {Function} load - Devuelve el valor por defecto (normalmente leído de disco)
+ */
+const defineSection = (name, load) => {
+  if (sections.has(name)) {
+    throw new Error(`La sección de configuración ${name} ya está definida`);
+  }
+  sections.set(name, {
+    load,
+    validators: [],
+    value: load(),
+    version: 0,
+    updatedAt: null,
+    updatedBy: null,
+  });
+};
+
+/**
+ * Obtiene una sección o lanza un 404
+ * @param {string} name - Nombre de la sección
+ * @returns {Object}
+ */
+const getSection = (name) => {
+  const section = sections.get(name);
+  if (!section) {
+    throw new RuntimeConfigError(`Sección de configuración desconocida: ${name}`, 404);
+  }
+  return section;
+};
+
+/**
+ * Añade una validación a una sección; se ejecutan todas antes de aceptar un cambio
+ * @param {string} name - Nombre de la sección
+ * @param {Function} validate - Recibe el valor propuesto y lanza un Error si no es válido
+ */
+const addValidator = (name, validate) => {
+  getSection(name).validators.push(validate);
+};
+
+/**
+ * Registra una función que se ejecuta cuando cambia una sección (en esta réplica)
+ * @param {string} name - Nombre de la sección
+ * @param {Function} listener - Recibe el nuevo valor
+ */
+const onChange = (name, listener) => {
+  emitter.on(name, listener);
+};
+
+/**
+ * Valor actual de una sección
+ * @param {string} name - Nombre de la sección
+ * @returns {*}
+ */
+const get = (name) => getSection(name).value;
+
+/**
+ * Vista pública de una sección con sus metadatos de versión
+ * @param {string} name - Nombre de la sección
+ * @returns {Object}
+ */
+const getSnapshot = (name) => {
+  const section = getSection(name);
+  return {
+    section: name,
+    version: section.version,
+    // Sin cambios desde la API (o tras restablecerla) la sección procede de disco
+    source: section.overridden ? 'redis' : 'default',
+    updatedAt: section.updatedAt,
+    updatedBy: section.updatedBy,
+    value: section.value,
+  };
+};
+
+/**
+ * Vista de todas las secciones
+ * @returns {Array<Object>}
+ */
+const listSnapshots = () => [...sections.keys()].map(getSnapshot);
+
+/**
+ * Aplica en esta réplica un registro leído de Redis si es más reciente que el actual
+ * @param {string} name - Nombre de la sección
+ * @param {Object} record - Campos del hash de Redis
+ */
+const applyRecord = (name, record) => {
+  const section = sections.get(name);
+  const version = Number(record.version || 0);
+  if (!section || version <= section.version) {
+    return;
+  }
+
+  section.overridden = Boolean(record.value);
+  section.value = record.value ? JSON.parse(record.value) : section.load();
+  section.version = version;
+  section.updatedAt = record.updatedAt || null;
+  section.updatedBy = record.updatedBy ? JSON.parse(record.updatedBy) : null;
+
+  logger.info(`Configuración ${name} actualizada a la versión ${version}`);
+  try {
+    emitter.emit(name, section.value);
+  } catch (error) {
+    // Los cambios se validan antes de guardarse; si aun así fallan se mantiene lo anterior
+    logger.error(`Error al aplicar la configuración ${name} (versión ${version}):`, error);
+  }
+};
+
+/**
+ * Vuelve a leer una sección de Redis
+ * @param {string} name - Nombre de la sección
+ */
+const reloadSection = async (name) => {
+  const record = await redis.hgetall(`${KEY_PREFIX}${name}`);
+  applyRecord(name, record);
+};
+
+/**
+ * Vuelve a leer todas las secciones de Redis
+ * Un fallo deja la réplica con la última configuración conocida
+ */
+const reloadAll = async () => {
+  try {
+    await Promise.all([...sections.keys()].map(reloadSection));
+  } catch (error) {
+    logger.error('Error al cargar la configuración dinámica desde Redis:', error);
+  }
+};
+
+/**
+ * Valida un valor propuesto con todas las validaciones de la sección
+ * @param {string} name - Nombre de la sección
+ * @param {*} value - Valor propuesto
+ */
+const validate = (name, value) => {
+  const section = getSection(name);
+  try {
+    section.validators.forEach((validator) => validator(value));
+  } catch (error) {
+    throw new RuntimeConfigError(`Configuración ${name} no válida: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Guarda un cambio en Redis, lo registra en el historial y lo notifica a todas las réplicas
+ * @param {string} name - Nombre de la sección
+ * @param {*} value - Nuevo valor (null para volver al valor por defecto)
+ * @param {Object} options - expectedVersion (control de concurrencia) y actor (quién y desde dónde)
+ * @returns {Promise<Object>} - Vista de la sección actualizada
+ */
+const save = async (name, value, { expectedVersion, actor }) => {
+  const section = getSection(name);
+  const updatedAt = new Date().toISOString();
+  const entry = {
+    section: name,
+    action: value === null ? 'reset' : 'update',
+    previousVersion: section.version,
+    actor,
+    at: updatedAt,
+    previous: section.value,
+    value,
+  };
+
+  const [saved, version] = await redis.eval(
+    UPDATE_SCRIPT,
+    2,
+    `${KEY_PREFIX}${name}`,
+    HISTORY_KEY,
+    expectedVersion === undefined ? '' : String(expectedVersion),
+    value === null ? '' : JSON.stringify(value),
+    updatedAt,
+    JSON.stringify(actor),
+    JSON.stringify(entry),
+    HISTORY_SIZE
+  );
+
+  if (!saved) {
+    throw new RuntimeConfigError(
+      `La configuración ${name} cambió (versión actual ${version}); vuelve a leerla antes de modificarla`,
+      412,
+      { version }
+    );
+  }
+
+  logger.info(`Configuración ${name} ${entry.action === 'reset' ? 'restablecida' : 'modificada'} (versión ${version}) por ${actor.email || actor.id}`);
+
+  applyRecord(name, {
+    value: value === null ? '' : JSON.stringify(value),
+    version,
+    updatedAt,
+    updatedBy: JSON.stringify(actor),
+  });
+  await redis.publish(CHANNEL, JSON.stringify({ section: name, version }));
+
+  return getSnapshot(name);
+};
+
+/**
+ * Reemplaza el valor de una sección
+ * @param {string} name - Nombre de la sección
+ * @param {*} value - Nuevo valor
+ * @param {Object} options - expectedVersion y actor
+ * @returns {Promise<Object>}
+ */
+const update = async (name, value, options) => {
+  validate(name, value);
+  return save(name, value, options);
+};
+
+/**
+ * Descarta los cambios de una sección y vuelve al valor por defecto
+ * @param {string} name - Nombre de la sección
+ * @param {Object} options - expectedVersion y actor
+ * @returns {Promise<Object>}
+ */
+const reset = async (name, options) => {
+  validate(name, getSection(name).load());
+  return save(name, null, options);
+};
+
+/**
+ * Historial de cambios, del más reciente al más antiguo
+ * @param {Object} [filters] - section y limit
+ * @returns {Promise<Array<Object>>}
+ */
+const getHistory = async ({ section, limit = 50 } = {}) => {
+  const entries = (await redis.lrange(HISTORY_KEY, 0, HISTORY_SIZE - 1)).map((entry) => JSON.parse(entry));
+  return entries.filter((entry) => !section || entry.section === section).slice(0, limit);
+};
+
+/**
+ * Carga los cambios guardados en Redis y se suscribe a los de otras réplicas
+ * Tras cada reconexión se vuelve a leer todo por si se perdió algún aviso
+ */
+const initialize = async () => {
+  if (subscriber) {
+    return;
+  }
+
+  subscriber = new Redis(process.env.REDIS_URL);
+  subscriber.on('ready', reloadAll);
+  subscriber.on('message', (channel, message) => {
+    try {
+      const { section } = JSON.parse(message);
+      reloadSection(section).catch((error) => {
+        logger.error(`Error al recargar la configuración ${section}:`, error);
+      });
+    } catch (error) {
+      logger.error('Aviso de cambio de configuración no válido:', error);
+    }
+  });
+
+  await subscriber.subscribe(CHANNEL);
+  logger.info('Configuración dinámica del gateway sincronizada con Redis');
+};
+
+module.exports = {
+  RuntimeConfigError,
+  defineSection,
+  addValidator,
+  onChange,
+  get,
+  getSnapshot,
+  listSnapshots,
+  update,
+  reset,
+  getHistory,
+  initialize,
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createValidationCache } = require('./validationCache');
+
+const cache = createValidationCache({
+  name: 'validación de tokens',
+  keyPrefix: 'auth:validation:',
+  indexPrefix: 'auth:validation:user:',
+  // Tiempo máximo (en segundos) que se confía en una validación cacheada
+  maxTtl: parseInt(process.env.TOKEN_CACHE_TTL, 10) || 60,
+});
+
+// Tiempo (en segundos) que se recuerda la revocación de los tokens de un usuario
+// Debe cubrir la validez de un token de acceso (JWT_EXPIRES_IN del servicio de autenticación)
+const REVOCATION_TTL = parseInt(process.env.TOKEN_REVOCATION_TTL, 10) || 86400;
+
+/**
+ * Obtiene el identificador del token para usarlo como clave de caché
+ * Usa el claim jti y, para tokens antiguos sin jti, un hash del token
+ * @param {Object} decoded - Payload del token verificado
+ * @param {string} token - Token JWT original
+ * @returns {string} - Identificador del token
+ */
+const getTokenId = (decoded, token) => {
+  return decoded.jti || crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Busca una validación cacheada para el token
+ * @param {Object} decoded - Payload del token verificado
+ * @param {string} token - Token JWT original
+ * @returns {Promise<Object|null>} - Resultado de validación o null si no existe
+ */
+const getValidation = (decoded, token) => cache.get(getTokenId(decoded, token));
+
+/**
+ * Guarda el resultado de validación del token, como mucho hasta su expiración
+ * Registra además el token en el índice del usuario para poder invalidarlo por eventos
+ * @param {Object} decoded - Payload del token verificado
+ * @param {string} token - Token JWT original
+ * @param {Object} validation - Respuesta del servicio de autenticación
+ */
+const setValidation = (decoded, token, validation) => cache.set(
+  getTokenId(decoded, token),
+  decoded.id,
+  validation,
+  decoded.exp && decoded.exp * 1000
+);
+
+/**
+ * Elimina todas las validaciones cacheadas de un usuario
+ * @param {string} userId - ID del usuario en el servicio de autenticación
+ */
+const invalidateUser = async (userId) => {
+  const count = await cache.invalidate(userId);
+  logger.info(`Caché de validación invalidada para el usuario ${userId} (${count} tokens)`);
+};
+
+/**
+ * Revoca los tokens de un usuario emitidos antes de un instante (sesión comprometida)
+ * Los tokens de acceso no indican la sesión que los originó, así que se rechazan todos
+ * los del usuario; los emitidos después (nuevo inicio de sesión) siguen siendo válidos
+ * @param {string} userId - ID del usuario en el servicio de autenticación
+ * @param {number} revokedAt - Instante de la revocación en milisegundos desde epoch
+ */
+const revokeUser = async (userId, revokedAt) => {
+  const count = await cache.revoke(userId, revokedAt, REVOCATION_TTL);
+  logger.warn(`Tokens del usuario ${userId} emitidos antes de ${new Date(revokedAt).toISOString()} revocados (${count} en caché)`);
+};
+
+/**
+ * Indica si el token se emitió antes de una revocación de su usuario
+ * iat tiene precisión de segundos: los tokens del mismo segundo que la revocación se aceptan,
+ * para no bloquear durante toda su validez un inicio de sesión justo posterior
+ * @param {Object} decoded - Payload del token verificado
+ * @returns {Promise<boolean>}
+ */
+const isRevoked = async (decoded) => {
+  const revokedAt = await cache.getRevokedAt(decoded.id);
+  return Boolean(revokedAt) && decoded.iat < Math.floor(revokedAt / 1000);
+};
+
+module.exports = {
+  getValidation,
+  setValidation,
+  invalidateUser,
+  revokeUser,
+  isRevoked,
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const runtimeConfig = require('./runtimeConfig');
+const { STABLE_TARGET } = require('../routes/routeTable');
+const { canaryRollbacks } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Cabecera y cookie con las que se fuerza un destino (ej: X-Canary: true para QA)
+const DEFAULT_OVERRIDE_HEADER = 'X-Canary';
+const DEFAULT_OVERRIDE_COOKIE = 'canary';
+
+// Roles que pueden forzar un destino; las llamadas con INTERNAL_API_KEY también pueden
+const DEFAULT_OVERRIDE_ROLES = ['admin'];
+
+// Valores por defecto del rollback automático
+const DEFAULT_ROLLBACK = {
+  errorRateThreshold: 0.1,
+  minRequests: 20,
+  windowMs: 60000,
+};
+
+// Resultados por destino agrupados por segundo: "servicio:destino" -> Map(segundo -> { total, errors })
+const results = new Map();
+
+// Rollbacks en curso en esta réplica, para no lanzar el mismo varias veces
+const pendingRollbacks = new Set();
+
+/**
+ * Lee una cookie de la solicitud
+ * @param {Object} req - Solicitud de Express
+ * @param {string} name - Nombre de la cookie
+ * @returns {string|undefined}
+ */
+const getCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator > 0 && cookie.slice(0, separator).trim() === name) {
+      return decodeURIComponent(cookie.slice(separator + 1).trim());
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Indica si el llamante puede forzar el destino (QA): un usuario con uno de los roles de
+ * canary.overrideRoles o una llamada interna. El resto sigue el reparto por pesos
+ * @param {Object} options - Opciones canary del servicio
+ * @param {Object} req - Solicitud de Express
+ * @returns {boolean}
+ */
+const canOverride = (options, req) => {
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+  if (internalApiKey && req.headers['x-api-key'] === internalApiKey) {
+    return true;
+  }
+  const roles = options.overrideRoles || DEFAULT_OVERRIDE_ROLES;
+  return Boolean(req.user && roles.includes(req.user.role));
+};
+
+/**
+ * Destino forzado por cabecera o cookie
+ * "true" elige la primera versión en prueba, "false" la estable y cualquier otro valor el destino con ese nombre
+ * @param {Object} service - Servicio resuelto
+ * @param {Object} req - Solicitud de Express
+ * @returns {Object|null}
+ */
+const getOverride = (service, req) => {
+  const options = service.canary || {};
+  if (!canOverride(options, req)) {
+    return null;
+  }
+
+  const value = req.get(options.header || DEFAULT_OVERRIDE_HEADER) || getCookie(req, options.cookie || DEFAULT_OVERRIDE_COOKIE);
+  if (!value) {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'true' || normalized === '1') {
+    return service.targets[1];
+  }
+  if (normalized === 'false' || normalized === '0') {
+    return service.targets[0];
+  }
+  return service.targets.find((target) => target.name === value.trim()) || null;
+};
+
+/**
+ * Posición estable del llamante en el reparto (0 a 99.99)
+ * Depende solo del servicio y de la identidad, así que un usuario mantiene su versión
+ * mientras no cambien los pesos, y al subir el peso de una versión solo se le suman usuarios
+ * @param {string} serviceName - Nombre del servicio
+ * @param {Object} req - Solicitud de Express
+ * @returns {number}
+ */
+const getBucket = (serviceName, req) => {
+  let identity = req.ip;
+  if (req.user && req.user.id) {
+    identity = req.user.id;
+  } else if (req.clientApp) {
+    identity = `client:${req.clientApp.id}`;
+  }
+
+  const hash = crypto.createHash('sha1').update(`${serviceName}:${identity}`).digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+};
+
+/**
+ * Elige el destino de una solicitud: primero la cabecera o cookie de override y,
+ * si no hay, el reparto por pesos con asignación fija por usuario
+ * @param {Object} service - Servicio resuelto de la tabla de rutas
+ * @param {Object} req - Solicitud de Express
+ * @returns {Object} - Destino con nombre y URL
+ */
+const selectTarget = (service, req) => {
+  const [stable, ...candidates] = service.targets;
+  if (candidates.length === 0) {
+    return stable;
+  }
+
+  const override = getOverride(service, req);
+  if (override) {
+    return override;
+  }
+
+  // Las versiones en prueba ocupan las primeras posiciones del reparto, en orden
+  const bucket = getBucket(service.name, req);
+  let threshold = 0;
+  for (const candidate of candidates) {
+    threshold += candidate.weight;
+    if (bucket < threshold) {
+      return candidate;
+    }
+  }
+  return stable;
+};
+
+/**
+ * Suma los resultados de un destino dentro de la ventana y descarta los segundos anteriores
+ * Se llama en cada resultado, así que un destino guarda como mucho windowMs/1000 segundos
+ * @param {Map} buckets - Resultados del destino por segundo
+ * @param {number} windowMs - Tamaño de la ventana
+ * @returns {Object} - { total, errors }
+ */
+const getWindowStats = (buckets, windowMs) => {
+  const oldest = Math.floor((Date.now() - windowMs) / 1000);
+  const stats = { total: 0, errors: 0 };
+
+  for (const [second, counts] of buckets) {
+    if (second <= oldest) {
+      buckets.delete(second);
+    } else {
+      stats.total += counts.total;
+      stats.errors += counts.errors;
+    }
+  }
+  return stats;
+};
+
+/**
+ * Deja sin tráfico a una versión en prueba modificando la tabla de rutas vigente
+ * El cambio se guarda como cualquier otro de la API de administración: llega a todas las
+ * réplicas y queda en el historial. Si otra réplica se adelantó, no se hace nada
+ * @param {Object} service - Servicio resuelto
+ * @param {Object} target - Destino con demasiados errores
+ * @param {Object} stats - Resultados de la ventana
+ */
+const rollback = async (service, target, stats) => {
+  const key = `${service.name}:${target.name}`;
+  if (pendingRollbacks.has(key)) {
+    return;
+  }
+  pendingRollbacks.add(key);
+
+  try {
+    const { version, value } = runtimeConfig.getSnapshot('routes');
+    const config = JSON.parse(JSON.stringify(value));
+    const entry = ((config.services[service.name] || {}).targets || []).find((candidate) => candidate.name === target.name);
+    if (!entry || entry.weight === 0) {
+      return;
+    }
+    entry.weight = 0;
+
+    const errorRate = (stats.errors / stats.total).toFixed(3);
+    logger.error(`Rollback automático de ${key}: tasa de errores ${errorRate} en ${stats.total} solicitudes`);
+
+    await runtimeConfig.update('routes', config, {
+      expectedVersion: version,
+      actor: { id: 'gateway', role: 'system', reason: `Rollback automático de ${key} (tasa de errores ${errorRate})` },
+    });
+    canaryRollbacks.inc({ upstream: service.name, target: target.name });
+    results.delete(key);
+  } catch (error) {
+    if (error instanceof runtimeConfig.RuntimeConfigError && error.statusCode === 412) {
+      logger.info(`La tabla de rutas cambió antes del rollback de ${key}; se reevaluará con la nueva configuración`);
+    } else {
+      logger.error(`Error en el rollback automático de ${key}:`, error);
+    }
+  } finally {
+    pendingRollbacks.delete(key);
+  }
+};
+
+/**
+ * Registra el resultado de un intento contra un destino y, si es una versión en prueba
+ * con rollback configurado, comprueba su tasa de errores
+ * @param {Object} service - Servicio resuelto
+ * @param {Object} target - Destino usado
+ * @param {boolean} failed - Si el intento falló (5xx, tiempo agotado, error de conexión o circuito abierto)
+ */
+const recordResult = (service, target, failed) => {
+  if (target.name === STABLE_TARGET || !service.canary || !service.canary.rollback) {
+    return;
+  }
+
+  const key = `${service.name}:${target.name}`;
+  const second = Math.floor(Date.now() / 1000);
+  if (!results.has(key)) {
+    results.set(key, new Map());
+  }
+  const buckets = results.get(key);
+  const counts = buckets.get(second) || { total: 0, errors: 0 };
+  counts.total += 1;
+  counts.errors += failed ? 1 : 0;
+  buckets.set(second, counts);
+
+  const options = { ...DEFAULT_ROLLBACK, ...service.canary.rollback };
+  const stats = getWindowStats(buckets, options.windowMs);
+
+  // Solo se revierte una versión que recibe tráfico por peso; el forzado por cabecera no cuenta como despliegue
+  if (!failed || target.weight === 0) {
+    return;
+  }
+
+  if (stats.total >= options.minRequests && stats.errors / stats.total >= options.errorRateThreshold) {
+    rollback(service, target, stats);
+  }
+};
+
+/**
+ * Segundos con resultados que se conservan de un destino (para pruebas y diagnóstico)
+ * @param {Object} service - Servicio resuelto
+ * @param {Object} target - Destino
+ * @returns {number}
+ */
+const countResultBuckets = (service, target) => {
+  const buckets = results.get(`${service.name}:${target.name}`);
+  return buckets ? buckets.size : 0;
+};
+
+module.exports = {
+  selectTarget,
+  recordResult,
+  countResultBuckets,
+};
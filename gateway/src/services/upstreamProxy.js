@@ -0,0 +1,276 @@
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { CircuitBreaker } = require('shared-lib/utils/circuitBreaker');
+const { selectTarget, recordResult } = require('./trafficSplit');
+const { STABLE_TARGET } = require('../routes/routeTable');
+const { getPropagationHeaders } = require('shared-lib/utils/requestContext');
+const { upstreamRequestDuration } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Valores por defecto para cada servicio; la tabla de rutas puede sobrescribirlos
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelayMs: 100,
+  maxDelayMs: 1000,
+};
+const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 5,
+  successThreshold: 2,
+  resetTimeout: 30000,
+};
+
+// Métodos que se pueden reintentar sin efectos secundarios duplicados
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Un circuit breaker por servicio y destino, compartido por todas sus rutas
+const breakers = new Map();
+
+/**
+ * Obtiene (o crea) el circuit breaker de un servicio
+ * Las versiones en prueba tienen el suyo para que sus fallos no corten el tráfico a la estable
+ * @param {Object} service - Servicio resuelto de la tabla de rutas
+ * @param {Object} [target] - Destino del servicio (por defecto la versión estable)
+ * @returns {CircuitBreaker}
+ */
+const getCircuitBreaker = (service, target) => {
+  const name = !target || target.name === STABLE_TARGET ? service.name : `${service.name}:${target.name}`;
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker((attempt) => attempt(), {
+      ...DEFAULT_CIRCUIT_BREAKER,
+      ...service.circuitBreaker,
+      name,
+      logger,
+      // El tiempo límite lo aplica el proxy en cada intento
+      timeout: 0,
+    }));
+  }
+  return breakers.get(name);
+};
+
+/**
+ * Tiempo máximo de espera por intento de una ruta
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {number} - Milisegundos
+ */
+const getRouteTimeout = (route) => route.timeout || route.service.timeout || DEFAULT_TIMEOUT;
+
+/**
+ * Calcula la espera antes de un reintento (backoff exponencial con jitter completo)
+ * @param {Object} retry - Configuración de reintentos
+ * @param {number} attempt - Número de intento fallido (desde 1)
+ * @returns {number} - Milisegundos de espera
+ */
+const getRetryDelay = (retry, attempt) => {
+  const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Indica si la solicitud puede reenviarse al servicio
+ * El cuerpo debe haber sido procesado por express.json() (se reescribe en cada intento) o no existir
+ * @param {Object} req - Solicitud de Express
+ * @returns {boolean}
+ */
+const isRetryable = (req) => {
+  const hasBody = req.headers['content-length'] > 0 || req.headers['transfer-encoding'] !== undefined;
+  return IDEMPOTENT_METHODS.includes(req.method) && (!hasBody || req._body === true);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Crea el middleware de http-proxy-middleware para una ruta
+ * El destino de cada solicitud se elige antes del proxy (req.upstreamTarget)
+ * El resultado de cada intento se notifica a través de req.upstreamAttempt y, si la
+ * idempotencia lo pide, a req.captureUpstreamResponse / req.captureUpstreamError
+ * (también después de que el cliente se desconecte)
+ * @param {Object} route - Definición completa de la ruta
+ * @param {number} timeout - Tiempo máximo de espera por intento
+ * @returns {Function} - Middleware de proxy
+ */
+const createProxy = (route, timeout) => {
+  const { service } = route;
+
+  return createProxyMiddleware({
+    target: service.target,
+    router: (req) => req.upstreamTarget.target,
+    pathRewrite: route.pathRewrite,
+    changeOrigin: true,
+    proxyTimeout: timeout,
+    logLevel: 'warn',
+    // Las rutas cacheadas responden desde la caché (ver middleware/responseCache)
+    selfHandleResponse: Boolean(route.cache),
+    onProxyReq: (proxyReq, req, res) => {
+      // Medir la latencia del servicio hasta recibir su respuesta
+      req.endUpstreamTimer = upstreamRequestDuration.startTimer({
+        upstream: service.name,
+        target: req.upstreamTarget.name,
+        method: req.method,
+      });
+
+      // Distinguir los tiempos de espera agotados del resto de errores de conexión
+      proxyReq.on('timeout', () => {
+        req.upstreamTimedOut = true;
+      });
+
+      // Propagar el ID de solicitud y el contexto de traza al servicio
+      Object.entries(getPropagationHeaders(req.context)).forEach(([name, value]) => {
+        proxyReq.setHeader(name, value);
+      });
+
+      // Agregar header con información del usuario autenticado
+      if (req.user) {
+        proxyReq.setHeader('X-User-Id', req.user.id);
+        proxyReq.setHeader('X-User-Role', req.user.role);
+      }
+      // Las aplicaciones cliente llegan identificadas; su API key no sale del gateway
+      if (req.clientApp) {
+        proxyReq.removeHeader('X-API-Key');
+        proxyReq.removeHeader('Authorization');
+        proxyReq.setHeader('X-Client-Id', req.clientApp.id);
+        proxyReq.setHeader('X-Client-Scopes', req.clientApp.scopes.join(' '));
+      } else {
+        // Evitar que un llamante se haga pasar por una aplicación cliente
+        proxyReq.removeHeader('X-Client-Id');
+        proxyReq.removeHeader('X-Client-Scopes');
+      }
+      // La caché y la idempotencia necesitan el cuerpo sin comprimir (el cliente mantiene su compresión)
+      if (req.upstreamIdentityEncoding) {
+        proxyReq.setHeader('Accept-Encoding', 'identity');
+      }
+      // Reenviar el cuerpo ya procesado por express.json()
+      fixRequestBody(proxyReq, req);
+    },
+    onProxyRes: (proxyRes, req) => {
+      if (req.endUpstreamTimer) {
+        req.endUpstreamTimer({ status_code: proxyRes.statusCode });
+      }
+      // Validación del contrato de la respuesta (ver middleware/openapiValidation)
+      if (req.inspectUpstreamResponse) {
+        req.inspectUpstreamResponse(proxyRes);
+      }
+      if (req.handleUpstreamResponse) {
+        req.handleUpstreamResponse(proxyRes);
+      }
+      if (req.captureUpstreamResponse) {
+        req.captureUpstreamResponse(proxyRes);
+      }
+      req.upstreamAttempt.resolve(proxyRes);
+    },
+    onError: (err, req) => {
+      if (req.endUpstreamTimer) {
+        req.endUpstreamTimer({ status_code: req.upstreamTimedOut ? 'timeout' : 'error' });
+      }
+      err.timedOut = req.upstreamTimedOut;
+      if (req.captureUpstreamError) {
+        req.captureUpstreamError(err);
+      }
+      req.upstreamAttempt.reject(err);
+    },
+  });
+};
+
+/**
+ * Ejecuta un intento de proxy y espera la respuesta del servicio
+ * Las respuestas 5xx se transmiten al cliente pero cuentan como fallo para el circuit breaker
+ * @param {Function} proxy - Middleware de proxy
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @returns {Promise<Object|null>} - Respuesta del servicio, o null si el cliente se desconectó
+ */
+const proxyAttempt = (proxy, req, res) => new Promise((resolve, reject) => {
+  req.upstreamTimedOut = false;
+  req.upstreamAttempt = {
+    resolve: (proxyRes) => {
+      if (proxyRes.statusCode >= 500) {
+        const error = new Error(`Respuesta ${proxyRes.statusCode} del servicio`);
+        error.responded = true;
+        return reject(error);
+      }
+      return resolve(proxyRes);
+    },
+    reject,
+    // El cliente cerró la conexión (ver createUpstreamProxy)
+    close: () => resolve(null),
+  };
+
+  proxy(req, res, reject);
+});
+
+/**
+ * Crea el middleware que reenvía una ruta a su servicio con tiempo límite,
+ * reintentos con jitter para métodos idempotentes y circuit breaker por servicio y destino.
+ * Si el servicio tiene varias versiones, el destino se elige por pesos o por override
+ * (ver services/trafficSplit) y todos los reintentos van al mismo destino
+ * @param {Object} route - Definición completa de la ruta
+ * @returns {Function} - Middleware de Express
+ */
+const createUpstreamProxy = (route) => {
+  const { service } = route;
+  const timeout = getRouteTimeout(route);
+  const retry = { ...DEFAULT_RETRY, ...service.retry };
+  const proxy = createProxy(route, timeout);
+
+  return async (req, res) => {
+    const attempts = isRetryable(req) ? retry.retries + 1 : 1;
+    const target = selectTarget(service, req);
+    const breaker = getCircuitBreaker(service, target);
+    req.upstreamTarget = target;
+
+    // Si el cliente cierra la conexión, http-proxy aborta la solicitud sin invocar onError;
+    // se escucha una sola vez por solicitud y se resuelve el intento en curso
+    res.once('close', () => req.upstreamAttempt && req.upstreamAttempt.close());
+
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+      try {
+        const proxyRes = await breaker.fire(() => proxyAttempt(proxy, req, res));
+        if (proxyRes) {
+          recordResult(service, target, false);
+        }
+        return;
+      } catch (error) {
+        // El circuito abierto también cuenta: el llamante recibe un error de ese destino
+        recordResult(service, target, true);
+
+        // La respuesta del servicio ya se envió al cliente
+        if (error.responded || res.headersSent) {
+          return;
+        }
+
+        if (error.name === 'CircuitOpenError') {
+          // La solicitud no llegó a salir del gateway
+          if (req.captureUpstreamError) {
+            req.captureUpstreamError(error);
+          }
+          res.setHeader('Retry-After', Math.max(1, Math.ceil(breaker.getRemainingOpenTime() / 1000)));
+          return res.status(503).json({ message: `El ${service.label} no está disponible temporalmente` });
+        }
+
+        if (attempt < attempts) {
+          const delay = getRetryDelay(retry, attempt);
+          logger.warn(`Reintentando ${req.method} ${req.originalUrl} en ${breaker.name} (${attempt}/${retry.retries}) tras ${delay}ms: ${error.message}`);
+          await sleep(delay);
+
+          // No reintentar si el cliente ya cerró la conexión
+          if (res.destroyed) {
+            return;
+          }
+          continue;
+        }
+
+        logger.error(`Error al proxy ${breaker.name} (${req.method} ${req.originalUrl}):`, error);
+
+        if (error.timedOut) {
+          return res.status(504).json({ message: `Tiempo de espera agotado con el ${service.label}` });
+        }
+        return res.status(502).json({ message: `Error al conectar con el ${service.label}` });
+      }
+    }
+  };
+};
+
+module.exports = {
+  createUpstreamProxy,
+  getCircuitBreaker,
+  getRouteTimeout,
+};
@@ -0,0 +1,117 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Cliente Redis compartido por las cachés de validación del gateway
+const redis = new Redis(process.env.REDIS_URL);
+
+/**
+ * Crea una caché de resultados de validación del servicio de autenticación
+ * Cada entrada se registra en el índice de su propietario (usuario, aplicación cliente...)
+ * para poder invalidar todas sus entradas cuando llega un evento
+ * @param {Object} options - Opciones de la caché
+ * @param {string} options.name - Nombre de la caché para los logs
+ * @param {string} options.keyPrefix - Prefijo de las entradas en Redis
+ * @param {string} options.indexPrefix - Prefijo de los índices por propietario
+ * @param {number} options.maxTtl - Tiempo máximo (en segundos) que se confía en una entrada
+ * @returns {Object} - Funciones get, set, invalidate, revoke y getRevokedAt de la caché
+ */
+const createValidationCache = ({ name, keyPrefix, indexPrefix, maxTtl }) => {
+  /**
+   * Calcula el TTL de la entrada, acotado por la caducidad de lo validado
+   * @param {number} [expiresAt] - Caducidad en milisegundos desde epoch
+   * @returns {number} - TTL en segundos (0 si ya caducó)
+   */
+  const getTtl = (expiresAt) => {
+    if (!expiresAt) {
+      return maxTtl;
+    }
+    const secondsToExpiry = Math.floor((expiresAt - Date.now()) / 1000);
+    return Math.max(0, Math.min(maxTtl, secondsToExpiry));
+  };
+
+  /**
+   * Busca una entrada cacheada
+   * @param {string} id - Identificador de la entrada (nunca la credencial en claro)
+   * @returns {Promise<Object|null>} - Resultado cacheado o null si no existe
+   */
+  const get = async (id) => {
+    try {
+      const cached = await redis.get(`${keyPrefix}${id}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error(`Error al leer la caché de ${name}:`, error);
+      return null;
+    }
+  };
+
+  /**
+   * Guarda una entrada y la registra en el índice de su propietario
+   * @param {string} id - Identificador de la entrada
+   * @param {string} ownerId - Propietario con el que se invalida la entrada
+   * @param {Object} value - Resultado de la validación
+   * @param {number} [expiresAt] - Caducidad de lo validado en milisegundos desde epoch
+   */
+  const set = async (id, ownerId, value, expiresAt) => {
+    const ttl = getTtl(expiresAt);
+    if (ttl <= 0) {
+      return;
+    }
+
+    const indexKey = `${indexPrefix}${ownerId}`;
+
+    try {
+      await redis
+        .multi()
+        .set(`${keyPrefix}${id}`, JSON.stringify(value), 'EX', ttl)
+        .sadd(indexKey, id)
+        // El índice vive como máximo lo que la caché permite mantener una entrada
+        .expire(indexKey, maxTtl)
+        .exec();
+    } catch (error) {
+      logger.error(`Error al guardar en la caché de ${name}:`, error);
+    }
+  };
+
+  /**
+   * Elimina todas las entradas de un propietario
+   * @param {string} ownerId - Propietario de las entradas
+   * @returns {Promise<number>} - Número de entradas eliminadas
+   */
+  const invalidate = async (ownerId) => {
+    const indexKey = `${indexPrefix}${ownerId}`;
+    const ids = await redis.smembers(indexKey);
+
+    const keys = ids.map((id) => `${keyPrefix}${id}`);
+    await redis.del(indexKey, ...keys);
+    return keys.length;
+  };
+
+  /**
+   * Revoca todo lo emitido a un propietario hasta un instante y elimina sus entradas
+   * A diferencia de invalidate, lo revocado no vuelve a aceptarse aunque se valide de nuevo
+   * @param {string} ownerId - Propietario de las entradas
+   * @param {number} revokedAt - Instante de la revocación en milisegundos desde epoch
+   * @param {number} ttl - Tiempo (en segundos) que se mantiene la revocación
+   * @returns {Promise<number>} - Número de entradas eliminadas
+   */
+  const revoke = async (ownerId, revokedAt, ttl) => {
+    await redis.set(`${indexPrefix}${ownerId}:revoked`, String(revokedAt), 'EX', ttl);
+    return invalidate(ownerId);
+  };
+
+  /**
+   * Instante de la última revocación de un propietario
+   * @param {string} ownerId - Propietario de las entradas
+   * @returns {Promise<number|null>} - Milisegundos desde epoch o null si no hay revocación
+   */
+  const getRevokedAt = async (ownerId) => {
+    const revokedAt = await redis.get(`${indexPrefix}${ownerId}:revoked`);
+    return revokedAt ? Number(revokedAt) : null;
+  };
+
+  return { get, set, invalidate, revoke, getRevokedAt };
+};
+
+module.exports = {
+  createValidationCache,
+};
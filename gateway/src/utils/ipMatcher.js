@@ -0,0 +1,61 @@
+const net = require('net');
+
+/**
+ * Normaliza una IP, convirtiendo las IPv4 mapeadas en IPv6 (::ffff:1.2.3.4)
+ * @param {string} ip - IP del cliente
+ * @returns {string}
+ */
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+/**
+ * Comprueba que un valor es una IP o un rango CIDR
+ * @param {string} value - IP (ej: 203.0.113.10) o rango (ej: 203.0.113.0/24)
+ * @returns {boolean}
+ */
+const isValidIpOrCidr = (value) => {
+  const [address, prefix] = String(value).split('/');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+  return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+};
+
+/**
+ * Crea una función que indica si una IP está en una lista de IPs o rangos CIDR
+ * @param {Array<string>} entries - IPs o rangos (ej: ['203.0.113.0/24', '2001:db8::1'])
+ * @returns {Function} - Recibe la IP del cliente y devuelve un booleano
+ */
+const createIpMatcher = (entries) => {
+  const list = new net.BlockList();
+
+  entries.forEach((entry) => {
+    if (!isValidIpOrCidr(entry)) {
+      throw new Error(`IP o rango CIDR no válido: ${entry}`);
+    }
+    const [network, prefix] = entry.split('/');
+    const family = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(network, family);
+    } else {
+      list.addSubnet(network, Number(prefix), family);
+    }
+  });
+
+  return (ip) => {
+    const address = normalizeIp(ip);
+    if (!net.isIP(address)) {
+      return false;
+    }
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  };
+};
+
+module.exports = {
+  normalizeIp,
+  isValidIpOrCidr,
+  createIpMatcher,
+};
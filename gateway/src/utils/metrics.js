@@ -0,0 +1,87 @@
+const client = require('prom-client');
+const metrics = require('shared-lib/utils/metrics');
+
+// Registro y métricas comunes de shared-lib; aquí solo se añaden las propias del gateway
+const { register } = metrics;
+metrics.setServiceName('api-gateway');
+
+// Latencia de las llamadas del gateway a los servicios, por destino (stable o versión en prueba)
+const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latencia de las solicitudes enviadas a los servicios en segundos',
+  labelNames: ['upstream', 'target', 'method', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// Solicitudes rechazadas por límite de tasa
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Solicitudes rechazadas por límite de tasa',
+  labelNames: ['policy', 'bucket'],
+  registers: [register],
+});
+
+// Rollbacks automáticos de versiones en prueba por exceso de errores
+const canaryRollbacks = new client.Counter({
+  name: 'canary_rollbacks_total',
+  help: 'Versiones en prueba que el gateway dejó sin tráfico por superar la tasa de errores',
+  labelNames: ['upstream', 'target'],
+  registers: [register],
+});
+
+// IPs bloqueadas automáticamente por regla de abuso
+const abuseBans = new client.Counter({
+  name: 'abuse_bans_total',
+  help: 'Bloqueos temporales de IP aplicados por las reglas de abuso del gateway',
+  labelNames: ['rule'],
+  registers: [register],
+});
+
+// Resultado de la caché de respuestas por ruta (hit, stale, miss, uncacheable)
+const responseCacheResults = new client.Counter({
+  name: 'response_cache_results_total',
+  help: 'Solicitudes atendidas por la caché de respuestas del gateway según su resultado',
+  labelNames: ['route', 'result'],
+  registers: [register],
+});
+
+// Solicitudes descartadas por sobrecarga según su prioridad y el umbral superado
+const loadShedRequests = new client.Counter({
+  name: 'load_shed_requests_total',
+  help: 'Solicitudes rechazadas por el descarte de carga del gateway',
+  labelNames: ['priority', 'reason'],
+  registers: [register],
+});
+
+const eventLoopLag = new client.Gauge({
+  name: 'gateway_event_loop_lag_seconds',
+  help: 'Retraso del event loop (percentil 99 del último intervalo) que usa el descarte de carga',
+  registers: [register],
+});
+
+const requestsInFlight = new client.Gauge({
+  name: 'gateway_requests_in_flight',
+  help: 'Solicitudes en curso en el gateway',
+  registers: [register],
+});
+
+// Conexiones abiertas del stream de eventos en tiempo real
+const eventStreamConnections = new client.Gauge({
+  name: 'event_stream_connections',
+  help: 'Conexiones abiertas al stream de eventos (SSE) del gateway',
+  registers: [register],
+});
+
+module.exports = {
+  ...metrics,
+  upstreamRequestDuration,
+  rateLimitRejections,
+  responseCacheResults,
+  canaryRollbacks,
+  abuseBans,
+  eventStreamConnections,
+  loadShedRequests,
+  eventLoopLag,
+  requestsInFlight,
+};
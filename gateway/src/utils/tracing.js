@@ -0,0 +1,15 @@
+const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+const { startTracing, shutdownTracing } = require('shared-lib/utils/tracing');
+
+// Este módulo debe cargarse antes que express, http, ioredis y amqplib
+// para que las instrumentaciones puedan parchearlos
+startTracing({
+  serviceName: 'api-gateway',
+  instrumentations: () => [
+    new IORedisInstrumentation(),
+  ],
+});
+
+module.exports = {
+  shutdownTracing,
+};
@@ -0,0 +1,38 @@
+const { isValidIpOrCidr } = require('./ipMatcher');
+
+// Subredes con nombre que Express admite en trust proxy
+const NAMED_SUBNETS = ['loopback', 'linklocal', 'uniquelocal'];
+
+/**
+ * Convierte TRUST_PROXY en el valor de trust proxy de Express
+ * Sin proxies de confianza req.ip es la IP de la conexión; detrás del ingress todos los
+ * clientes compartirían la suya, así que los bloqueos y las listas de IPs afectarían a todos
+ * @param {string} [value] - false, true, número de proxies delante del gateway o lista
+ *   separada por comas de IPs, rangos CIDR o loopback, linklocal y uniquelocal
+ * @returns {boolean|number|Array<string>}
+ */
+const parseTrustProxy = (value) => {
+  const setting = (value || '').trim();
+
+  if (setting === '' || setting === 'false') {
+    return false;
+  }
+  if (setting === 'true') {
+    // Confiar en cualquier proxy permite a los clientes falsear su IP con X-Forwarded-For
+    return true;
+  }
+  if (/^\d+$/.test(setting)) {
+    return Number(setting);
+  }
+
+  const entries = setting.split(',').map((entry) => entry.trim()).filter(Boolean);
+  const invalid = entries.filter((entry) => !NAMED_SUBNETS.includes(entry) && !isValidIpOrCidr(entry));
+  if (invalid.length > 0) {
+    throw new Error(`TRUST_PROXY contiene IPs o rangos CIDR no válidos: ${invalid.join(', ')}`);
+  }
+  return entries;
+};
+
+module.exports = {
+  parseTrustProxy,
+};
@@ -0,0 +1,58 @@
+const { graphql, parse, specifiedRules, validate } = require('graphql');
+const { createSchema } = require('../src/graphql/schema');
+const { createComplexityLimitRule } = require('../src/graphql/limits');
+
+const LIMITS = { maxComplexity: 500, defaultListSize: 10, maxListSize: 100 };
+
+/**
+ * Valida una consulta con las reglas estándar y la de complejidad
+ * @returns {Array} - Errores de validación
+ */
+const validateQuery = (query, variables = {}, limits = LIMITS) => validate(
+  createSchema(limits),
+  parse(query),
+  [...specifiedRules, createComplexityLimitRule({ ...limits, variables })]
+);
+
+// Selección de 6 campos por producto: 100 productos cuestan más de 500
+const PRODUCT_FIELDS = 'items { id name price stock inStock brand }';
+
+describe('createComplexityLimitRule', () => {
+  test('cuenta el argumento limit literal', () => {
+    expect(validateQuery(`{ products(limit: 5) { ${PRODUCT_FIELDS} } }`)).toEqual([]);
+
+    const errors = validateQuery(`{ products(limit: 100) { ${PRODUCT_FIELDS} } }`);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+  });
+
+  test('cuenta el valor por defecto de una variable que el cliente no envía', () => {
+    const query = `query($l: Int = 100) { products(limit: $l) { ${PRODUCT_FIELDS} } }`;
+
+    expect(validateQuery(query)[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+    expect(validateQuery(query, { l: 5 })).toEqual([]);
+  });
+
+  test('los límites por encima de maxListSize cuentan como maxListSize', () => {
+    const query = 'query($l: Int = 100000) { products(limit: $l) { items { id name } } }';
+
+    // 100 productos con 2 campos: 100 * (1 + 3) = 400
+    expect(validateQuery(query)).toEqual([]);
+    expect(validateQuery(query, {}, { ...LIMITS, maxComplexity: 399 })[0].extensions.complexity).toBe(400);
+  });
+});
+
+describe('createSchema', () => {
+  test('los resolvers recortan limit a maxListSize antes de llamar a los servicios', async () => {
+    const load = jest.fn().mockResolvedValue({ items: [], pagination: null });
+
+    const result = await graphql({
+      schema: createSchema({ maxListSize: 100 }),
+      source: 'query($l: Int = 100000) { products(limit: $l, page: 2) { items { id } } }',
+      contextValue: { loaders: { productPage: { load } } },
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(load).toHaveBeenCalledWith({ limit: 100, page: 2 });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Espera a que se cumpla una condición, como el registro en Redis que un middleware
+ * escribe después de responder, sin depender de una espera fija
+ * @param {Function} condition - Función (síncrona o asíncrona) que devuelve un valor verdadero al cumplirse
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milisegundos antes de fallar
+ * @param {number} [options.interval] - Milisegundos entre comprobaciones
+ * @returns {Promise<*>} - Valor devuelto por la condición
+ */
+const waitUntil = async (condition, { timeout = 2000, interval = 5 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await condition();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`La condición no se cumplió en ${timeout}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = {
+  waitUntil,
+};
@@ -0,0 +1,270 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const Redis = require('ioredis');
+const { createIdempotency } = require('../src/middleware/idempotency');
+const { createUpstreamProxy } = require('../src/services/upstreamProxy');
+const { waitUntil } = require('./helpers/waitUntil');
+
+const redis = new Redis();
+
+/**
+ * Registro guardado de la única Idempotency-Key de la prueba
+ */
+const storedRecord = async () => {
+  const [key] = await redis.keys('gateway:idempotency:*');
+  return key ? JSON.parse(await redis.get(key)) : null;
+};
+
+const waitForResponse = () => waitUntil(async () => {
+  const record = await storedRecord();
+  return record && record.response;
+});
+
+describe('createIdempotency', () => {
+  let upstream;
+  let upstreamUrl;
+  let calls;
+  let handler;
+  let services = 0;
+
+  beforeAll((done) => {
+    // http-proxy-middleware informa por consola de cada error de conexión
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const service = express();
+    service.use((req, res) => {
+      calls += 1;
+      handler(req, res);
+    });
+    upstream = service.listen(0, () => {
+      upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    upstream.close(done);
+  });
+
+  beforeEach(async () => {
+    await redis.flushall();
+    calls = 0;
+    handler = (req, res) => res.status(201).location(`/api/v1/orders/${calls}`).json({ id: calls });
+  });
+
+  /**
+   * Gateway con una ruta POST idempotente hacia el servicio de prueba; el usuario llega en la cabecera x-user
+   * Cada gateway usa su propio circuit breaker para que los fallos de una prueba no afecten a las demás
+   */
+  const buildApp = (idempotency = {}, { target = upstreamUrl, timeout = 1000 } = {}) => {
+    services += 1;
+    const route = {
+      method: 'post',
+      fullPath: '/api/v1/orders',
+      idempotency,
+      timeout,
+      service: {
+        name: `pedidos-${services}`,
+        label: 'servicio de pedidos',
+        target,
+        targets: [{ name: 'stable', target, weight: 100 }],
+        retry: { retries: 0 },
+      },
+    };
+
+    const app = express();
+    app.aborted = 0;
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = req.headers['x-user'] ? { id: req.headers['x-user'], role: 'user' } : undefined;
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          app.aborted += 1;
+        }
+      });
+      next();
+    });
+    app.post('/api/v1/orders', createIdempotency(route), createUpstreamProxy(route));
+    return app;
+  };
+
+  const post = (app, key, body = { productId: 1 }, user = 'u1') => request(app)
+    .post('/api/v1/orders')
+    .set('Idempotency-Key', key)
+    .set('x-user', user)
+    .send(body);
+
+  test('los reintentos reciben la respuesta original sin repetir la operación', async () => {
+    const app = buildApp();
+
+    const first = await post(app, 'pedido-1');
+    await waitForResponse();
+    const retry = await post(app, 'pedido-1');
+
+    expect(calls).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.location).toBe('/api/v1/orders/1');
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('el orden de los campos del cuerpo no cambia la huella de la solicitud', async () => {
+    const app = buildApp();
+
+    await post(app, 'pedido-1', { productId: 1, quantity: 2 });
+    await waitForResponse();
+    const retry = await post(app, 'pedido-1', { quantity: 2, productId: 1 });
+
+    expect(retry.status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  test('rechaza con 422 una clave reutilizada con otra solicitud', async () => {
+    const app = buildApp();
+
+    await post(app, 'pedido-1', { productId: 1 });
+    await waitForResponse();
+    const response = await post(app, 'pedido-1', { productId: 2 });
+
+    expect(response.status).toBe(422);
+    expect(calls).toBe(1);
+  });
+
+  test('responde 409 a un duplicado mientras la solicitud original sigue en curso', async () => {
+    let finishOriginal;
+    handler = (req, res) => {
+      finishOriginal = () => res.status(201).json({ id: 1 });
+    };
+    const app = buildApp({ lockTimeout: 30 });
+
+    // then inicia la solicitud sin esperar la respuesta
+    const original = post(app, 'pedido-1').then((response) => response);
+    await waitUntil(() => finishOriginal);
+    const duplicate = await post(app, 'pedido-1');
+    finishOriginal();
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.headers['retry-after']).toBe('30');
+    expect((await original).status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  test('guarda la respuesta aunque el cliente se desconecte y el reintento la recibe', async () => {
+    let finishOriginal;
+    handler = (req, res) => {
+      finishOriginal = () => res.status(201).json({ id: 1 });
+    };
+    const app = buildApp();
+    const server = app.listen(0);
+
+    try {
+      const client = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/api/v1/orders',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'pedido-1', 'x-user': 'u1' },
+      });
+      client.on('error', () => {});
+      client.end(JSON.stringify({ productId: 1 }));
+
+      // El cliente (p. ej. un móvil que pierde la conexión) se va antes de que el servicio responda
+      await waitUntil(() => finishOriginal);
+      client.destroy();
+      await waitUntil(() => app.aborted === 1);
+      finishOriginal();
+      await waitForResponse();
+
+      const retry = await post(server, 'pedido-1');
+
+      expect(retry.status).toBe(201);
+      expect(retry.body).toEqual({ id: 1 });
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(calls).toBe(1);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('tras un 504 la clave queda con resultado desconocido y el reintento recibe 409', async () => {
+    let finishOriginal;
+    handler = (req, res) => {
+      finishOriginal = () => res.status(201).json({ id: 1 });
+    };
+    const app = buildApp({}, { timeout: 100 });
+
+    const first = await post(app, 'pedido-1');
+    const retry = await post(app, 'pedido-1');
+    finishOriginal();
+
+    expect(first.status).toBe(504);
+    expect(retry.status).toBe(409);
+    expect(retry.body.message).toMatch('No se sabe si la solicitud original');
+    expect(retry.headers['retry-after']).toBeUndefined();
+    expect(calls).toBe(1);
+  });
+
+  test('un error 5xx del servicio tampoco libera la clave', async () => {
+    handler = (req, res) => res.status(500).json({ message: 'fallo' });
+    const app = buildApp();
+
+    expect((await post(app, 'pedido-1')).status).toBe(500);
+    await waitUntil(async () => {
+      const record = await storedRecord();
+      return record && record.unknownOutcome;
+    });
+    const retry = await post(app, 'pedido-1');
+
+    expect(retry.status).toBe(409);
+    expect(calls).toBe(1);
+  });
+
+  test('libera la clave si la solicitud no llegó al servicio', async () => {
+    // Puerto sin ningún servicio escuchando: la conexión se rechaza
+    const unreachable = buildApp({}, { target: 'http://127.0.0.1:1' });
+
+    expect((await post(unreachable, 'pedido-1')).status).toBe(502);
+    await waitUntil(async () => !(await storedRecord()));
+    const retry = await post(buildApp(), 'pedido-1');
+
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(1);
+  });
+
+  test('las claves son independientes por usuario', async () => {
+    const app = buildApp();
+
+    await post(app, 'pedido-1', { productId: 1 }, 'u1');
+    await waitForResponse();
+    const other = await post(app, 'pedido-1', { productId: 1 }, 'u2');
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  test('valida la cabecera y la exige en las rutas que la declaran obligatoria', async () => {
+    const app = buildApp({ required: true });
+
+    const missing = await request(app).post('/api/v1/orders').send({ productId: 1 });
+    const invalid = await post(app, 'clave con espacios');
+
+    expect(missing.status).toBe(400);
+    expect(invalid.status).toBe(400);
+    expect(calls).toBe(0);
+  });
+
+  test('no admite Idempotency-Key en rutas GET', () => {
+    expect(() => createIdempotency({ method: 'get', fullPath: '/api/v1/orders' }))
+      .toThrow('Las rutas GET ya son idempotentes');
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Par de claves de firma con su JWK público
+ */
+const createKey = (kid) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' },
+  };
+};
+
+const sign = (key) => jwt.sign({ id: 'u1' }, key.privateKey, { algorithm: 'ES256', keyid: key.kid, expiresIn: 60 });
+
+describe('createJwksClient', () => {
+  const ORIGINAL_JWKS_URL = process.env.AUTH_JWKS_URL;
+  let server;
+  let published;
+  let downloads;
+  let verifyToken;
+
+  beforeAll((done) => {
+    const app = express();
+    app.get('/.well-known/jwks.json', (req, res) => {
+      downloads += 1;
+      res.json({ keys: published.map((key) => key.jwk) });
+    });
+    server = app.listen(0, () => {
+      process.env.AUTH_JWKS_URL = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    process.env.AUTH_JWKS_URL = ORIGINAL_JWKS_URL;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    downloads = 0;
+    // Cada prueba parte de un cliente sin claves descargadas
+    jest.isolateModules(() => {
+      ({ verifyToken } = require('../src/services/jwks'));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifica los tokens con la clave publicada de su kid', async () => {
+    const current = createKey('actual');
+    published = [current];
+
+    await expect(verifyToken(sign(current))).resolves.toEqual(expect.objectContaining({ id: 'u1' }));
+    await verifyToken(sign(current));
+    expect(downloads).toBe(1);
+  });
+
+  test('un kid desconocido vuelve a descargar el JWKS como mucho cada 30 s', async () => {
+    const current = createKey('actual');
+    const next = createKey('siguiente');
+    published = [current];
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await verifyToken(sign(current));
+    published = [current, next];
+    await expect(verifyToken(sign(next))).rejects.toThrow('Clave de firma desconocida');
+    expect(downloads).toBe(1);
+
+    Date.now.mockReturnValue(now + 30001);
+    await expect(verifyToken(sign(next))).resolves.toEqual(expect.objectContaining({ id: 'u1' }));
+    expect(downloads).toBe(2);
+  });
+
+  test('sin ninguna descarga correcta no da el token por inválido', async () => {
+    const current = createKey('actual');
+    process.env.AUTH_JWKS_URL = 'http://127.0.0.1:1/.well-known/jwks.json';
+
+    try {
+      await expect(verifyToken(sign(current))).rejects.toThrow('No se pudieron obtener las claves de firma');
+    } finally {
+      process.env.AUTH_JWKS_URL = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+    }
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Instancias de Ajv creadas por el middleware, para comprobar que su caché no crece
+const ajvInstances = [];
+jest.mock('ajv', () => {
+  const Ajv = jest.requireActual('ajv');
+  return class TrackedAjv extends Ajv {
+    constructor(options) {
+      super(options);
+      ajvInstances.push(this);
+    }
+  };
+});
+
+jest.mock('../src/services/openapi', () => ({
+  ...jest.requireActual('../src/services/openapi'),
+  getUnifiedSpec: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { getUnifiedSpec } = require('../src/services/openapi');
+const { createOpenApiValidator } = require('../src/middleware/openapiValidation');
+
+/**
+ * Especificación mínima con una operación que usa path, query, cuerpo y components
+ * Cada llamada devuelve un objeto nuevo, como una reconstrucción de la especificación
+ */
+const buildSpec = () => ({
+  openapi: '3.0.0',
+  paths: {
+    '/api/v1/products/{id}': {
+      put: {
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+          { name: 'notify', in: 'query', schema: { type: 'boolean' } },
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ProductInput' } } },
+        },
+        responses: {},
+      },
+    },
+  },
+  components: {
+    schemas: {
+      ProductInput: {
+        type: 'object',
+        required: ['name', 'price'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          price: { type: 'number', exclusiveMinimum: 0 },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+});
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.put(
+    '/api/v1/products/:id',
+    createOpenApiValidator({ method: 'put', fullPath: '/api/v1/products/:id' }),
+    (req, res) => res.json({ id: req.params.id })
+  );
+  return app;
+};
+
+describe('createOpenApiValidator', () => {
+  beforeEach(() => {
+    getUnifiedSpec.mockReset();
+    getUnifiedSpec.mockResolvedValue(buildSpec());
+  });
+
+  test('deja pasar las solicitudes que cumplen el esquema', async () => {
+    const response = await request(buildApp())
+      .put('/api/v1/products/3?notify=true')
+      .send({ name: 'Teclado', price: 25 });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('responde 400 con los errores de path, query y cuerpo', async () => {
+    const response = await request(buildApp())
+      .put('/api/v1/products/0?notify=quizas')
+      .send({ name: '', extra: true });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(expect.arrayContaining([
+      { location: 'path', field: 'id', message: 'Debe ser mayor o igual a 1' },
+      { location: 'query', field: 'notify', message: 'Debe ser de tipo boolean' },
+      { location: 'body', field: 'name', message: 'No puede estar vacío' },
+      { location: 'body', field: 'price', message: 'Es requerido' },
+      { location: 'body', field: 'extra', message: 'No es un campo permitido' },
+    ]));
+  });
+
+  test('exige el cuerpo cuando la operación lo declara obligatorio', async () => {
+    const response = await request(buildApp()).put('/api/v1/products/3');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      { location: 'body', field: '', message: 'El cuerpo de la solicitud es requerido' },
+    ]);
+  });
+
+  test('responde 503 sin llamar al servicio si la especificación no se puede construir', async () => {
+    getUnifiedSpec.mockRejectedValue(new Error('docs no válidos'));
+
+    const response = await request(buildApp())
+      .put('/api/v1/products/3')
+      .send({ name: 'Teclado', price: 25 });
+
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+
+  test('las reconstrucciones de la especificación no acumulan esquemas en una misma instancia de Ajv', async () => {
+    const app = buildApp();
+
+    for (let i = 0; i < 5; i += 1) {
+      getUnifiedSpec.mockResolvedValue(buildSpec());
+      await request(app).put('/api/v1/products/3').send({ name: 'Teclado', price: 25 });
+    }
+
+    // Cada instancia conserva solo los esquemas de una versión: path y query, o el cuerpo
+    // (más el metaesquema que Ajv añade al crearse)
+    const compiled = ajvInstances.map((ajv) => [...ajv._cache.keys()].filter((schema) => !schema.$schema).length);
+    expect(ajvInstances.length).toBeGreaterThanOrEqual(10);
+    expect(Math.max(...compiled)).toBeLessThanOrEqual(2);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Redis = require('ioredis');
+const rateLimitStore = require('../src/services/rateLimitStore');
+const { createRateLimiter } = require('../src/middleware/rateLimit');
+
+// Las instancias de ioredis-mock comparten los datos, así que sirve para limpiar entre pruebas
+const redis = new Redis();
+
+const NOW = 1700000000000;
+
+describe('rateLimitStore', () => {
+  beforeEach(async () => {
+    await redis.flushall();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fixed-window rechaza al superar el máximo de la ventana y no consume al rechazar', async () => {
+    const policy = { algorithm: 'fixed-window', windowMs: 60000, max: 3 };
+
+    const results = [];
+    for (let i = 0; i < 4; i += 1) {
+      results.push(await rateLimitStore.consume('ratelimit:test:fixed', policy, 1));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].msBeforeRetry).toBeGreaterThan(0);
+    expect(await redis.get('ratelimit:test:fixed:fixed-window')).toBe('3');
+  });
+
+  test('fixed-window aplica la ráfaga aunque quede cuota en la ventana', async () => {
+    const policy = {
+      algorithm: 'fixed-window',
+      windowMs: 60000,
+      max: 100,
+      burst: { windowMs: 1000, max: 2 },
+    };
+
+    const first = await rateLimitStore.consume('ratelimit:test:burst', policy, 2);
+    const second = await rateLimitStore.consume('ratelimit:test:burst', policy, 1);
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(second.remaining).toBe(98);
+  });
+
+  test('sliding-window libera la cuota a medida que las entradas salen de la ventana', async () => {
+    const policy = { algorithm: 'sliding-window', windowMs: 10000, max: 2 };
+
+    expect((await rateLimitStore.consume('ratelimit:test:sliding', policy, 1)).allowed).toBe(true);
+    Date.now.mockReturnValue(NOW + 4000);
+    expect((await rateLimitStore.consume('ratelimit:test:sliding', policy, 1)).allowed).toBe(true);
+
+    const rejected = await rateLimitStore.consume('ratelimit:test:sliding', policy, 1);
+    expect(rejected.allowed).toBe(false);
+    // La primera entrada sale de la ventana a los 10 s de registrarse
+    expect(rejected.msBeforeRetry).toBe(6000);
+
+    Date.now.mockReturnValue(NOW + 10001);
+    expect((await rateLimitStore.consume('ratelimit:test:sliding', policy, 1)).allowed).toBe(true);
+  });
+
+  test('sliding-window respeta el costo de la solicitud', async () => {
+    const policy = { algorithm: 'sliding-window', windowMs: 10000, max: 5 };
+
+    expect((await rateLimitStore.consume('ratelimit:test:cost', policy, 5)).allowed).toBe(true);
+    expect((await rateLimitStore.consume('ratelimit:test:cost', policy, 1)).allowed).toBe(false);
+  });
+
+  test('token-bucket admite la ráfaga completa y se rellena a razón de max / windowMs', async () => {
+    const policy = {
+      algorithm: 'token-bucket',
+      windowMs: 10000,
+      max: 10,
+      burst: { windowMs: 1000, max: 3 },
+    };
+
+    const results = [];
+    for (let i = 0; i < 4; i += 1) {
+      results.push(await rateLimitStore.consume('ratelimit:test:bucket', policy, 1));
+    }
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    // Un token se repone cada windowMs / max = 1000 ms
+    expect(results[3].msBeforeRetry).toBe(1000);
+
+    Date.now.mockReturnValue(NOW + 1000);
+    expect((await rateLimitStore.consume('ratelimit:test:bucket', policy, 1)).allowed).toBe(true);
+    expect((await rateLimitStore.consume('ratelimit:test:bucket', policy, 1)).allowed).toBe(false);
+  });
+
+  test('token-bucket informa la cuota de la ventana y la ráfaga por separado', async () => {
+    const policy = {
+      algorithm: 'token-bucket',
+      windowMs: 900000,
+      max: 1000,
+      burst: { windowMs: 1000, max: 50 },
+    };
+
+    const result = await rateLimitStore.consume('ratelimit:test:limits', policy, 1);
+
+    expect(result.limit).toBe(1000);
+    expect(result.burst).toBe(50);
+    expect(result.remaining).toBe(49);
+  });
+});
+
+describe('createRateLimiter', () => {
+  const buildApp = (policy) => {
+    const app = express();
+    app.get('/', createRateLimiter(policy), (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  test('las políticas token-bucket publican la cuota de la ventana y la ráfaga como parámetro aparte', async () => {
+    const response = await request(buildApp('premium')).get('/');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBe('1000');
+    expect(response.headers['ratelimit-policy']).toBe('1000;w=900;burst=50');
+    expect(response.headers['ratelimit-remaining']).toBe('49');
+  });
+
+  test('las políticas de ventana publican su máximo sin parámetro de ráfaga', async () => {
+    const response = await request(buildApp('user')).get('/');
+
+    expect(response.headers['ratelimit-limit']).toBe('100');
+    expect(response.headers['ratelimit-policy']).toBe('100;w=900');
+  });
+
+  test('responde 429 con Retry-After al agotar la cuota', async () => {
+    const app = buildApp('anonymous');
+
+    // La ráfaga de la política anonymous admite 5 solicitudes por segundo
+    for (let i = 0; i < 5; i += 1) {
+      await request(app).get('/');
+    }
+    const response = await request(app).get('/');
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Redis = require('ioredis');
+const runtimeConfig = require('../src/services/runtimeConfig');
+const { createRateLimiter, resolvePlan } = require('../src/middleware/rateLimit');
+
+const redis = new Redis();
+
+describe('resolvePlan', () => {
+  const ORIGINAL_INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+
+  afterEach(() => {
+    process.env.INTERNAL_API_KEY = ORIGINAL_INTERNAL_KEY;
+  });
+
+  test('asigna la política según el rol del usuario', () => {
+    expect(resolvePlan({ headers: {} })).toBe('anonymous');
+    expect(resolvePlan({ headers: {}, user: { id: '1', role: 'user' } })).toBe('user');
+    expect(resolvePlan({ headers: {}, user: { id: '1', role: 'premium' } })).toBe('premium');
+    expect(resolvePlan({ headers: {}, user: { id: '1', role: 'admin' } })).toBe('admin');
+  });
+
+  test('la clave interna tiene prioridad sobre el usuario', () => {
+    process.env.INTERNAL_API_KEY = 'interna';
+
+    expect(resolvePlan({ headers: { 'x-api-key': 'interna' }, user: { role: 'user' } })).toBe('internal');
+    expect(resolvePlan({ headers: { 'x-api-key': 'otra' } })).toBe('anonymous');
+  });
+
+  test('las aplicaciones cliente usan su política o partner si no existe', () => {
+    expect(resolvePlan({ headers: {}, clientApp: { id: 'app', rateLimitPolicy: 'premium' } })).toBe('premium');
+    expect(resolvePlan({ headers: {}, clientApp: { id: 'app', rateLimitPolicy: 'inexistente' } })).toBe('partner');
+  });
+});
+
+describe('createRateLimiter', () => {
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  test('rechaza políticas desconocidas al crear el middleware', () => {
+    expect(() => createRateLimiter('inexistente')).toThrow('Política de límite de tasa desconocida');
+  });
+
+  test('el costo con nombre consume el peso definido en la política', async () => {
+    const app = express();
+    app.get('/', createRateLimiter({ policy: 'user', cost: 'search', bucket: 'search' }), (req, res) => res.end());
+
+    const response = await request(app).get('/');
+
+    // La política user cobra 5 unidades por búsqueda
+    expect(response.headers['ratelimit-remaining']).toBe('95');
+  });
+
+  test('cada bucket lleva un contador independiente', async () => {
+    const app = express();
+    app.get('/a', createRateLimiter({ policy: 'user', bucket: 'a' }), (req, res) => res.end());
+    app.get('/b', createRateLimiter({ policy: 'user', bucket: 'b' }), (req, res) => res.end());
+
+    await request(app).get('/a');
+    const response = await request(app).get('/b');
+
+    expect(response.headers['ratelimit-remaining']).toBe('99');
+  });
+
+  test('la configuración en caliente rechaza políticas sin límites o con algoritmos desconocidos', async () => {
+    const { policies } = runtimeConfig.get('rateLimits');
+    const options = { actor: { id: 'admin' } };
+
+    await expect(runtimeConfig.update('rateLimits', {
+      policies: { ...policies, user: { ...policies.user, algorithm: 'leaky-bucket' } },
+    }, options)).rejects.toThrow('Algoritmo de límite de tasa no soportado');
+    await expect(runtimeConfig.update('rateLimits', {
+      policies: { ...policies, user: { ...policies.user, max: 0 } },
+    }, options)).rejects.toThrow('windowMs y max positivos');
+
+    const withoutPartner = { ...policies };
+    delete withoutPartner.partner;
+    await expect(runtimeConfig.update('rateLimits', { policies: withoutPartner }, options))
+      .rejects.toThrow('Faltan políticas en uso: partner');
+  });
+});
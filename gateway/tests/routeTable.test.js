@@ -0,0 +1,80 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Sin operaciones documentadas el validador OpenAPI deja pasar las solicitudes
+jest.mock('../src/services/openapi', () => ({
+  ...jest.requireActual('../src/services/openapi'),
+  getUnifiedSpec: jest.fn(async () => ({ openapi: '3.0.0', paths: {} })),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const runtimeConfig = require('../src/services/runtimeConfig');
+const { getRouteConfig } = require('../src/routes/routeTable');
+const { buildGatewayRouter } = require('../src/routes');
+
+describe('tabla de rutas', () => {
+  const ORIGINAL_ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL;
+  let upstream;
+  let received;
+  let app;
+
+  beforeAll((done) => {
+    const service = express();
+    service.use((req, res) => {
+      received.push(`${req.method} ${req.path}`);
+      res.json({ received: true });
+    });
+    upstream = service.listen(0, () => {
+      process.env.ORDER_SERVICE_URL = `http://127.0.0.1:${upstream.address().port}`;
+      app = express();
+      app.use(buildGatewayRouter(getRouteConfig()));
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    process.env.ORDER_SERVICE_URL = ORIGINAL_ORDER_SERVICE_URL;
+    upstream.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  test('el webhook de pagos llega al servicio de pedidos sin token (lo protege su firma)', async () => {
+    const response = await request(app)
+      .post('/api/v1/payments/webhook')
+      .send({ type: 'payment_intent.succeeded' });
+
+    expect(response.status).toBe(200);
+    expect(received).toEqual(['POST /api/payments/webhook']);
+  });
+
+  test('el resto de rutas de pagos sigue exigiendo autenticación', async () => {
+    const response = await request(app).get('/api/v1/payments/methods');
+
+    expect(response.status).toBe(401);
+    expect(received).toEqual([]);
+  });
+});
+
+describe('validación de cambios en la tabla de rutas', () => {
+  test('rechaza un cambio que deja sin servicio a los endpoints compuestos o GraphQL', async () => {
+    // Sin el servicio de productos ni sus rutas, el router de rutas se construye pero los demás no
+    const { services, groups } = getRouteConfig();
+    const withoutProducts = {
+      services: Object.fromEntries(Object.entries(services).filter(([name]) => name !== 'product-service')),
+      groups: groups.filter((group) => group.service !== 'product-service'),
+    };
+
+    await expect(runtimeConfig.update('routes', withoutProducts, { actor: { id: 'admin' } }))
+      .rejects.toThrow('Servicio desconocido "product-service"');
+    expect(getRouteConfig().services['product-service']).toBeDefined();
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// La firma con el JWKS se cubre en jwks.test.js; aquí basta con el payload
+jest.mock('../src/services/jwks', () => ({
+  verifyToken: jest.fn(async (token) => require('jsonwebtoken').decode(token)),
+}));
+jest.mock('axios', () => ({
+  get: jest.fn(),
+}));
+
+// Canal de RabbitMQ que anota los enlaces y entrega los mensajes al consumidor registrado
+const mockChannel = {
+  bindings: [],
+  assertExchange: jest.fn(),
+  assertQueue: jest.fn(async () => ({ queue: 'gateway' })),
+  bindQueue: jest.fn(async (queue, exchange, pattern) => mockChannel.bindings.push(pattern)),
+  consume: jest.fn(async (queue, onMessage) => {
+    mockChannel.deliver = onMessage;
+  }),
+  ack: jest.fn(),
+  nack: jest.fn(),
+};
+jest.mock('amqplib', () => ({
+  connect: jest.fn(async () => ({
+    on: jest.fn(),
+    createChannel: async () => mockChannel,
+  })),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const axios = require('axios');
+const Redis = require('ioredis');
+const authMiddleware = require('../src/middleware/auth');
+const { setupMessageConsumer } = require('../src/messaging/consumer');
+
+const redis = new Redis();
+
+const issueToken = (iat) => jwt.sign({ id: 'u1', role: 'user', iat, jti: `t-${iat}` }, 'secreto');
+
+describe('user.session_compromised', () => {
+  const now = Math.floor(Date.now() / 1000);
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.get('/me', authMiddleware, (req, res) => res.json({ id: req.user.id }));
+    await setupMessageConsumer();
+  });
+
+  beforeEach(async () => {
+    await redis.flushall();
+    axios.get.mockReset();
+    axios.get.mockResolvedValue({ data: { valid: true } });
+  });
+
+  const publish = (event, data) => mockChannel.deliver({
+    fields: { exchange: 'user_events', routingKey: event },
+    properties: { headers: {} },
+    content: Buffer.from(JSON.stringify({ event, data })),
+  });
+
+  const get = (token) => request(app).get('/me').set('Authorization', `Bearer ${token}`);
+
+  test('el gateway se suscribe al evento', () => {
+    expect(mockChannel.bindings).toContain('user.session_compromised');
+  });
+
+  test('rechaza los tokens del usuario emitidos antes del evento aunque estuvieran en caché', async () => {
+    const stolen = issueToken(now - 60);
+    expect((await get(stolen)).status).toBe(200);
+
+    await publish('user.session_compromised', {
+      userId: 'u1', family: 'familia-1', timestamp: new Date(now * 1000).toISOString(),
+    });
+
+    expect(mockChannel.ack).toHaveBeenCalled();
+    expect((await get(stolen)).status).toBe(401);
+    expect((await get(issueToken(now - 1))).status).toBe(401);
+    // La validación remota no lo detectaría: el usuario sigue activo
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('un inicio de sesión en el mismo segundo que la revocación, pero posterior, no queda bloqueado', async () => {
+    // La revocación llega a mitad de segundo; el nuevo token lleva iat truncado a ese mismo segundo
+    await publish('user.session_compromised', {
+      userId: 'u1', family: 'familia-1', timestamp: new Date(now * 1000 + 500).toISOString(),
+    });
+
+    expect((await get(issueToken(now))).status).toBe(200);
+  });
+
+  test('los tokens emitidos después del evento y los de otros usuarios siguen siendo válidos', async () => {
+    await publish('user.session_compromised', {
+      userId: 'u1', family: 'familia-1', timestamp: new Date(now * 1000).toISOString(),
+    });
+
+    expect((await get(issueToken(now + 1))).status).toBe(200);
+    const other = jwt.sign({ id: 'u2', role: 'user', iat: now - 60 }, 'secreto');
+    expect((await get(other)).status).toBe(200);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { selectTarget, recordResult, countResultBuckets } = require('../src/services/trafficSplit');
+
+const stable = { name: 'stable', target: 'http://pedidos', weight: 100 };
+const canary = { name: 'canary', target: 'http://pedidos-canary', weight: 0 };
+
+const buildService = (canaryOptions = {}) => ({
+  name: 'pedidos',
+  targets: [stable, canary],
+  canary: canaryOptions,
+});
+
+/**
+ * Solicitud mínima con las cabeceras y el usuario que usa el reparto
+ */
+const buildRequest = (headers = {}, user) => ({
+  ip: '203.0.113.7',
+  headers,
+  user,
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+});
+
+describe('selectTarget', () => {
+  const ORIGINAL_INTERNAL_KEY = process.env.INTERNAL_API_KEY;
+
+  afterEach(() => {
+    process.env.INTERNAL_API_KEY = ORIGINAL_INTERNAL_KEY;
+  });
+
+  test('los llamantes anónimos o sin rol autorizado no pueden forzar el destino', () => {
+    const service = buildService();
+
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true' }))).toBe(stable);
+    expect(selectTarget(service, buildRequest({ cookie: 'canary=canary' }))).toBe(stable);
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true' }, { id: 'u1', role: 'user' }))).toBe(stable);
+  });
+
+  test('los administradores y las llamadas internas fuerzan el destino aunque su peso sea 0', () => {
+    process.env.INTERNAL_API_KEY = 'interna';
+    const service = buildService();
+
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true' }, { id: 'u1', role: 'admin' }))).toBe(canary);
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'canary', 'x-api-key': 'interna' }))).toBe(canary);
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true', 'x-api-key': 'otra' }))).toBe(stable);
+  });
+
+  test('canary.overrideRoles define qué roles pueden forzar el destino', () => {
+    const service = buildService({ overrideRoles: ['premium'] });
+
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true' }, { id: 'u1', role: 'premium' }))).toBe(canary);
+    expect(selectTarget(service, buildRequest({ 'x-canary': 'true' }, { id: 'u2', role: 'admin' }))).toBe(stable);
+  });
+});
+
+describe('recordResult', () => {
+  const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  test('conserva solo los segundos de la ventana aunque no haya fallos', () => {
+    const service = buildService({ rollback: { windowMs: 5000 } });
+    const weighted = { ...canary, weight: 10 };
+
+    for (let second = 0; second < 120; second += 1) {
+      jest.setSystemTime(START + second * 1000);
+      recordResult(service, weighted, false);
+    }
+
+    expect(countResultBuckets(service, weighted)).toBeLessThanOrEqual(5);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Redis = require('ioredis');
+const abuseStore = require('../src/services/abuseStore');
+const runtimeConfig = require('../src/services/runtimeConfig');
+const { abuseProtectionMiddleware } = require('../src/middleware/abuseProtection');
+const { ipBlocklistMiddleware } = require('../src/middleware/ipBlocklist');
+const { parseTrustProxy } = require('../src/utils/trustProxy');
+const { waitUntil } = require('./helpers/waitUntil');
+
+const redis = new Redis();
+
+describe('parseTrustProxy', () => {
+  test('interpreta booleanos, número de saltos y listas de IPs o rangos', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('1')).toBe(1);
+    expect(parseTrustProxy('10.0.0.0/8, loopback')).toEqual(['10.0.0.0/8', 'loopback']);
+  });
+
+  test('rechaza entradas que no son IPs ni rangos CIDR', () => {
+    expect(() => parseTrustProxy('10.0.0.0/8,ingress')).toThrow('TRUST_PROXY contiene IPs o rangos CIDR no válidos: ingress');
+  });
+});
+
+describe('IP del cliente detrás de un proxy', () => {
+  /**
+   * Gateway con los middlewares de IP; /login responde 401 como un login fallido
+   */
+  const buildApp = (trustProxy) => {
+    const app = express();
+    app.set('trust proxy', parseTrustProxy(trustProxy));
+    app.use(ipBlocklistMiddleware);
+    app.use(abuseProtectionMiddleware);
+    app.post('/api/v1/auth/login', (req, res) => res.status(401).json({ message: 'Credenciales inválidas' }));
+    app.get('/', (req, res) => res.json({ ip: req.ip }));
+    return app;
+  };
+
+  const from = (app, ip) => request(app).get('/').set('X-Forwarded-For', ip);
+
+  // Solo se limpian los contadores y bloqueos: la versión de la configuración dinámica
+  // debe seguir creciendo para que se apliquen los cambios de la lista de bloqueo
+  beforeEach(async () => {
+    const keys = await redis.keys('abuse:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  afterEach(async () => {
+    await runtimeConfig.update('ipBlocklist', { deny: [] }, { actor: { id: 'admin' } });
+  });
+
+  test('los bloqueos automáticos se aplican a la IP del cliente y no a la del proxy', async () => {
+    const app = buildApp('1');
+
+    for (let i = 0; i < 10; i += 1) {
+      await request(app).post('/api/v1/auth/login').set('X-Forwarded-For', '203.0.113.10');
+    }
+    // Los fallos se cuentan al terminar cada respuesta, después de que el cliente la reciba
+    await waitUntil(() => abuseStore.getBan('203.0.113.10'));
+
+    expect((await from(app, '203.0.113.10')).status).toBe(403);
+    expect((await from(app, '203.0.113.20')).status).toBe(200);
+    expect(await abuseStore.getBan('203.0.113.10')).toEqual(expect.objectContaining({ rule: 'failed-logins' }));
+  });
+
+  test('la lista de bloqueo compara la IP del cliente', async () => {
+    await runtimeConfig.update('ipBlocklist', { deny: ['203.0.113.0/28'] }, { actor: { id: 'admin' } });
+    const app = buildApp('1');
+
+    expect((await from(app, '203.0.113.10')).status).toBe(403);
+    expect((await from(app, '198.51.100.7')).status).toBe(200);
+  });
+
+  test('sin proxies de confianza se ignora X-Forwarded-For', async () => {
+    await abuseStore.saveBan({ ip: '203.0.113.10', rule: 'failed-logins', offense: 1, durationSeconds: 300 });
+    const app = buildApp(undefined);
+
+    const response = await from(app, '203.0.113.10');
+
+    expect(response.status).toBe(200);
+    expect(response.body.ip).not.toBe('203.0.113.10');
+  });
+});
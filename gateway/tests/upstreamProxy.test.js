@@ -0,0 +1,108 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createUpstreamProxy, getCircuitBreaker } = require('../src/services/upstreamProxy');
+
+describe('createUpstreamProxy', () => {
+  let upstream;
+  let upstreamUrl;
+  let hits;
+  let respond;
+
+  beforeAll((done) => {
+    // http-proxy-middleware informa por consola de cada error de conexión
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = express();
+    app.use((req, res) => {
+      hits += 1;
+      respond(req, res);
+    });
+    upstream = app.listen(0, () => {
+      upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    upstream.close(done);
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  /**
+   * Gateway con una sola ruta hacia el servicio de prueba
+   * Anota cuántos listeners de close tiene la respuesta al terminar
+   */
+  const buildGateway = (name, serviceOptions = {}) => {
+    const service = {
+      name,
+      label: `servicio ${name}`,
+      target: upstreamUrl,
+      targets: [{ name: 'stable', target: upstreamUrl, weight: 100 }],
+      retry: { retries: 2, baseDelayMs: 1, maxDelayMs: 1 },
+      ...serviceOptions,
+    };
+    const closeListeners = [];
+    const app = express();
+    app.use((req, res, next) => {
+      res.on('finish', () => closeListeners.push(res.listenerCount('close')));
+      next();
+    });
+    app.get('/items', createUpstreamProxy({ service, timeout: 1000 }));
+    return { app, service, closeListeners };
+  };
+
+  // Cierra la conexión sin responder, como un servicio caído a mitad de solicitud
+  const dropConnection = (req) => req.socket.destroy();
+
+  test('reintenta los errores de conexión de métodos idempotentes', async () => {
+    respond = (req, res) => (hits < 3 ? dropConnection(req) : res.json({ hits }));
+    const { app } = buildGateway('reintentos');
+
+    const response = await request(app).get('/items');
+
+    expect(response.status).toBe(200);
+    expect(hits).toBe(3);
+  });
+
+  test('registra un único listener de close por solicitud aunque haya reintentos', async () => {
+    respond = (req, res) => res.status(200).json({});
+    const single = buildGateway('sin-reintentos');
+    await request(single.app).get('/items');
+
+    hits = 0;
+    respond = (req, res) => (hits < 3 ? dropConnection(req) : res.json({}));
+    const retried = buildGateway('con-reintentos');
+    await request(retried.app).get('/items');
+
+    expect(hits).toBe(3);
+    expect(retried.closeListeners).toEqual(single.closeListeners);
+  });
+
+  test('las respuestas 5xx llegan al cliente sin reintentos y con el circuito abierto se responde 503', async () => {
+    respond = (req, res) => res.status(500).json({ message: 'fallo' });
+    const { app, service } = buildGateway('circuito', {
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 },
+    });
+
+    expect((await request(app).get('/items')).status).toBe(500);
+    expect((await request(app).get('/items')).status).toBe(500);
+    expect(getCircuitBreaker(service).state).toBe('OPEN');
+
+    const response = await request(app).get('/items');
+
+    expect(response.status).toBe(503);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(hits).toBe(2);
+  });
+});
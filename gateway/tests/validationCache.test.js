@@ -0,0 +1,81 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const Redis = require('ioredis');
+const { createValidationCache } = require('../src/services/validationCache');
+const tokenCache = require('../src/services/tokenCache');
+const apiKeyCache = require('../src/services/apiKeyCache');
+
+const redis = new Redis();
+
+describe('createValidationCache', () => {
+  const cache = createValidationCache({
+    name: 'pruebas',
+    keyPrefix: 'test:validation:',
+    indexPrefix: 'test:validation:owner:',
+    maxTtl: 60,
+  });
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  test('acota el TTL de la entrada por la caducidad de lo validado', async () => {
+    await cache.set('a', 'owner-1', { valid: true });
+    await cache.set('b', 'owner-1', { valid: true }, Date.now() + 10000);
+
+    expect(await cache.get('a')).toEqual({ valid: true });
+    expect(await redis.ttl('test:validation:a')).toBe(60);
+    expect(await redis.ttl('test:validation:b')).toBeLessThanOrEqual(10);
+  });
+
+  test('no guarda lo que ya caducó', async () => {
+    await cache.set('a', 'owner-1', { valid: true }, Date.now() - 1000);
+
+    expect(await cache.get('a')).toBeNull();
+  });
+
+  test('invalida solo las entradas del propietario', async () => {
+    await cache.set('a', 'owner-1', { valid: true });
+    await cache.set('b', 'owner-1', { valid: true });
+    await cache.set('c', 'owner-2', { valid: true });
+
+    expect(await cache.invalidate('owner-1')).toBe(2);
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toEqual({ valid: true });
+  });
+});
+
+describe('tokenCache y apiKeyCache', () => {
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  test('los tokens se indexan por usuario y se acotan por su claim exp', async () => {
+    const decoded = { id: 'u1', jti: 'token-1', exp: Math.floor(Date.now() / 1000) + 30 };
+    await tokenCache.setValidation(decoded, 'jwt', { valid: true });
+
+    expect(await tokenCache.getValidation(decoded, 'jwt')).toEqual({ valid: true });
+    expect(await redis.ttl('auth:validation:token-1')).toBeLessThanOrEqual(30);
+
+    await tokenCache.invalidateUser('u1');
+    expect(await tokenCache.getValidation(decoded, 'jwt')).toBeNull();
+  });
+
+  test('las API keys se guardan por hash y se indexan por aplicación', async () => {
+    const verification = { client: { id: 'app-1' }, key: { expiresAt: null } };
+    await apiKeyCache.setVerification('clave-secreta', verification);
+
+    expect(await apiKeyCache.getVerification('clave-secreta')).toEqual(verification);
+    expect(await redis.keys('*clave-secreta*')).toEqual([]);
+
+    await apiKeyCache.invalidateClient('app-1');
+    expect(await apiKeyCache.getVerification('clave-secreta')).toBeNull();
+  });
+});
@@ -3,7 +3,7 @@ const jwt = require('jsonwebtoken');
 const Redis = require('ioredis');
 const User = require('../models/User');
 const Token = require('../models/Token');
-const { publishUserEvent } = require('../messaging/publisher');
+const { publishUserEvent } = require('../messaging/Publisher');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -145,15 +145,14 @@ exports.login = async (req, res, next) => {
     await user.recordLoginAttempt(true);
 
     // Generar tokens
-    const token = user.generateAuthToken();
+    const token = await user.generateAuthToken();
     const refreshToken = user.generateRefreshToken();
 
     // Guardar refresh token en la base de datos
-    await Token.create({
+    // Cada inicio de sesión abre una familia; los tokens de sus rotaciones la heredan
+    await Token.createRefreshToken(refreshToken, {
       userId: user._id,
-      token: refreshToken,
-      type: 'refresh',
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 días
+      family: crypto.randomUUID(),
       userAgent: req.headers['user-agent'],
       ipAddress: req.ip,
     });
@@ -223,16 +222,50 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Revoca la familia de un refresh token reutilizado y avisa con user.session_compromised
+ * Un fallo al publicar el evento no impide la revocación ni la respuesta
+ * @param {Object} tokenDoc - Refresh token reutilizado
+ * @param {Object} req - Solicitud de Express
+ */
+const revokeCompromisedSession = async (tokenDoc, req) => {
+  const userId = tokenDoc.userId.toString();
+  await Token.revokeFamily(tokenDoc.family);
+  logger.warn(`Reutilización de refresh token detectada: sesión ${tokenDoc.family} del usuario ${userId} revocada (IP ${req.ip})`);
+
+  try {
+    await publishUserEvent('user.session_compromised', {
+      userId,
+      family: tokenDoc.family,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Error al publicar user.session_compromised del usuario ${userId}:`, error);
+  }
+};
+
 /**
  * Renovar token de acceso usando refresh token
+ * Cada refresh token solo sirve una vez; presentar uno ya usado revoca toda su familia
  */
 exports.refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
 
-    // Verificar si el refresh token existe y es válido
-    const tokenDoc = await Token.findValidToken(refreshToken, 'refresh');
-    
+    // Verificar si el refresh token existe y es válido, y marcarlo como usado
+    const { token: tokenDoc, reused } = await Token.consumeRefreshToken(refreshToken);
+
+    // Un token ya usado indica que se copió: se revoca toda la sesión
+    if (reused) {
+      await revokeCompromisedSession(reused, req);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token ya utilizado. Por seguridad se ha cerrado la sesión, inicia sesión nuevamente.',
+      });
+    }
+
     if (!tokenDoc) {
       return res.status(401).json({
         status: 'error',
@@ -251,20 +284,15 @@ exports.refreshToken = async (req, res, next) => {
     }
 
     // Generar nuevo token de acceso
-    const newAccessToken = user.generateAuthToken();
+    const newAccessToken = await user.generateAuthToken();
 
     // Generar nuevo refresh token
     const newRefreshToken = user.generateRefreshToken();
 
-    // Marcar el refresh token actual como usado
-    await tokenDoc.markAsUsed();
-
-    // Guardar nuevo refresh token
-    await Token.create({
+    // Guardar nuevo refresh token en la misma familia
+    await Token.createRefreshToken(newRefreshToken, {
       userId: user._id,
-      token: newRefreshToken,
-      type: 'refresh',
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 días
+      family: tokenDoc.family,
       userAgent: req.headers['user-agent'],
       ipAddress: req.ip,
     });
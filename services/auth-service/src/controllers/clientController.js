@@ -0,0 +1,277 @@
+const ClientApp = require('../models/ClientApp');
+const { publishUserEvent } = require('../messaging/Publisher');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+// Segundos que la clave anterior sigue siendo válida tras una rotación
+const DEFAULT_KEY_OVERLAP = parseInt(process.env.CLIENT_KEY_OVERLAP_SECONDS, 10) || 86400;
+
+// Campos de la aplicación que se pueden modificar
+const UPDATABLE_FIELDS = ['name', 'description', 'scopes', 'rateLimitPolicy', 'allowedOrigins', 'allowedIps', 'isActive'];
+
+/**
+ * Calcula la caducidad de una clave a partir de los días indicados
+ * @param {number} [expiresInDays] - Días de validez (sin valor: no caduca)
+ * @returns {Date|undefined}
+ */
+const getExpiry = (expiresInDays) => {
+  return expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined;
+};
+
+/**
+ * Publica un evento de aplicación cliente
+ * El gateway escucha client.updated y client.revoked para descartar las claves cacheadas
+ * @param {string} routingKey - Clave de enrutamiento (ej: 'client.updated')
+ * @param {Object} client - Aplicación afectada
+ */
+const publishClientEvent = async (routingKey, client) => {
+  await publishUserEvent(routingKey, {
+    clientId: client._id.toString(),
+    name: client.name,
+    isActive: client.isActive,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Busca una aplicación por ID o lanza un 404
+ * Se cargan los hashes de las claves para que al guardar no se pierdan (toJSON no los expone)
+ * @param {string} id - ID de la aplicación
+ * @returns {Promise<Object>}
+ */
+const findClientOrFail = async (id) => {
+  const client = await ClientApp.findById(id).select('+keys.hash');
+  if (!client) {
+    throw new AppError('Aplicación cliente no encontrada', 404);
+  }
+  return client;
+};
+
+/**
+ * Registrar una aplicación cliente con su primera API key
+ */
+exports.createClient = async (req, res, next) => {
+  try {
+    const { expiresInDays, ...fields } = req.body;
+
+    const client = new ClientApp({
+      ...Object.fromEntries(UPDATABLE_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, fields[field]])),
+      createdBy: req.user.id,
+    });
+    const key = client.generateKey(getExpiry(expiresInDays));
+    await client.save();
+
+    await publishClientEvent('client.created', client);
+    logger.info(`Aplicación cliente registrada: ${client.name} (${client._id}) por ${req.user.email}`);
+
+    // La API key completa solo se muestra en esta respuesta
+    res.status(201).json({
+      status: 'success',
+      message: 'Aplicación cliente registrada. Guarda la API key: no se volverá a mostrar.',
+      data: {
+        client,
+        apiKey: key.apiKey,
+      },
+    });
+  } catch (error) {
+    logger.error('Error al registrar aplicación cliente:', error);
+    next(error);
+  }
+};
+
+/**
+ * Listar aplicaciones cliente
+ */
+exports.getClients = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const filter = req.query.isActive === undefined ? {} : { isActive: req.query.isActive === 'true' };
+
+    const [clients, total] = await Promise.all([
+      ClientApp.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ClientApp.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        clients,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error al listar aplicaciones cliente:', error);
+    next(error);
+  }
+};
+
+/**
+ * Obtener una aplicación cliente
+ */
+exports.getClient = async (req, res, next) => {
+  try {
+    const client = await findClientOrFail(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { client },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Actualizar los permisos, la política o las restricciones de una aplicación
+ */
+exports.updateClient = async (req, res, next) => {
+  try {
+    const client = await findClientOrFail(req.params.id);
+
+    UPDATABLE_FIELDS
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        client[field] = req.body[field];
+      });
+    await client.save();
+
+    await publishClientEvent(client.isActive ? 'client.updated' : 'client.revoked', client);
+    logger.info(`Aplicación cliente actualizada: ${client.name} (${client._id})`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Aplicación cliente actualizada correctamente',
+      data: { client },
+    });
+  } catch (error) {
+    logger.error('Error al actualizar aplicación cliente:', error);
+    next(error);
+  }
+};
+
+/**
+ * Eliminar una aplicación cliente y revocar todas sus claves
+ */
+exports.deleteClient = async (req, res, next) => {
+  try {
+    const client = await findClientOrFail(req.params.id);
+    await client.deleteOne();
+
+    await publishClientEvent('client.revoked', client);
+    logger.info(`Aplicación cliente eliminada: ${client.name} (${client._id})`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Aplicación cliente eliminada correctamente',
+    });
+  } catch (error) {
+    logger.error('Error al eliminar aplicación cliente:', error);
+    next(error);
+  }
+};
+
+/**
+ * Rotar la API key de una aplicación
+ * Las claves anteriores siguen funcionando durante el periodo de solapamiento
+ */
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const client = await findClientOrFail(req.params.id);
+    const overlapSeconds = req.body.overlapSeconds === undefined ? DEFAULT_KEY_OVERLAP : req.body.overlapSeconds;
+
+    const key = client.rotateKeys(overlapSeconds, getExpiry(req.body.expiresInDays));
+    await client.save();
+
+    await publishClientEvent('client.updated', client);
+    logger.info(`API key rotada para ${client.name} (${client._id}); solapamiento de ${overlapSeconds}s`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key rotada. Guarda la nueva clave: no se volverá a mostrar.',
+      data: {
+        client,
+        apiKey: key.apiKey,
+      },
+    });
+  } catch (error) {
+    logger.error('Error al rotar API key:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revocar inmediatamente una API key
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const client = await findClientOrFail(req.params.id);
+    const key = client.keys.find((candidate) => candidate.keyId === req.params.keyId);
+
+    if (!key) {
+      return next(new AppError('API key no encontrada', 404));
+    }
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date();
+      await client.save();
+      await publishClientEvent('client.updated', client);
+      logger.info(`API key ${key.keyId} revocada para ${client.name} (${client._id})`);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revocada correctamente',
+      data: { client },
+    });
+  } catch (error) {
+    logger.error('Error al revocar API key:', error);
+    next(error);
+  }
+};
+
+/**
+ * Verificar una API key (uso interno del API Gateway)
+ */
+exports.verifyKey = async (req, res, next) => {
+  try {
+    const result = await ClientApp.findByApiKey(req.body.apiKey);
+
+    if (!result) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'API key inválida, caducada o revocada',
+      });
+    }
+
+    const { client, key } = result;
+
+    // Registrar el último uso sin bloquear la respuesta
+    ClientApp.updateOne({ 'keys.keyId': key.keyId }, { $set: { 'keys.$.lastUsedAt': new Date() } })
+      .catch((error) => logger.error('Error al registrar el uso de la API key:', error));
+
+    res.status(200).json({
+      valid: true,
+      client: {
+        id: client._id,
+        name: client.name,
+        scopes: client.scopes,
+        rateLimitPolicy: client.rateLimitPolicy,
+        allowedOrigins: client.allowedOrigins,
+        allowedIps: client.allowedIps,
+      },
+      key: {
+        keyId: key.keyId,
+        expiresAt: key.expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Error al verificar API key:', error);
+    next(error);
+  }
+};
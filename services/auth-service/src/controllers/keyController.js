@@ -0,0 +1,59 @@
+const SigningKey = require('../models/SigningKey');
+const keyStore = require('../utils/keyStore');
+const logger = require('../utils/logger');
+
+// Segundos que los verificadores pueden cachear el JWKS
+const JWKS_MAX_AGE = 300;
+
+/**
+ * Publicar las claves públicas de firma (JWKS)
+ * Incluye la clave pendiente, la activa y las retiradas que siguen en su periodo de solapamiento
+ */
+exports.getJwks = async (req, res, next) => {
+  try {
+    const jwks = await keyStore.getJwks();
+
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+    res.status(200).json(jwks);
+  } catch (error) {
+    logger.error('Error al obtener las claves públicas de firma:', error);
+    next(error);
+  }
+};
+
+/**
+ * Listar las claves de firma (sin la clave privada)
+ */
+exports.listKeys = async (req, res, next) => {
+  try {
+    const keys = await SigningKey.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { keys },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotar la clave de firma sin esperar a la rotación programada
+ * La clave nueva se publica y empieza a firmar tras JWT_KEY_ACTIVATION_DELAY_SECONDS; la anterior
+ * se sigue publicando durante el solapamiento para no invalidar los tokens emitidos
+ */
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const key = await keyStore.rotate();
+    logger.info(`Clave de firma rotada manualmente por ${req.user.id}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Clave de firma rotada correctamente; firmará desde ${key.activatesAt.toISOString()}`,
+      data: { key },
+    });
+  } catch (error) {
+    logger.error('Error al rotar la clave de firma:', error);
+    next(error);
+  }
+};
@@ -1,20 +1,59 @@
 require('dotenv').config();
+// Inicializar el trazado antes de cargar los módulos instrumentados
+const { shutdownTracing } = require('./utils/tracing');
+const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
+const swaggerJsDoc = require('swagger-jsdoc');
 const mongoose = require('mongoose');
 const { setupMessageConsumer } = require('./messaging/consumer');
+const keyStore = require('./utils/keyStore');
+const Token = require('./models/Token');
 const logger = require('./utils/logger');
+const { requestContextMiddleware } = require('shared-lib/utils/requestContext');
+const { setServiceName, metricsMiddleware, metricsHandler, trackMongoosePool } = require('shared-lib/utils/metrics');
 
 // Rutas
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const clientRoutes = require('./routes/clients');
+const keyRoutes = require('./routes/keys');
+const healthRoutes = require('./routes/health');
+const keyController = require('./controllers/keyController');
 
 // Inicializar app
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Etiqueta service de las métricas
+setServiceName('auth-service');
+
+// Documento OpenAPI del servicio (el API Gateway lo agrega en su documentación)
+const openapiSpec = swaggerJsDoc({
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Auth Service',
+      version: '1.0.0',
+      description: 'API del servicio de autenticación',
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')],
+});
+
 // Middleware
+app.use(requestContextMiddleware);
+app.use(metricsMiddleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -27,6 +66,9 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     logger.info(`MongoDB conectado: ${conn.connection.host}`);
+
+    // Exponer las estadísticas del pool de conexiones en /metrics
+    trackMongoosePool(conn.connection);
   } catch (error) {
     logger.error(`Error al conectar a MongoDB: ${error.message}`);
     process.exit(1);
@@ -36,12 +78,28 @@ const connectDB = async () => {
 // Rutas de la API
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/keys', keyRoutes);
+
+// Claves públicas de firma (JWKS) con las que el gateway y los servicios verifican los tokens
+app.get('/.well-known/jwks.json', keyController.getJwks);
+
+// Sondas de liveness y readiness
+app.use('/health', healthRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'UP', message: 'Auth Service is running!' });
 });
 
+// Métricas para Prometheus
+app.get('/metrics', metricsHandler);
+
+// Documento OpenAPI
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openapiSpec);
+});
+
 // Manejo de errores
 app.use((err, req, res, next) => {
   logger.error(err.stack);
@@ -59,6 +117,26 @@ app.use('*', (req, res) => {
 // Iniciar el servidor
 const server = app.listen(PORT, async () => {
   await connectDB();
+
+  // Crear la primera clave de firma si no existe y programar su rotación
+  try {
+    await keyStore.initialize();
+  } catch (error) {
+    logger.error(`Error al inicializar las claves de firma: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Guardar con hash los refresh tokens emitidos antes del almacenamiento con hash,
+  // para que las sesiones abiertas sigan pudiendo renovarse
+  try {
+    const migrated = await Token.migrateLegacyRefreshTokens();
+    if (migrated > 0) {
+      logger.info(`${migrated} refresh tokens en claro migrados a hash`);
+    }
+  } catch (error) {
+    logger.error(`Error al migrar los refresh tokens en claro: ${error.message}`);
+  }
+
   logger.info(`Servicio de autenticación corriendo en http://localhost:${PORT}`);
   
   // Iniciar consumidores de mensajes
@@ -87,7 +165,8 @@ process.on('SIGTERM', () => {
     logger.info('Servidor cerrado.');
     mongoose.connection.close(false, () => {
       logger.info('Conexión a MongoDB cerrada.');
-      process.exit(0);
+      // Enviar los spans pendientes antes de salir
+      shutdownTracing().finally(() => process.exit(0));
     });
   });
 });
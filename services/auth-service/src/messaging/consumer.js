@@ -1,5 +1,7 @@
 const amqp = require('amqplib');
 const logger = require('../utils/logger');
+const { withMessageContext } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Configuración
 const EXCHANGE_NAME = 'user_events';
@@ -69,7 +71,7 @@ const setupMessageConsumer = async () => {
     }
     
     // Configurar consumidor
-    await channel.consume(queue, handleMessage, {
+    await channel.consume(queue, withMessageContext(handleMessage), {
       noAck: false, // Requerir confirmación explícita
     });
     
@@ -87,6 +89,7 @@ const setupMessageConsumer = async () => {
  */
 const handleMessage = async (msg) => {
   if (!msg) return;
+  recordMessage('consume', msg.fields);
   
   try {
     // Parsear mensaje
@@ -115,15 +118,18 @@ const handleMessage = async (msg) => {
     
     // Confirmar procesamiento exitoso
     channel.ack(msg);
+    recordMessage('ack', msg.fields);
   } catch (error) {
     logger.error('Error al procesar mensaje:', error);
     
     // Si es un error de parseo o un error no recuperable, rechazar sin requeue
     if (error instanceof SyntaxError) {
       channel.nack(msg, false, false);
+      recordMessage('nack', msg.fields);
     } else {
       // Para otros errores, requeue para reintentar
       channel.nack(msg, false, true);
+      recordMessage('nack', msg.fields);
     }
   }
 };
@@ -182,6 +188,18 @@ const handleUserDeleted = async (data) => {
   // await User.findByIdAndUpdate(userId, { isDeleted: true });
 };
 
+/**
+ * Comprueba que la conexión con RabbitMQ sigue activa
+ * Se usa en la sonda de readiness
+ */
+const checkConnection = async () => {
+  if (!channel) {
+    throw new Error('Sin conexión con RabbitMQ');
+  }
+  await channel.checkExchange(EXCHANGE_NAME);
+};
+
 module.exports = {
   setupMessageConsumer,
+  checkConnection,
 };
\ No newline at end of file
@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const Redis = require('ioredis');
 const User = require('../models/User');
+const keyStore = require('../utils/keyStore');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -31,8 +31,8 @@ const authenticate = async (req, res, next) => {
       return next(new AppError('Token inválido o expirado. Por favor inicia sesión nuevamente.', 401));
     }
 
-    // 3) Verificar y decodificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 3) Verificar y decodificar el token con la clave pública de su kid
+    const decoded = await keyStore.verifyToken(token);
 
     // 4) Verificar si el usuario aún existe
     const user = await User.findById(decoded.id);
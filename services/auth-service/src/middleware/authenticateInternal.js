@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const AppError = require('../utils/AppError');
+
+/**
+ * Middleware para endpoints internos entre servicios
+ * Exige la cabecera X-API-Key con el valor de INTERNAL_API_KEY
+ */
+const authenticateInternal = (req, res, next) => {
+  const expected = Buffer.from(process.env.INTERNAL_API_KEY || '');
+  const received = Buffer.from(req.headers['x-api-key'] || '');
+
+  // Comparación en tiempo constante para no filtrar la clave por tiempos de respuesta
+  const valid = expected.length > 0
+    && received.length === expected.length
+    && crypto.timingSafeEqual(received, expected);
+
+  if (!valid) {
+    return next(new AppError('Acceso restringido a servicios internos', 403));
+  }
+  next();
+};
+
+module.exports = authenticateInternal;
@@ -0,0 +1,19 @@
+const AppError = require('../utils/AppError');
+
+/**
+ * Middleware de autorización por rol
+ * Debe usarse después de authenticate
+ * @param {string|Array} roles - Rol o array de roles permitidos
+ */
+const authorize = (roles) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return (req, res, next) => {
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+      return next(new AppError('No tienes permisos para realizar esta acción', 403));
+    }
+    next();
+  };
+};
+
+module.exports = authorize;
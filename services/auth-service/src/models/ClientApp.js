@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefijo que identifica las API keys de aplicaciones cliente
+const KEY_PREFIX = 'ck';
+
+// Formato de una API key: ck_<keyId>_<secreto>
+const KEY_PATTERN = /^ck_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Calcula el hash con el que se guarda una API key
+ * Las claves son aleatorias de 256 bits, por lo que basta un hash rápido
+ * @param {string} apiKey - API key completa
+ * @returns {string}
+ */
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    keyId: {
+      type: String,
+      required: true,
+    },
+    // Inicio de la clave para reconocerla en los listados sin exponerla
+    prefix: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+      select: false, // No incluir en las consultas por defecto
+    },
+    // Durante una rotación la clave anterior sigue siendo válida hasta expiresAt
+    expiresAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date,
+  },
+  {
+    _id: false,
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indica si la clave se puede usar en este momento
+apiKeySchema.methods.isUsable = function () {
+  const now = new Date();
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+const clientAppSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'El nombre es requerido'],
+      trim: true,
+      minlength: [2, 'El nombre debe tener al menos 2 caracteres'],
+      maxlength: [100, 'El nombre no puede superar los 100 caracteres'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La descripción no puede superar los 500 caracteres'],
+    },
+    // Permisos de la aplicación (ej: 'products:read')
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // Política de límite de tasa que aplica el gateway
+    rateLimitPolicy: {
+      type: String,
+      default: 'partner',
+    },
+    // Orígenes desde los que un navegador puede usar la clave
+    allowedOrigins: {
+      type: [String],
+      default: [],
+    },
+    // IPs o rangos CIDR desde los que se acepta la clave (vacío: cualquiera)
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    keys: {
+      type: [apiKeySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índice para localizar la aplicación a partir del identificador de la clave
+clientAppSchema.index({ 'keys.keyId': 1 });
+
+/**
+ * Genera una nueva API key y la añade a la aplicación
+ * La clave completa solo se devuelve aquí; en la base de datos se guarda su hash
+ * @param {Date} [expiresAt] - Caducidad de la clave
+ * @returns {Object} - Clave completa y sus metadatos
+ */
+clientAppSchema.methods.generateKey = function (expiresAt) {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const apiKey = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+  this.keys.push({
+    keyId,
+    prefix: apiKey.slice(0, 24),
+    hash: hashKey(apiKey),
+    expiresAt,
+  });
+
+  return { apiKey, keyId, expiresAt };
+};
+
+/**
+ * Rota las claves: genera una nueva y programa la caducidad de las activas
+ * @param {number} overlapSeconds - Segundos que las claves anteriores siguen siendo válidas
+ * @param {Date} [expiresAt] - Caducidad de la nueva clave
+ * @returns {Object} - Clave nueva
+ */
+clientAppSchema.methods.rotateKeys = function (overlapSeconds, expiresAt) {
+  const overlapEnd = new Date(Date.now() + overlapSeconds * 1000);
+
+  this.keys.forEach((key) => {
+    if (key.isUsable() && (!key.expiresAt || key.expiresAt > overlapEnd)) {
+      key.expiresAt = overlapEnd;
+    }
+  });
+
+  return this.generateKey(expiresAt);
+};
+
+/**
+ * Busca la aplicación activa a la que pertenece una API key válida
+ * @param {string} apiKey - API key completa
+ * @returns {Promise<Object|null>} - Aplicación y clave, o null si no es válida
+ */
+clientAppSchema.statics.findByApiKey = async function (apiKey) {
+  const match = KEY_PATTERN.exec(apiKey || '');
+  if (!match) {
+    return null;
+  }
+
+  const client = await this.findOne({ 'keys.keyId': match[1], isActive: true }).select('+keys.hash');
+  if (!client) {
+    return null;
+  }
+
+  const key = client.keys.find((candidate) => candidate.keyId === match[1]);
+  const expected = Buffer.from(key.hash, 'hex');
+  const received = Buffer.from(hashKey(apiKey), 'hex');
+
+  if (!key.isUsable() || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { client, key };
+};
+
+// Eliminar los hashes de las claves en las respuestas
+clientAppSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.keys = (ret.keys || []).map(({ hash, ...key }) => key);
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ClientApp = mongoose.model('ClientApp', clientAppSchema);
+
+module.exports = ClientApp;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { encryptPrivateKey } = require('../utils/keyEncryption');
+
+// Algoritmos de firma admitidos y parámetros del par de claves de cada uno
+const KEY_PAIR_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+};
+
+const signingKeySchema = new mongoose.Schema(
+  {
+    // Identificador de la clave; va en la cabecera kid de cada token
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    algorithm: {
+      type: String,
+      enum: Object.keys(KEY_PAIR_OPTIONS),
+      required: true,
+    },
+    // Clave pública en formato JWK, tal como se publica en /.well-known/jwks.json
+    publicKey: {
+      type: Object,
+      required: true,
+    },
+    // Clave privada en PEM (PKCS#8), cifrada con JWT_KEY_ENCRYPTION_KEY
+    privateKey: {
+      type: String,
+      required: true,
+      select: false, // No incluir en las consultas por defecto
+    },
+    // pending: se publica pero aún no firma; active: firma los tokens nuevos;
+    // retired: solo se publica para verificar los ya emitidos
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'retired'],
+      default: 'pending',
+    },
+    // Momento desde el que la clave firma; antes solo se publica para que los verificadores la conozcan
+    activatesAt: Date,
+    retiredAt: Date,
+    // Fin del solapamiento de una clave retirada; después deja de publicarse
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Eliminar las claves retiradas cuando termina su solapamiento
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Índice para obtener la clave activa más reciente
+signingKeySchema.index({ status: 1, createdAt: -1 });
+
+// Indica si la clave sirve para verificar tokens en este momento
+signingKeySchema.methods.isPublished = function () {
+  return this.status !== 'retired' || (this.expiresAt && this.expiresAt > new Date());
+};
+
+// Momento desde el que la clave firma (las claves anteriores a activatesAt firmaban al crearse)
+signingKeySchema.methods.getActivationTime = function () {
+  return (this.activatesAt || this.createdAt).getTime();
+};
+
+// Clave pública con los metadatos que necesitan los verificadores
+signingKeySchema.methods.toJwk = function () {
+  return {
+    ...this.publicKey,
+    kid: this.kid,
+    alg: this.algorithm,
+    use: 'sig',
+  };
+};
+
+/**
+ * Genera un nuevo par de claves y lo guarda como clave pendiente
+ * @param {string} algorithm - RS256 o ES256
+ * @param {Date} activatesAt - Momento desde el que la clave firma
+ * @returns {Promise<Object>} - Clave creada
+ */
+signingKeySchema.statics.generate = async function (algorithm, activatesAt) {
+  const [type, options] = KEY_PAIR_OPTIONS[algorithm];
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+  const kid = crypto.randomBytes(16).toString('base64url');
+
+  return this.create({
+    kid,
+    algorithm,
+    publicKey: publicKey.export({ format: 'jwk' }),
+    privateKey: encryptPrivateKey(privateKey.export({ format: 'pem', type: 'pkcs8' }), kid),
+    activatesAt,
+  });
+};
+
+// Eliminar la clave privada en las respuestas
+signingKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.privateKey;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+module.exports = SigningKey;
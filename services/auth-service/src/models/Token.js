@@ -1,5 +1,16 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Validez de un refresh token (se renueva en cada rotación)
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 días
+
+/**
+ * Calcula el hash con el que se guardan los refresh tokens
+ * @param {string} token - Refresh token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 const tokenSchema = new mongoose.Schema(
   {
     userId: {
@@ -7,6 +18,7 @@ const tokenSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Token en claro (reset y verificación) o su hash SHA-256 (refresh)
     token: {
       type: String,
       required: true,
@@ -20,6 +32,10 @@ const tokenSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Familia del refresh token: todos los emitidos a partir del mismo inicio de sesión
+    family: String,
+    // Revocado por cierre de sesión, cambio de contraseña o reutilización (no solo usado)
+    revokedAt: Date,
     expiresAt: {
       type: Date,
       required: true,
@@ -41,6 +57,9 @@ tokenSchema.index({ userId: 1, type: 1 });
 // Índice para búsquedas rápidas por token
 tokenSchema.index({ token: 1 });
 
+// Índice para revocar una familia de refresh tokens
+tokenSchema.index({ family: 1 });
+
 // Método estático para encontrar un token válido
 tokenSchema.statics.findValidToken = async function (token, type) {
   return this.findOne({
@@ -61,10 +80,103 @@ tokenSchema.statics.invalidateTokens = async function (userId, type) {
     },
     {
       used: true,
+      revokedAt: new Date(),
+    }
+  );
+};
+
+/**
+ * Guarda un refresh token de una familia; en la base de datos solo queda su hash
+ * @param {string} token - Refresh token emitido al cliente
+ * @param {Object} options - userId, family, userAgent e ipAddress
+ * @returns {Promise<Object>}
+ */
+tokenSchema.statics.createRefreshToken = async function (token, { userId, family, userAgent, ipAddress }) {
+  return this.create({
+    userId,
+    token: hashToken(token),
+    type: 'refresh',
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    userAgent,
+    ipAddress,
+  });
+};
+
+/**
+ * Consume un refresh token para rotarlo, marcándolo como usado de forma atómica
+ * Un token que ya se usó en una rotación (y no fue revocado) se considera reutilizado:
+ * lo presenta alguien que lo copió, o el cliente legítimo después de que lo usara otro
+ * @param {string} token - Refresh token presentado
+ * @returns {Promise<Object>} - { token } si es válido, { reused } si se reutilizó, o {} si no es válido
+ */
+tokenSchema.statics.consumeRefreshToken = async function (token) {
+  const hash = hashToken(token);
+
+  const consumed = await this.findOneAndUpdate(
+    {
+      token: hash,
+      type: 'refresh',
+      used: false,
+      expiresAt: { $gt: new Date() },
+    },
+    { used: true },
+    { new: true }
+  );
+  if (consumed) {
+    return { token: consumed };
+  }
+
+  const reused = await this.findOne({
+    token: hash,
+    type: 'refresh',
+    used: true,
+    revokedAt: null,
+    family: { $exists: true },
+  });
+  return reused ? { reused } : {};
+};
+
+// Método estático para revocar todos los refresh tokens de una familia
+tokenSchema.statics.revokeFamily = async function (family) {
+  return this.updateMany(
+    {
+      family,
+      type: 'refresh',
+      revokedAt: null,
+    },
+    {
+      used: true,
+      revokedAt: new Date(),
     }
   );
 };
 
+/**
+ * Migra los refresh tokens guardados en claro (anteriores al almacenamiento con hash)
+ * Sin migrarlos, ninguno coincidiría al rotar y todas las sesiones abiertas se cerrarían
+ * Cada token pendiente de uso abre su propia familia; es idempotente y seguro con varias réplicas
+ * @returns {Promise<number>} - Número de tokens migrados
+ */
+tokenSchema.statics.migrateLegacyRefreshTokens = async function () {
+  const legacy = await this.find({
+    type: 'refresh',
+    token: { $not: /^[0-9a-f]{64}$/ },
+  }).select('token family used');
+
+  let migrated = 0;
+  for (const tokenDoc of legacy) {
+    const update = { token: hashToken(tokenDoc.token) };
+    if (!tokenDoc.family && !tokenDoc.used) {
+      update.family = crypto.randomUUID();
+    }
+    // El filtro por el token en claro evita migrar dos veces si otra réplica se adelantó
+    const { modifiedCount } = await this.updateOne({ _id: tokenDoc._id, token: tokenDoc.token }, update);
+    migrated += modifiedCount;
+  }
+  return migrated;
+};
+
 // Método para marcar un token como usado
 tokenSchema.methods.markAsUsed = async function () {
   this.used = true;
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const keyStore = require('../utils/keyStore');
 
 const userSchema = new mongoose.Schema(
   {
@@ -88,17 +90,18 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Método para generar token JWT
+// Método para generar token JWT, firmado con la clave activa del almacén de claves
 userSchema.methods.generateAuthToken = function () {
-  return jwt.sign(
+  return keyStore.sign(
     {
       id: this._id,
       email: this.email,
       role: this.role,
     },
-    process.env.JWT_SECRET,
     {
       expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+      // Identificador único del token (usado por el gateway como clave de caché)
+      jwtid: crypto.randomUUID(),
     }
   );
 };
@@ -109,9 +112,11 @@ userSchema.methods.generateRefreshToken = function () {
     {
       id: this._id,
     },
-    process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET,
+    process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+      // Sin un identificador único, dos tokens emitidos en el mismo segundo serían iguales
+      jwtid: crypto.randomUUID(),
     }
   );
 };
@@ -7,7 +7,50 @@ const authenticate = require('../middleware/authenticate');
 const router = express.Router();
 
 /**
- * Registro de nuevo usuario
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: API de autenticación y gestión de sesiones
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registrar nuevo usuario
+ *     description: Crea una nueva cuenta de usuario
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Usuario creado correctamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       409:
+ *         description: El usuario ya existe
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/register',
@@ -26,7 +69,38 @@ router.post(
 );
 
 /**
- * Inicio de sesión
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Iniciar sesión
+ *     description: Autentica al usuario con email y contraseña
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Usuario autenticado correctamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       401:
+ *         description: Credenciales inválidas
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/login',
@@ -42,25 +116,89 @@ router.post(
 );
 
 /**
- * Cerrar sesión
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar sesión
+ *     description: Invalida el token de acceso del usuario autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada correctamente
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error del servidor
  */
 router.post('/logout', authenticate, authController.logout);
 
 /**
- * Renovar token de acceso usando refresh token
+ * @swagger
+ * /api/auth/refresh-token:
+ *   post:
+ *     summary: Renovar token de acceso
+ *     description: Genera un nuevo token de acceso a partir de un refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Token renovado correctamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       401:
+ *         description: Token inválido o expirado, o ya utilizado (se revoca la sesión)
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/refresh-token',
   [
     body('refreshToken')
-      .notEmpty().withMessage('El refresh token es requerido'),
+      .isString().notEmpty().withMessage('El refresh token es requerido'),
     validateRequest,
   ],
   authController.refreshToken
 );
 
 /**
- * Solicitar restablecimiento de contraseña
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar restablecimiento de contraseña
+ *     description: Envía al usuario un enlace para restablecer su contraseña
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/forgot-password',
@@ -74,7 +212,36 @@ router.post(
 );
 
 /**
- * Restablecer contraseña
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer contraseña
+ *     description: Establece una nueva contraseña usando el token de restablecimiento
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida correctamente
+ *       400:
+ *         description: Token inválido o datos de entrada inválidos
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/reset-password',
@@ -89,17 +256,84 @@ router.post(
 );
 
 /**
- * Verificar correo electrónico
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verificar correo electrónico
+ *     description: Marca como verificado el correo asociado al token
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token de verificación
+ *     responses:
+ *       200:
+ *         description: Correo verificado correctamente
+ *       400:
+ *         description: Token inválido o expirado
+ *       500:
+ *         description: Error del servidor
  */
 router.get('/verify-email/:token', authController.verifyEmail);
 
 /**
- * Validar token JWT
+ * @swagger
+ * /api/auth/validate:
+ *   get:
+ *     summary: Validar token JWT
+ *     description: Comprueba el token de acceso y devuelve los datos del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token válido
+ *       401:
+ *         description: Token inválido o expirado
+ *       500:
+ *         description: Error del servidor
  */
 router.get('/validate', authenticate, authController.validate);
 
 /**
- * Cambiar contraseña (usuario autenticado)
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Cambiar contraseña
+ *     description: Cambia la contraseña del usuario autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 1
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada correctamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       401:
+ *         description: No autorizado o contraseña actual incorrecta
+ *       500:
+ *         description: Error del servidor
  */
 router.post(
   '/change-password',
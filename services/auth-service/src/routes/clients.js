@@ -0,0 +1,415 @@
+const express = require('express');
+const net = require('net');
+const { body, param, query } = require('express-validator');
+const clientController = require('../controllers/clientController');
+const validateRequest = require('../middleware/validateRequest');
+const authenticate = require('../middleware/authenticate');
+const authenticateInternal = require('../middleware/authenticateInternal');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Formato de los permisos: recurso:acción (ej: 'products:read')
+const SCOPE_PATTERN = /^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/;
+
+/**
+ * Comprueba que un valor es una IP o un rango CIDR
+ * @param {string} value - IP (ej: 203.0.113.10) o rango (ej: 203.0.113.0/24)
+ * @returns {boolean}
+ */
+const isIpOrCidr = (value) => {
+  const [address, prefix] = String(value).split('/');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+};
+
+// Validaciones comunes a la creación y la actualización
+const clientValidations = [
+  body('description')
+    .optional()
+    .isString().withMessage('La descripción debe ser un texto').bail()
+    .isLength({ max: 500 }).withMessage('La descripción no puede superar los 500 caracteres'),
+  body('scopes')
+    .optional()
+    .isArray().withMessage('Los permisos deben ser un array'),
+  body('scopes.*')
+    .matches(SCOPE_PATTERN).withMessage('Los permisos deben tener el formato recurso:acción'),
+  body('rateLimitPolicy')
+    .optional()
+    .matches(/^[a-z][a-z0-9-]*$/).withMessage('La política de límite de tasa no es válida'),
+  body('allowedOrigins')
+    .optional()
+    .isArray().withMessage('Los orígenes permitidos deben ser un array'),
+  body('allowedOrigins.*')
+    .isURL({ require_protocol: true, require_tld: false }).withMessage('Cada origen debe ser una URL con protocolo'),
+  body('allowedIps')
+    .optional()
+    .isArray().withMessage('Las IPs permitidas deben ser un array'),
+  body('allowedIps.*')
+    .custom(isIpOrCidr).withMessage('Cada IP permitida debe ser una IP o un rango CIDR'),
+];
+
+// Días de validez de una clave nueva
+const expiresInDaysValidation = body('expiresInDays')
+  .optional()
+  .isInt({ min: 1, max: 3650 }).withMessage('La validez debe estar entre 1 y 3650 días')
+  .toInt();
+
+const clientIdValidation = param('id').isMongoId().withMessage('ID de aplicación no válido');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Clients
+ *   description: Aplicaciones cliente de terceros y sus API keys
+ */
+
+/**
+ * @swagger
+ * /api/clients/verify:
+ *   post:
+ *     summary: Verificar una API key
+ *     description: Endpoint interno del API Gateway; requiere la cabecera X-API-Key con la clave interna
+ *     tags: [Clients]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - apiKey
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: API key válida con los datos de su aplicación
+ *       401:
+ *         description: API key inválida, caducada o revocada
+ */
+router.post(
+  '/verify',
+  authenticateInternal,
+  [
+    body('apiKey').isString().withMessage('La API key es requerida'),
+    validateRequest,
+  ],
+  clientController.verifyKey
+);
+
+// El resto de endpoints son de administración
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/clients:
+ *   get:
+ *     summary: Listar aplicaciones cliente
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Lista de aplicaciones cliente
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un entero positivo'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+    query('isActive').optional().isBoolean().withMessage('isActive debe ser true o false'),
+    validateRequest,
+  ],
+  clientController.getClients
+);
+
+/**
+ * @swagger
+ * /api/clients:
+ *   post:
+ *     summary: Registrar aplicación cliente
+ *     description: Crea la aplicación y devuelve su primera API key (solo se muestra una vez)
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: products:read
+ *               rateLimitPolicy:
+ *                 type: string
+ *                 example: partner
+ *               allowedOrigins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: https://partner.example.com
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: 203.0.113.0/24
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *     responses:
+ *       201:
+ *         description: Aplicación registrada con su API key
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .isString().withMessage('El nombre es requerido').bail()
+      .trim()
+      .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+    ...clientValidations,
+    expiresInDaysValidation,
+    validateRequest,
+  ],
+  clientController.createClient
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   get:
+ *     summary: Obtener aplicación cliente
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aplicación cliente con los metadatos de sus claves
+ *       404:
+ *         description: Aplicación no encontrada
+ */
+router.get('/:id', [clientIdValidation, validateRequest], clientController.getClient);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   patch:
+ *     summary: Actualizar aplicación cliente
+ *     description: Cambia permisos, política de límite de tasa, orígenes o IPs permitidas; isActive false la desactiva
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               rateLimitPolicy:
+ *                 type: string
+ *               allowedOrigins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Aplicación actualizada
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       404:
+ *         description: Aplicación no encontrada
+ */
+router.patch(
+  '/:id',
+  [
+    clientIdValidation,
+    body('name')
+      .optional()
+      .isString().withMessage('El nombre es requerido').bail()
+      .trim()
+      .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+    body('isActive').optional().isBoolean().withMessage('isActive debe ser true o false'),
+    ...clientValidations,
+    validateRequest,
+  ],
+  clientController.updateClient
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   delete:
+ *     summary: Eliminar aplicación cliente
+ *     description: Elimina la aplicación y revoca todas sus API keys
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aplicación eliminada
+ *       404:
+ *         description: Aplicación no encontrada
+ */
+router.delete('/:id', [clientIdValidation, validateRequest], clientController.deleteClient);
+
+/**
+ * @swagger
+ * /api/clients/{id}/keys:
+ *   post:
+ *     summary: Rotar API key
+ *     description: Genera una clave nueva; las anteriores siguen siendo válidas durante overlapSeconds (0 las invalida al momento)
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlapSeconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 2592000
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *     responses:
+ *       201:
+ *         description: Nueva API key (solo se muestra una vez)
+ *       404:
+ *         description: Aplicación no encontrada
+ */
+router.post(
+  '/:id/keys',
+  [
+    clientIdValidation,
+    body('overlapSeconds')
+      .optional()
+      .isInt({ min: 0, max: 2592000 }).withMessage('El solapamiento debe estar entre 0 y 2592000 segundos')
+      .toInt(),
+    expiresInDaysValidation,
+    validateRequest,
+  ],
+  clientController.rotateKey
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revocar API key
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revocada
+ *       404:
+ *         description: Aplicación o API key no encontrada
+ */
+router.delete('/:id/keys/:keyId', [clientIdValidation, validateRequest], clientController.revokeKey);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const Redis = require('ioredis');
+const { createHealthRouter, checkMongoose, checkRedis } = require('shared-lib/utils/healthCheck');
+const { checkConnection } = require('../messaging/consumer');
+
+// Cliente Redis para comprobar la disponibilidad
+const redis = new Redis(process.env.REDIS_URL);
+
+// Sondas /health/live y /health/ready con las dependencias del servicio
+const router = createHealthRouter({
+  mongodb: checkMongoose(mongoose.connection),
+  redis: checkRedis(redis),
+  rabbitmq: checkConnection,
+});
+
+module.exports = router;
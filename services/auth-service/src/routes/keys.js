@@ -0,0 +1,55 @@
+const express = require('express');
+const keyController = require('../controllers/keyController');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Keys
+ *   description: Claves de firma de los tokens (solo administradores)
+ */
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: Listar claves de firma
+ *     description: Clave pendiente, clave activa y claves retiradas que aún se publican en el JWKS. Nunca incluye la clave privada
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de claves de firma
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.get('/', keyController.listKeys);
+
+/**
+ * @swagger
+ * /api/keys/rotate:
+ *   post:
+ *     summary: Rotar la clave de firma
+ *     description: Genera una clave nueva, que se publica en el JWKS y empieza a firmar los tokens tras JWT_KEY_ACTIVATION_DELAY_SECONDS. La anterior firma hasta entonces y después se sigue publicando durante el solapamiento (JWT_KEY_OVERLAP_HOURS)
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Nueva clave de firma, pendiente hasta activatesAt
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.post('/rotate', keyController.rotateKey);
+
+module.exports = router;
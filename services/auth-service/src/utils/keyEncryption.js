@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Prefijo de las claves privadas cifradas; las guardadas antes del cifrado son PEM en claro
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Clave de cifrado de claves (KEK) de JWT_KEY_ENCRYPTION_KEY: 32 bytes en base64
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () => {
+  const kek = Buffer.from(process.env.JWT_KEY_ENCRYPTION_KEY || '', 'base64');
+  if (kek.length !== 32) {
+    throw new Error('JWT_KEY_ENCRYPTION_KEY debe ser una clave de 32 bytes codificada en base64');
+  }
+  return kek;
+};
+
+/**
+ * Indica si una clave privada guardada está cifrada
+ * @param {string} stored - Clave privada tal como está en MongoDB
+ * @returns {boolean}
+ */
+const isEncrypted = (stored) => stored.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Cifra una clave privada con la KEK
+ * El kid se autentica junto al texto cifrado, así que una clave no se puede copiar a otro documento
+ * @param {string} pem - Clave privada en PEM
+ * @param {string} kid - Identificador de la clave
+ * @returns {string} - enc:v1:<iv>:<tag>:<cifrado>, en base64
+ */
+const encryptPrivateKey = (pem, kid) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(kid));
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':')}`;
+};
+
+/**
+ * Descifra una clave privada guardada
+ * Las claves en claro de antes del cifrado se devuelven tal cual hasta que se cifran al arrancar
+ * @param {string} stored - Clave privada tal como está en MongoDB
+ * @param {string} kid - Identificador de la clave
+ * @returns {string} - Clave privada en PEM
+ */
+const decryptPrivateKey = (stored, kid) => {
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+
+  const [iv, tag, ciphertext] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), iv);
+  decipher.setAAD(Buffer.from(kid));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  getEncryptionKey,
+  isEncrypted,
+  encryptPrivateKey,
+  decryptPrivateKey,
+};
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Redis = require('ioredis');
+const SigningKey = require('../models/SigningKey');
+const {
+  getEncryptionKey,
+  isEncrypted,
+  encryptPrivateKey,
+  decryptPrivateKey,
+} = require('./keyEncryption');
+const logger = require('./logger');
+
+// Cliente Redis para coordinar la rotación entre réplicas
+const redis = new Redis(process.env.REDIS_URL);
+
+// Algoritmos de firma admitidos
+const ALGORITHMS = ['RS256', 'ES256'];
+const ALGORITHM = process.env.JWT_SIGNING_ALGORITHM || 'RS256';
+
+// Días que una clave firma tokens antes de rotarla
+const ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30;
+
+// Horas que una clave retirada se sigue publicando para verificar los tokens que firmó
+// Debe ser mayor que la duración de los tokens de acceso (JWT_EXPIRES_IN)
+const OVERLAP_HOURS = parseInt(process.env.JWT_KEY_OVERLAP_HOURS, 10) || 24;
+
+// Segundos que una clave nueva se publica antes de empezar a firmar
+// Debe superar el tiempo que una réplica reutiliza las claves (CACHE_TTL) más el intervalo mínimo
+// entre descargas del JWKS de los verificadores (30 s); si no, rechazarían los primeros tokens
+const ACTIVATION_DELAY = parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS, 10) || 300;
+
+// Cada cuánto se comprueba si toca rotar o activar la clave pendiente (ms)
+const ROTATION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Bloqueo para que solo una réplica rote a la vez
+const ROTATION_LOCK_KEY = 'auth:signing-keys:rotation';
+const ROTATION_LOCK_TTL = 60;
+
+// Tiempo que se reutilizan las claves leídas de MongoDB (ms)
+// Las demás réplicas empiezan a firmar con una clave nueva como mucho tras este tiempo
+const CACHE_TTL = 60 * 1000;
+
+// Intervalo mínimo entre recargas por un kid desconocido (ms)
+const MIN_RELOAD_INTERVAL = 30 * 1000;
+
+// Claves publicadas (pendientes, activas y retiradas en solapamiento), de la más reciente a la más antigua
+let keys = [];
+let loadedAt = 0;
+
+// kid -> clave privada descifrada; solo se guarda en memoria
+const privateKeys = new Map();
+
+/**
+ * Lee de MongoDB las claves que siguen publicadas
+ * @returns {Promise<Array>}
+ */
+const loadKeys = async () => {
+  keys = await SigningKey.find({
+    $or: [{ status: { $in: ['pending', 'active'] } }, { expiresAt: { $gt: new Date() } }],
+  })
+    .select('+privateKey')
+    .sort({ createdAt: -1 });
+  loadedAt = Date.now();
+
+  // Olvidar las claves privadas de las claves que ya no se publican
+  const kids = new Set(keys.map((key) => key.kid));
+  [...privateKeys.keys()].filter((kid) => !kids.has(kid)).forEach((kid) => privateKeys.delete(kid));
+  return keys;
+};
+
+/**
+ * Clave privada de una clave de firma, descifrada una sola vez por proceso
+ * @param {Object} key - Clave de firma con su privateKey
+ * @returns {KeyObject}
+ */
+const getPrivateKey = (key) => {
+  if (!privateKeys.has(key.kid)) {
+    privateKeys.set(key.kid, crypto.createPrivateKey(decryptPrivateKey(key.privateKey, key.kid)));
+  }
+  return privateKeys.get(key.kid);
+};
+
+/**
+ * Cifra las claves privadas guardadas en claro antes de que existiera JWT_KEY_ENCRYPTION_KEY
+ * Es idempotente: varias réplicas pueden ejecutarlo a la vez
+ */
+const encryptStoredKeys = async () => {
+  const stored = await SigningKey.find().select('+privateKey');
+  const plain = stored.filter((key) => !isEncrypted(key.privateKey));
+
+  for (const key of plain) {
+    await SigningKey.updateOne(
+      { kid: key.kid, privateKey: key.privateKey },
+      { privateKey: encryptPrivateKey(key.privateKey, key.kid) }
+    );
+  }
+  if (plain.length > 0) {
+    logger.info(`Claves de firma cifradas con JWT_KEY_ENCRYPTION_KEY: ${plain.length}`);
+  }
+};
+
+/**
+ * Devuelve las claves publicadas, recargándolas cuando la caché caduca
+ * @returns {Promise<Array>}
+ */
+const getKeys = async () => {
+  if (Date.now() - loadedAt > CACHE_TTL) {
+    await loadKeys();
+  }
+  return keys.filter((key) => key.isPublished());
+};
+
+/**
+ * Clave con la que se firman los tokens nuevos: la última que ha entrado en vigor
+ * Una clave pendiente firma desde su activatesAt aunque aún no se haya marcado como activa
+ * @returns {Promise<Object>}
+ */
+const getSigningKey = async () => {
+  const now = Date.now();
+  const [key] = (await getKeys())
+    .filter((candidate) => candidate.status !== 'retired' && candidate.getActivationTime() <= now)
+    .sort((a, b) => b.getActivationTime() - a.getActivationTime());
+  if (!key) {
+    throw new Error('No hay ninguna clave de firma activa');
+  }
+  return key;
+};
+
+/**
+ * Marca como activa la última clave pendiente que ya ha entrado en vigor y retira las anteriores,
+ * que se siguen publicando durante el solapamiento
+ * Es idempotente: varias réplicas pueden ejecutarlo a la vez
+ */
+const activatePending = async () => {
+  const key = await SigningKey.findOne({ status: 'pending', activatesAt: { $lte: new Date() } })
+    .sort({ activatesAt: -1 });
+  if (!key) {
+    return;
+  }
+
+  // El solapamiento empieza cuando la clave nueva empieza a firmar, aunque se marque más tarde
+  await SigningKey.updateMany(
+    { status: { $in: ['pending', 'active'] }, kid: { $ne: key.kid }, createdAt: { $lte: key.createdAt } },
+    {
+      status: 'retired',
+      retiredAt: key.activatesAt,
+      expiresAt: new Date(key.activatesAt.getTime() + OVERLAP_HOURS * 60 * 60 * 1000),
+    }
+  );
+  await SigningKey.updateOne({ kid: key.kid, status: 'pending' }, { status: 'active' });
+  logger.info(`Clave de firma ${key.kid} activa`);
+};
+
+/**
+ * Genera una clave nueva, que se publica en el JWKS antes de empezar a firmar
+ * La clave actual sigue firmando hasta entonces y después se publica durante el solapamiento
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate] - Firmar con la clave nueva desde ya (solo si no hay ninguna)
+ * @returns {Promise<Object>} - Clave nueva
+ */
+const rotate = async ({ immediate = false } = {}) => {
+  const activatesAt = new Date(Date.now() + (immediate ? 0 : ACTIVATION_DELAY * 1000));
+  const { kid } = await SigningKey.generate(ALGORITHM, activatesAt);
+
+  await activatePending();
+  await loadKeys();
+  logger.info(`Clave de firma rotada: nueva clave ${kid} (${ALGORITHM}), firma desde ${activatesAt.toISOString()}`);
+  return SigningKey.findOne({ kid });
+};
+
+/**
+ * Indica si la clave más reciente (activa o pendiente) debe rotarse:
+ * no existe, es demasiado antigua o usa otro algoritmo
+ * @returns {Promise<boolean>}
+ */
+const isRotationDue = async () => {
+  const latest = await SigningKey.findOne({ status: { $in: ['pending', 'active'] } }).sort({ createdAt: -1 });
+  return !latest
+    || latest.algorithm !== ALGORITHM
+    || latest.createdAt.getTime() < Date.now() - ROTATION_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Activa la clave pendiente que ya ha entrado en vigor y rota la clave si toca,
+ * bajo un bloqueo en Redis para que no roten varias réplicas a la vez
+ * @returns {Promise<Object|null>} - Clave nueva, o null si no se rotó
+ */
+const rotateIfDue = async () => {
+  await activatePending();
+  if (!(await isRotationDue())) {
+    return null;
+  }
+
+  const lockId = crypto.randomUUID();
+  const locked = await redis.set(ROTATION_LOCK_KEY, lockId, 'EX', ROTATION_LOCK_TTL, 'NX');
+  if (!locked) {
+    return null;
+  }
+
+  try {
+    // Otra réplica pudo rotar entre la comprobación y el bloqueo
+    if (!(await isRotationDue())) {
+      return null;
+    }
+    // Sin ninguna clave que firme no se puede esperar a que se publique la nueva
+    const immediate = !(await SigningKey.exists({ status: { $in: ['pending', 'active'] } }));
+    return await rotate({ immediate });
+  } finally {
+    if ((await redis.get(ROTATION_LOCK_KEY)) === lockId) {
+      await redis.del(ROTATION_LOCK_KEY);
+    }
+  }
+};
+
+/**
+ * Prepara el almacén de claves: cifra las claves guardadas en claro, crea la primera clave
+ * si no existe y programa la rotación
+ * Debe llamarse después de conectar a MongoDB
+ */
+const initialize = async () => {
+  if (!ALGORITHMS.includes(ALGORITHM)) {
+    throw new Error(`JWT_SIGNING_ALGORITHM debe ser uno de: ${ALGORITHMS.join(', ')}`);
+  }
+  // Sin KEK no se pueden crear ni usar las claves privadas
+  getEncryptionKey();
+
+  await encryptStoredKeys();
+  await rotateIfDue();
+  await loadKeys();
+
+  setInterval(() => {
+    rotateIfDue().catch((error) => logger.error('Error al rotar la clave de firma:', error));
+  }, ROTATION_CHECK_INTERVAL).unref();
+};
+
+/**
+ * Firma un token con la clave activa e incluye su kid en la cabecera
+ * @param {Object} payload - Contenido del token
+ * @param {Object} [options] - Opciones de jsonwebtoken (expiresIn, jwtid...)
+ * @returns {Promise<string>}
+ */
+const sign = async (payload, options = {}) => {
+  const key = await getSigningKey();
+  return jwt.sign(payload, getPrivateKey(key), {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+  });
+};
+
+/**
+ * Verifica un token con la clave pública indicada en su kid
+ * Lanza los mismos errores que jwt.verify (JsonWebTokenError, TokenExpiredError)
+ * @param {string} token - Token JWT
+ * @returns {Promise<Object>} - Payload del token
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new jwt.JsonWebTokenError('El token no indica la clave con la que se firmó');
+  }
+
+  let key = (await getKeys()).find((candidate) => candidate.kid === decoded.header.kid);
+  if (!key && Date.now() - loadedAt > MIN_RELOAD_INTERVAL) {
+    // La clave puede haberse creado en otra réplica después de la última lectura
+    await loadKeys();
+    key = keys.find((candidate) => candidate.kid === decoded.header.kid && candidate.isPublished());
+  }
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: key.publicKey, format: 'jwk' });
+  return jwt.verify(token, publicKey, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Documento JWKS con las claves públicas publicadas, incluida la siguiente antes de que firme
+ * @returns {Promise<Object>}
+ */
+const getJwks = async () => ({
+  keys: (await getKeys()).map((key) => key.toJwk()),
+});
+
+module.exports = {
+  initialize,
+  rotate,
+  sign,
+  verifyToken,
+  getJwks,
+};
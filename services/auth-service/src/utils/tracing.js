@@ -0,0 +1,17 @@
+const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+const { MongooseInstrumentation } = require('@opentelemetry/instrumentation-mongoose');
+const { startTracing, shutdownTracing } = require('shared-lib/utils/tracing');
+
+// Este módulo debe cargarse antes que express, http, mongoose, ioredis y amqplib
+// para que las instrumentaciones puedan parchearlos
+startTracing({
+  serviceName: 'auth-service',
+  instrumentations: () => [
+    new IORedisInstrumentation(),
+    new MongooseInstrumentation(),
+  ],
+});
+
+module.exports = {
+  shutdownTracing,
+};
@@ -0,0 +1,105 @@
+/**
+ * Sustituye las consultas de un modelo de Mongoose por una colección en memoria
+ * Solo admite los operadores que usan los modelos del servicio
+ */
+
+/**
+ * Compara un valor del documento con un valor del filtro (ObjectId, fechas y null incluidos)
+ */
+const isEqual = (value, expected) => {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (expected instanceof Date) {
+    return value instanceof Date && value.getTime() === expected.getTime();
+  }
+  return value !== undefined && value !== null && String(value) === String(expected);
+};
+
+const OPERATORS = {
+  $in: (value, operand) => operand.some((expected) => isEqual(value, expected)),
+  $ne: (value, operand) => !isEqual(value, operand),
+  $gt: (value, operand) => value !== undefined && value !== null && value > operand,
+  $lte: (value, operand) => value !== undefined && value !== null && value <= operand,
+  $exists: (value, operand) => (value !== undefined) === operand,
+  $not: (value, operand) => !operand.test(value),
+};
+
+/**
+ * Evalúa un filtro de MongoDB sobre un documento
+ */
+const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some((option) => matches(document, option));
+  }
+  const value = document.get(field);
+  if (condition && typeof condition === 'object' && Object.keys(condition).every((key) => key in OPERATORS)) {
+    return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+  }
+  return isEqual(value, condition);
+});
+
+/**
+ * Reemplaza los métodos estáticos de consulta del modelo
+ * @param {Object} Model - Modelo de Mongoose
+ * @returns {Object} - documents (colección) y reset()
+ */
+const mockModel = (Model) => {
+  const collection = { documents: [] };
+
+  const filter = (query = {}) => collection.documents.filter((document) => matches(document, query));
+
+  // Consulta encadenable (select, sort) que se resuelve con los documentos que cumplen el filtro
+  const createQuery = (query, single) => {
+    let results = filter(query);
+    const chain = {
+      select: () => chain,
+      sort: (spec) => {
+        const [[field, order]] = Object.entries(spec);
+        results = [...results].sort((a, b) => order * (a.get(field) - b.get(field)));
+        return chain;
+      },
+      then: (resolve, reject) => Promise.resolve(single ? results[0] || null : results).then(resolve, reject),
+    };
+    return chain;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((query) => createQuery(query, false));
+  jest.spyOn(Model, 'findOne').mockImplementation((query) => createQuery(query, true));
+  jest.spyOn(Model, 'exists').mockImplementation(async (query) => (filter(query).length > 0 ? { _id: 'existe' } : null));
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    const document = new Model(data);
+    const now = new Date();
+    document.set({ createdAt: now, updatedAt: now });
+    collection.documents.push(document);
+    return document;
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (query, update) => {
+    const matched = filter(query);
+    matched.forEach((document) => document.set(update));
+    return { modifiedCount: matched.length };
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (query, update) => {
+    const [document] = filter(query);
+    if (document) {
+      document.set(update);
+    }
+    return { modifiedCount: document ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const [document] = filter(query);
+    if (document) {
+      document.set(update);
+    }
+    return document || null;
+  });
+
+  collection.reset = () => {
+    collection.documents = [];
+  };
+  return collection;
+};
+
+module.exports = {
+  mockModel,
+};
@@ -0,0 +1,117 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_KEY_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+const SigningKey = require('../src/models/SigningKey');
+const keyStore = require('../src/utils/keyStore');
+
+const { mockModel } = require('./helpers/memoryModel');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+describe('keyStore', () => {
+  let signingKeys;
+  let documents;
+
+  beforeAll(() => {
+    // Solo se simula el reloj; los temporizadores reales los siguen usando Redis y las promesas
+    jest.useFakeTimers({
+      now: START,
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'],
+    });
+
+    signingKeys = mockModel(SigningKey);
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    signingKeys.reset();
+    ({ documents } = signingKeys);
+    jest.setSystemTime(START);
+    await keyStore.initialize();
+  });
+
+  test('sin claves crea una que firma desde el arranque', async () => {
+    const [key] = documents;
+
+    expect(documents).toHaveLength(1);
+    expect(key.status).toBe('active');
+    expect(kidOf(await keyStore.sign({ id: 'u1' }))).toBe(key.kid);
+  });
+
+  test('la clave rotada se publica antes de firmar y la anterior firma hasta entonces', async () => {
+    const [current] = documents;
+
+    const next = await keyStore.rotate();
+
+    expect(next.status).toBe('pending');
+    expect((await keyStore.getJwks()).keys.map((jwk) => jwk.kid).sort()).toEqual([next.kid, current.kid].sort());
+    expect(kidOf(await keyStore.sign({ id: 'u1' }))).toBe(current.kid);
+
+    // Tras el retardo de activación (300 s por defecto) firma la clave nueva
+    advance(300 * 1000);
+    const token = await keyStore.sign({ id: 'u1' });
+    expect(kidOf(token)).toBe(next.kid);
+    await expect(keyStore.verifyToken(token)).resolves.toEqual(expect.objectContaining({ id: 'u1' }));
+  });
+
+  test('al activar la clave pendiente el solapamiento de la anterior cuenta desde la activación', async () => {
+    const [current] = documents;
+    const next = await keyStore.rotate();
+
+    // La activación se marca en la siguiente comprobación, aunque llegue tarde
+    advance(600 * 1000);
+    await keyStore.rotate();
+
+    expect(next.status).toBe('active');
+    expect(current.status).toBe('retired');
+    expect(current.retiredAt).toEqual(next.activatesAt);
+    expect(current.expiresAt.getTime()).toBe(next.activatesAt.getTime() + 24 * 60 * 60 * 1000);
+  });
+
+  test('guarda las claves privadas cifradas', async () => {
+    const [key] = documents;
+
+    expect(key.privateKey).toMatch(/^enc:v1:/);
+    expect(key.privateKey).not.toContain('PRIVATE KEY');
+  });
+
+  test('cifra al arrancar las claves privadas guardadas en claro', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const legacy = documents[0];
+    legacy.privateKey = privateKey.export({ format: 'pem', type: 'pkcs8' });
+
+    await keyStore.initialize();
+
+    expect(legacy.privateKey).toMatch(/^enc:v1:/);
+  });
+
+  test('no arranca sin JWT_KEY_ENCRYPTION_KEY', async () => {
+    const kek = process.env.JWT_KEY_ENCRYPTION_KEY;
+    delete process.env.JWT_KEY_ENCRYPTION_KEY;
+
+    try {
+      await expect(keyStore.initialize()).rejects.toThrow('JWT_KEY_ENCRYPTION_KEY');
+    } finally {
+      process.env.JWT_KEY_ENCRYPTION_KEY = kek;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../src/messaging/Publisher', () => ({
+  publishUserEvent: jest.fn().mockResolvedValue(true),
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Token = require('../src/models/Token');
+const User = require('../src/models/User');
+const authController = require('../src/controllers/authController');
+const { publishUserEvent } = require('../src/messaging/Publisher');
+
+const { mockModel } = require('./helpers/memoryModel');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('refresh tokens', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let tokens;
+  let app;
+
+  beforeAll(() => {
+    tokens = mockModel(Token);
+
+    // Usuario con tokens de prueba; la firma real se cubre en keyStore.test.js
+    jest.spyOn(User, 'findById').mockImplementation(async () => ({
+      _id: userId,
+      name: 'Ana',
+      email: 'ana@example.com',
+      role: 'user',
+      isActive: true,
+      generateAuthToken: async () => `access-${crypto.randomUUID()}`,
+      generateRefreshToken: () => `refresh-${crypto.randomUUID()}`,
+    }));
+
+    app = express();
+    app.use(express.json());
+    app.post('/refresh', authController.refreshToken);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    tokens.reset();
+    publishUserEvent.mockClear();
+  });
+
+  const login = async (token = 'refresh-inicial') => {
+    await Token.createRefreshToken(token, { userId, family: 'familia-1', ipAddress: '10.0.0.1' });
+    return token;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/refresh').send({ refreshToken });
+
+  test('guarda solo el hash del refresh token', async () => {
+    await login('secreto');
+
+    expect(tokens.documents[0].token).toBe(sha256('secreto'));
+  });
+
+  test('la rotación emite un token nuevo de la misma familia y consume el anterior', async () => {
+    const first = await login();
+
+    const response = await refresh(first);
+
+    expect(response.status).toBe(200);
+    const { refreshToken } = response.body.data;
+    expect(refreshToken).not.toBe(first);
+    expect((await refresh(refreshToken)).status).toBe(200);
+    expect(tokens.documents.map((doc) => doc.family)).toEqual(['familia-1', 'familia-1', 'familia-1']);
+    expect(tokens.documents.map((doc) => doc.used)).toEqual([true, true, false]);
+  });
+
+  test('reutilizar un token ya usado revoca toda la familia y publica user.session_compromised', async () => {
+    const first = await login();
+    const { refreshToken: second } = (await refresh(first)).body.data;
+
+    const response = await refresh(first);
+
+    expect(response.status).toBe(401);
+    expect(tokens.documents.every((doc) => doc.revokedAt)).toBe(true);
+    expect((await refresh(second)).status).toBe(401);
+    expect(publishUserEvent).toHaveBeenCalledTimes(1);
+    expect(publishUserEvent).toHaveBeenCalledWith('user.session_compromised', expect.objectContaining({
+      userId: userId.toString(),
+      family: 'familia-1',
+    }));
+  });
+
+  test('un token revocado por cierre de sesión se rechaza sin considerarse reutilizado', async () => {
+    const first = await login();
+    await Token.invalidateTokens(userId, 'refresh');
+
+    const response = await refresh(first);
+
+    expect(response.status).toBe(401);
+    expect(publishUserEvent).not.toHaveBeenCalled();
+  });
+
+  test('los refresh tokens guardados en claro se migran a hash y siguen sirviendo', async () => {
+    const now = new Date();
+    const legacy = (token, fields) => {
+      const doc = new Token({
+        userId, token, type: 'refresh', expiresAt: new Date(Date.now() + 60000), ...fields,
+      });
+      doc.set({ createdAt: now, updatedAt: now });
+      tokens.documents.push(doc);
+    };
+    legacy('eyJ.pendiente.firma', {});
+    legacy('eyJ.usado.firma', { used: true });
+    await login('ya-con-hash');
+
+    expect(await Token.migrateLegacyRefreshTokens()).toBe(2);
+    expect(await Token.migrateLegacyRefreshTokens()).toBe(0);
+
+    const [pending, used, hashed] = tokens.documents;
+    expect(pending.token).toBe(sha256('eyJ.pendiente.firma'));
+    expect(pending.family).toEqual(expect.any(String));
+    // Un token ya usado no abre familia: volver a presentarlo no se trata como reutilización
+    expect(used.token).toBe(sha256('eyJ.usado.firma'));
+    expect(used.family).toBeUndefined();
+    expect(hashed.token).toBe(sha256('ya-con-hash'));
+
+    expect((await refresh('eyJ.pendiente.firma')).status).toBe(200);
+    expect((await refresh('eyJ.usado.firma')).status).toBe(401);
+    expect(publishUserEvent).not.toHaveBeenCalled();
+  });
+});
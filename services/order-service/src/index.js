@@ -1,21 +1,66 @@
 require('dotenv').config();
+// Inicializar el trazado antes de cargar los módulos instrumentados
+const { shutdownTracing } = require('./utils/tracing');
+const path = require('path');
 const express = require('express');
+const axios = require('axios');
 const helmet = require('helmet');
 const cors = require('cors');
+const swaggerJsDoc = require('swagger-jsdoc');
 const mongoose = require('mongoose');
 const { setupMessageConsumer } = require('./messaging/consumer');
 const logger = require('./utils/logger');
+const { requestContextMiddleware, axiosPropagationInterceptor } = require('shared-lib/utils/requestContext');
+const { setServiceName, metricsMiddleware, metricsHandler, trackMongoosePool } = require('shared-lib/utils/metrics');
 
 // Rutas
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
 const shippingRoutes = require('./routes/shipping');
+const healthRoutes = require('./routes/health');
 
 // Inicializar app
 const app = express();
 const PORT = process.env.PORT || 3004;
 
+// Etiqueta service de las métricas
+setServiceName('order-service');
+
+// Documento OpenAPI del servicio (el API Gateway lo agrega en su documentación)
+const openapiSpec = swaggerJsDoc({
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Order Service',
+      version: '1.0.0',
+      description: 'API del servicio de pedidos',
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+      schemas: {
+        ObjectId: {
+          type: 'string',
+          pattern: '^[0-9a-fA-F]{24}$',
+          description: 'Identificador de MongoDB',
+        },
+      },
+    },
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')],
+});
+
 // Middleware
+// Propagar X-Request-ID y traceparent en las llamadas a otros servicios
+axios.interceptors.request.use(axiosPropagationInterceptor);
+
+app.use(requestContextMiddleware);
+app.use(metricsMiddleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -28,6 +73,9 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     logger.info(`MongoDB conectado: ${conn.connection.host}`);
+
+    // Exponer las estadísticas del pool de conexiones en /metrics
+    trackMongoosePool(conn.connection);
   } catch (error) {
     logger.error(`Error al conectar a MongoDB: ${error.message}`);
     process.exit(1);
@@ -39,14 +87,20 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/shipping', shippingRoutes);
 
+// Sondas de liveness y readiness
+app.use('/health', healthRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'UP', message: 'Order Service is running!' });
 });
 
 // Métricas para Prometheus
-app.get('/metrics', (req, res) => {
-  res.status(200).send('# Métricas disponibles para Prometheus');
+app.get('/metrics', metricsHandler);
+
+// Documento OpenAPI
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openapiSpec);
 });
 
 // Manejo de errores
@@ -94,7 +148,8 @@ process.on('SIGTERM', () => {
     logger.info('Servidor cerrado.');
     mongoose.connection.close(false, () => {
       logger.info('Conexión a MongoDB cerrada.');
-      process.exit(0);
+      // Enviar los spans pendientes antes de salir
+      shutdownTracing().finally(() => process.exit(0));
     });
   });
 });
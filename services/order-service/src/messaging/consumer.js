@@ -1,6 +1,8 @@
 const amqp = require('amqplib');
 const Order = require('../models/Order');
 const logger = require('../utils/logger');
+const { withMessageContext } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Configuración
 const EXCHANGE_NAME = 'user_events';
@@ -95,11 +97,11 @@ const setupMessageConsumer = async () => {
     }
     
     // Configurar consumidores
-    await channel.consume(userQueue, handleUserMessage, {
+    await channel.consume(userQueue, withMessageContext(handleUserMessage), {
       noAck: false, // Requerir confirmación explícita
     });
     
-    await channel.consume(productQueue, handleProductMessage, {
+    await channel.consume(productQueue, withMessageContext(handleProductMessage), {
       noAck: false, // Requerir confirmación explícita
     });
     
@@ -117,6 +119,7 @@ const setupMessageConsumer = async () => {
  */
 const handleUserMessage = async (msg) => {
   if (!msg) return;
+  recordMessage('consume', msg.fields);
   
   try {
     // Parsear mensaje
@@ -139,15 +142,18 @@ const handleUserMessage = async (msg) => {
     
     // Confirmar procesamiento exitoso
     channel.ack(msg);
+    recordMessage('ack', msg.fields);
   } catch (error) {
     logger.error('Error al procesar mensaje de usuario:', error);
     
     // Si es un error de parseo o un error no recuperable, rechazar sin requeue
     if (error instanceof SyntaxError) {
       channel.nack(msg, false, false);
+      recordMessage('nack', msg.fields);
     } else {
       // Para otros errores, requeue para reintentar
       channel.nack(msg, false, true);
+      recordMessage('nack', msg.fields);
     }
   }
 };
@@ -158,6 +164,7 @@ const handleUserMessage = async (msg) => {
  */
 const handleProductMessage = async (msg) => {
   if (!msg) return;
+  recordMessage('consume', msg.fields);
   
   try {
     // Parsear mensaje
@@ -183,15 +190,18 @@ const handleProductMessage = async (msg) => {
     
     // Confirmar procesamiento exitoso
     channel.ack(msg);
+    recordMessage('ack', msg.fields);
   } catch (error) {
     logger.error('Error al procesar mensaje de producto:', error);
     
     // Si es un error de parseo o un error no recuperable, rechazar sin requeue
     if (error instanceof SyntaxError) {
       channel.nack(msg, false, false);
+      recordMessage('nack', msg.fields);
     } else {
       // Para otros errores, requeue para reintentar
       channel.nack(msg, false, true);
+      recordMessage('nack', msg.fields);
     }
   }
 };
@@ -366,6 +376,18 @@ const handleInventoryUpdated = async (data) => {
   }
 };
 
+/**
+ * Comprueba que la conexión con RabbitMQ sigue activa
+ * Se usa en la sonda de readiness
+ */
+const checkConnection = async () => {
+  if (!channel) {
+    throw new Error('Sin conexión con RabbitMQ');
+  }
+  await channel.checkExchange(EXCHANGE_NAME);
+};
+
 module.exports = {
   setupMessageConsumer,
+  checkConnection,
 };
\ No newline at end of file
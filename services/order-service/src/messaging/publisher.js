@@ -1,5 +1,7 @@
 const amqp = require('amqplib');
 const logger = require('../utils/logger');
+const { getPropagationHeaders } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Configuración
 const EXCHANGE_NAME = 'order_events';
@@ -75,11 +77,14 @@ const publishOrderEvent = async (routingKey, data) => {
       {
         persistent: true,  // Mensaje persistente
         contentType: 'application/json',
+        // Propagar el ID de solicitud y el contexto de traza a los consumidores
+        headers: getPropagationHeaders(),
       }
     );
     
     if (success) {
       logger.debug(`Evento publicado: ${routingKey}`);
+      recordMessage('publish', { exchange: EXCHANGE_NAME, routingKey });
     } else {
       logger.warn(`No se pudo publicar el evento: ${routingKey}`);
     }
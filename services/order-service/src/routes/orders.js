@@ -29,12 +29,15 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 1
+ *           minimum: 1
  *         description: Número de página
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Número de elementos por página
  *       - in: query
  *         name: status
@@ -97,19 +100,22 @@ router.get(
  *         name: userId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID del usuario
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           default: a
+ *           default: 1
+ *           minimum: 1
  *         description: Número de página
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Número de elementos por página
  *       - in: query
  *         name: status
@@ -156,7 +162,7 @@ router.get(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID de la orden
  *     responses:
  *       200:
@@ -203,6 +209,7 @@ router.get(
  *               items:
  *                 type: array
  *                 description: Lista de productos
+ *                 minItems: 1
  *                 items:
  *                   type: object
  *                   required:
@@ -214,10 +221,37 @@ router.get(
  *                       description: ID del producto
  *                     quantity:
  *                       type: integer
+ *                       minimum: 1
  *                       description: Cantidad
  *               shippingAddress:
  *                 type: object
  *                 description: Dirección de envío
+ *                 required:
+ *                   - name
+ *                   - addressLine1
+ *                   - city
+ *                   - state
+ *                   - postalCode
+ *                   - country
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     minLength: 1
+ *                   addressLine1:
+ *                     type: string
+ *                     minLength: 1
+ *                   city:
+ *                     type: string
+ *                     minLength: 1
+ *                   state:
+ *                     type: string
+ *                     minLength: 1
+ *                   postalCode:
+ *                     type: string
+ *                     minLength: 1
+ *                   country:
+ *                     type: string
+ *                     minLength: 1
  *               billingAddress:
  *                 type: object
  *                 description: Dirección de facturación
@@ -276,7 +310,7 @@ router.post(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID de la orden
  *     requestBody:
  *       required: true
@@ -289,6 +323,7 @@ router.post(
  *             properties:
  *               status:
  *                 type: string
+ *                 minLength: 1
  *                 description: Nuevo estado de la orden
  *               notes:
  *                 type: string
@@ -333,7 +368,7 @@ router.put(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID de la orden
  *     requestBody:
  *       required: true
@@ -347,9 +382,11 @@ router.put(
  *             properties:
  *               method:
  *                 type: string
+ *                 minLength: 1
  *                 description: Método de pago
  *               status:
  *                 type: string
+ *                 minLength: 1
  *                 description: Estado del pago
  *               transactionId:
  *                 type: string
@@ -85,10 +85,11 @@ router.get(
  *               - method
  *             properties:
  *               orderId:
- *                 type: string
+ *                 $ref: '#/components/schemas/ObjectId'
  *                 description: ID de la orden
  *               method:
  *                 type: string
+ *                 minLength: 1
  *                 description: Método de pago
  *               paymentDetails:
  *                 type: object
@@ -131,6 +132,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *           minLength: 1
  *         description: ID del pago o transacción
  *     responses:
  *       200:
@@ -167,6 +169,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *           minLength: 1
  *         description: ID del pago o transacción
  *     requestBody:
  *       required: true
@@ -177,6 +180,7 @@ router.post(
  *             properties:
  *               amount:
  *                 type: number
+ *                 minimum: 0
  *                 description: Monto a reembolsar (si es parcial)
  *               reason:
  *                 type: string
@@ -75,9 +75,27 @@ router.get(
  *               items:
  *                 type: array
  *                 description: Lista de productos
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
  *               destination:
  *                 type: object
  *                 description: Dirección de destino
+ *                 required:
+ *                   - country
+ *                   - postalCode
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                     minLength: 1
+ *                   postalCode:
+ *                     type: string
+ *                     minLength: 1
  *               shippingMethod:
  *                 type: string
  *                 description: Método de envío seleccionado
@@ -119,6 +137,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *           minLength: 1
  *         description: Número de seguimiento
  *     responses:
  *       200:
@@ -151,7 +170,7 @@ router.get(
  *         name: orderId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID de la orden
  *     responses:
  *       200:
@@ -189,7 +208,7 @@ router.get(
  *         name: orderId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID de la orden
  *     requestBody:
  *       required: true
@@ -209,7 +228,9 @@ router.get(
  *                 description: Empresa transportista
  *               estimatedDelivery:
  *                 type: string
- *                 format: date
+ *                 oneOf:
+ *                   - format: date
+ *                   - format: date-time
  *                 description: Fecha estimada de entrega
  *               notes:
  *                 type: string
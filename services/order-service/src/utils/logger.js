@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const { getContext } = require('shared-lib/utils/requestContext');
 
 // Configuración de niveles y colores personalizados
 const levels = {
@@ -21,12 +22,23 @@ const colors = {
 // Añadir colores a winston
 winston.addColors(colors);
 
+// Añadir el ID de solicitud y de traza del contexto en curso
+const requestContextFormat = winston.format((info) => {
+  const context = getContext();
+  if (context) {
+    info.requestId = context.requestId;
+    info.traceId = context.traceId;
+  }
+  return info;
+});
+
 // Formato personalizado para los logs
 const format = winston.format.combine(
+  requestContextFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.colorize({ all: true }),
   winston.format.printf(
-    (info) => `${info.timestamp} ${info.level}: ${info.message}`,
+    (info) => `${info.timestamp} ${info.level}: ${info.requestId ? `[${info.requestId} ${info.traceId}] ` : ''}${info.message}`,
   ),
 );
 
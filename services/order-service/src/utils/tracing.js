@@ -0,0 +1,15 @@
+const { MongooseInstrumentation } = require('@opentelemetry/instrumentation-mongoose');
+const { startTracing, shutdownTracing } = require('shared-lib/utils/tracing');
+
+// Este módulo debe cargarse antes que express, http, mongoose y amqplib
+// para que las instrumentaciones puedan parchearlos
+startTracing({
+  serviceName: 'order-service',
+  instrumentations: () => [
+    new MongooseInstrumentation(),
+  ],
+});
+
+module.exports = {
+  shutdownTracing,
+};
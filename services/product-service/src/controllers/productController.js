@@ -1,7 +1,7 @@
 const { Op } = require('sequelize');
 const { Product, Category, Image, Inventory, sequelize } = require('../models');
 const Redis = require('ioredis');
-const { publishProductEvent } = require('../messaging/publisher');
+const { publishProductEvent, publishStockUpdated } = require('../messaging/publisher');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -448,6 +448,14 @@ exports.updateProduct = async (req, res, next) => {
       updatedAt: updatedProduct.updatedAt,
     });
     
+    // Publicar el nuevo stock si se modificó el inventario
+    if (req.body.inventory) {
+      const inventory = await Inventory.findOne({ where: { productId } });
+      if (inventory) {
+        await publishStockUpdated(inventory);
+      }
+    }
+    
     res.status(200).json({
       status: 'success',
       data: {
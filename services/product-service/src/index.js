@@ -1,21 +1,55 @@
 require('dotenv').config();
+// Inicializar el trazado antes de cargar los módulos instrumentados
+const { shutdownTracing } = require('./utils/tracing');
+const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
+const swaggerJsDoc = require('swagger-jsdoc');
 const { sequelize } = require('./models');
 const { setupMessageConsumer } = require('./messaging/consumer');
 const logger = require('./utils/logger');
+const { requestContextMiddleware } = require('shared-lib/utils/requestContext');
+const { setServiceName, metricsMiddleware, metricsHandler, trackSequelizePool } = require('shared-lib/utils/metrics');
 
 // Rutas
 const productRoutes = require('./routes/products');
 const categoryRoutes = require('./routes/categories');
 const inventoryRoutes = require('./routes/inventory');
+const healthRoutes = require('./routes/health');
 
 // Inicializar app
 const app = express();
 const PORT = process.env.PORT || 3003;
 
+// Etiqueta service de las métricas
+setServiceName('product-service');
+
+// Documento OpenAPI del servicio (el API Gateway lo agrega en su documentación)
+const openapiSpec = swaggerJsDoc({
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Product Service',
+      version: '1.0.0',
+      description: 'API del servicio de productos',
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')],
+});
+
 // Middleware
+app.use(requestContextMiddleware);
+app.use(metricsMiddleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -25,6 +59,9 @@ const connectDB = async () => {
   try {
     await sequelize.authenticate();
     logger.info('Conexión a MySQL establecida correctamente');
+
+    // Exponer las estadísticas del pool de conexiones en /metrics
+    trackSequelizePool(sequelize);
     
     // Sincronizar modelos con la base de datos (en desarrollo)
     if (process.env.NODE_ENV === 'development') {
@@ -42,14 +79,20 @@ app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/inventory', inventoryRoutes);
 
+// Sondas de liveness y readiness
+app.use('/health', healthRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'UP', message: 'Product Service is running!' });
 });
 
 // Métricas para Prometheus
-app.get('/metrics', (req, res) => {
-  res.status(200).send('# Métricas disponibles para Prometheus');
+app.get('/metrics', metricsHandler);
+
+// Documento OpenAPI
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openapiSpec);
 });
 
 // Manejo de errores
@@ -95,7 +138,8 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM recibido. Cerrando servidor...');
   server.close(() => {
     logger.info('Servidor cerrado.');
-    process.exit(0);
+    // Enviar los spans pendientes antes de salir
+    shutdownTracing().finally(() => process.exit(0));
   });
 });
 
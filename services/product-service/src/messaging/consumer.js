@@ -2,6 +2,9 @@ const amqp = require('amqplib');
 const { Product, Inventory } = require('../models');
 const Redis = require('ioredis');
 const logger = require('../utils/logger');
+const { publishStockUpdated } = require('./publisher');
+const { withMessageContext } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Cliente Redis para invalidar caché
 const redis = new Redis(process.env.REDIS_URL);
@@ -76,7 +79,7 @@ const setupMessageConsumer = async () => {
     }
     
     // Configurar consumidor
-    await channel.consume(queue, handleMessage, {
+    await channel.consume(queue, withMessageContext(handleMessage), {
       noAck: false, // Requerir confirmación explícita
     });
     
@@ -94,6 +97,7 @@ const setupMessageConsumer = async () => {
  */
 const handleMessage = async (msg) => {
   if (!msg) return;
+  recordMessage('consume', msg.fields);
   
   try {
     // Parsear mensaje
@@ -128,19 +132,35 @@ const handleMessage = async (msg) => {
     
     // Confirmar procesamiento exitoso
     channel.ack(msg);
+    recordMessage('ack', msg.fields);
   } catch (error) {
     logger.error('Error al procesar mensaje:', error);
     
     // Si es un error de parseo o un error no recuperable, rechazar sin requeue
     if (error instanceof SyntaxError) {
       channel.nack(msg, false, false);
+      recordMessage('nack', msg.fields);
     } else {
       // Para otros errores, requeue para reintentar
       channel.nack(msg, false, true);
+      recordMessage('nack', msg.fields);
     }
   }
 };
 
+/**
+ * Avisa del nuevo stock de un producto
+ * Un fallo al publicar no debe deshacer ni reintentar el cambio de inventario ya guardado
+ * @param {Object} inventory - Inventario actualizado
+ */
+const notifyStockChange = async (inventory) => {
+  try {
+    await publishStockUpdated(inventory);
+  } catch (error) {
+    logger.error(`Error al publicar el stock del producto ${inventory.productId}:`, error);
+  }
+};
+
 /**
  * Maneja el evento cuando se crea una orden
  * @param {Object} data - Datos del evento
@@ -164,6 +184,7 @@ const handleOrderCreated = async (data) => {
       
       // Reservar stock
       await inventory.reserveStock(quantity);
+      await notifyStockChange(inventory);
       logger.debug(`Stock reservado para producto ${productId}: ${quantity} unidades`);
     } catch (error) {
       logger.error(`Error al reservar stock para el producto ${productId}:`, error);
@@ -199,6 +220,7 @@ const handleOrderPaid = async (data) => {
       
       // Invalidar caché
       await redis.del(`product:${productId}`);
+      await notifyStockChange(inventory);
       
       logger.debug(`Stock actualizado para producto ${productId}`);
     } catch (error) {
@@ -230,6 +252,7 @@ const handleOrderCancelled = async (data) => {
       
       // Liberar reserva
       await inventory.reduceStock(quantity, true); // true indica que es una liberación de reserva
+      await notifyStockChange(inventory);
       
       logger.debug(`Reserva liberada para producto ${productId}: ${quantity} unidades`);
     } catch (error) {
@@ -264,6 +287,7 @@ const handleOrderRefunded = async (data) => {
       
       // Invalidar caché
       await redis.del(`product:${productId}`);
+      await notifyStockChange(inventory);
       
       logger.debug(`Stock restaurado para producto ${productId}: ${quantity} unidades`);
     } catch (error) {
@@ -291,6 +315,7 @@ const handleOrderItemAdded = async (data) => {
     
     // Reservar stock
     await inventory.reserveStock(quantity);
+    await notifyStockChange(inventory);
     logger.debug(`Stock reservado para producto ${productId}: ${quantity} unidades`);
   } catch (error) {
     logger.error(`Error al reservar stock para el producto ${productId}:`, error);
@@ -316,12 +341,25 @@ const handleOrderItemRemoved = async (data) => {
     
     // Liberar reserva
     await inventory.reduceStock(quantity, true); // true indica que es una liberación de reserva
+    await notifyStockChange(inventory);
     logger.debug(`Reserva liberada para producto ${productId}: ${quantity} unidades`);
   } catch (error) {
     logger.error(`Error al liberar reserva para el producto ${productId}:`, error);
   }
 };
 
+/**
+ * Comprueba que la conexión con RabbitMQ sigue activa
+ * Se usa en la sonda de readiness
+ */
+const checkConnection = async () => {
+  if (!channel) {
+    throw new Error('Sin conexión con RabbitMQ');
+  }
+  await channel.checkExchange(EXCHANGE_NAME);
+};
+
 module.exports = {
   setupMessageConsumer,
+  checkConnection,
 };
\ No newline at end of file
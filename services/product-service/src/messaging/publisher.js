@@ -1,5 +1,7 @@
 const amqp = require('amqplib');
 const logger = require('../utils/logger');
+const { getPropagationHeaders } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Configuración
 const EXCHANGE_NAME = 'product_events';
@@ -75,11 +77,14 @@ const publishProductEvent = async (routingKey, data) => {
       {
         persistent: true,  // Mensaje persistente
         contentType: 'application/json',
+        // Propagar el ID de solicitud y el contexto de traza a los consumidores
+        headers: getPropagationHeaders(),
       }
     );
     
     if (success) {
       logger.debug(`Evento publicado: ${routingKey}`);
+      recordMessage('publish', { exchange: EXCHANGE_NAME, routingKey });
     } else {
       logger.warn(`No se pudo publicar el evento: ${routingKey}`);
     }
@@ -91,7 +96,22 @@ const publishProductEvent = async (routingKey, data) => {
   }
 };
 
+/**
+ * Publica el stock actual de un producto tras un cambio de inventario
+ * Lo consume el API Gateway para avisar en tiempo real a los clientes suscritos
+ * @param {Object} inventory - Inventario ya actualizado
+ */
+const publishStockUpdated = (inventory) => publishProductEvent('product.stock_updated', {
+  productId: inventory.productId,
+  quantity: inventory.quantity,
+  reservedQuantity: inventory.reservedQuantity,
+  available: inventory.getAvailableStock(),
+  lowStock: inventory.isLowStock(),
+  updatedAt: new Date().toISOString(),
+});
+
 module.exports = {
   setupChannel,
   publishProductEvent,
+  publishStockUpdated,
 };
\ No newline at end of file
@@ -27,12 +27,15 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 1
+ *           minimum: 1
  *         description: Número de página
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Número de elementos por página
  *       - in: query
  *         name: search
@@ -53,11 +56,13 @@ const router = express.Router();
  *         name: minPrice
  *         schema:
  *           type: number
+ *           minimum: 0
  *         description: Precio mínimo
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
+ *           minimum: 0
  *         description: Precio máximo
  *       - in: query
  *         name: sortField
@@ -112,6 +117,7 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
+ *           minLength: 1
  *         description: ID o slug del producto
  *     responses:
  *       200:
@@ -152,9 +158,11 @@ router.get(
  *             properties:
  *               sku:
  *                 type: string
+ *                 minLength: 1
  *                 description: Código SKU único del producto
  *               name:
  *                 type: string
+ *                 minLength: 1
  *                 description: Nombre del producto
  *               description:
  *                 type: string
@@ -164,15 +172,18 @@ router.get(
  *                 description: Descripción corta
  *               price:
  *                 type: number
+ *                 minimum: 0
  *                 description: Precio regular
  *               salePrice:
  *                 type: number
+ *                 minimum: 0
  *                 description: Precio de oferta
  *               onSale:
  *                 type: boolean
  *                 description: Si está en oferta
  *               categoryId:
  *                 type: string
+ *                 format: uuid
  *                 description: ID de la categoría
  *               brand:
  *                 type: string
@@ -258,6 +269,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *         description: ID del producto
  *     requestBody:
  *       required: true
@@ -274,15 +286,18 @@ router.post(
  *                 description: Descripción detallada
  *               price:
  *                 type: number
+ *                 minimum: 0
  *                 description: Precio regular
  *               salePrice:
  *                 type: number
+ *                 minimum: 0
  *                 description: Precio de oferta
  *               onSale:
  *                 type: boolean
  *                 description: Si está en oferta
  *               categoryId:
  *                 type: string
+ *                 format: uuid
  *                 description: ID de la categoría
  *               isActive:
  *                 type: boolean
@@ -337,6 +352,7 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *         description: ID del producto
  *     responses:
  *       200:
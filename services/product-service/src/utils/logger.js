@@ -0,0 +1,78 @@
+const winston = require('winston');
+const path = require('path');
+const { getContext } = require('shared-lib/utils/requestContext');
+
+// Configuración de niveles y colores personalizados
+const levels = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  debug: 4,
+};
+
+const colors = {
+  error: 'red',
+  warn: 'yellow',
+  info: 'green',
+  http: 'magenta',
+  debug: 'blue',
+};
+
+// Añadir colores a winston
+winston.addColors(colors);
+
+// Añadir el ID de solicitud y de traza del contexto en curso
+const requestContextFormat = winston.format((info) => {
+  const context = getContext();
+  if (context) {
+    info.requestId = context.requestId;
+    info.traceId = context.traceId;
+  }
+  return info;
+});
+
+// Formato personalizado para los logs
+const format = winston.format.combine(
+  requestContextFormat(),
+  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
+  winston.format.colorize({ all: true }),
+  winston.format.printf(
+    (info) => `${info.timestamp} ${info.level}: ${info.requestId ? `[${info.requestId} ${info.traceId}] ` : ''}${info.message}`,
+  ),
+);
+
+// Configuración de los transportes (destinos de los logs)
+const transports = [
+  // Imprimir en consola
+  new winston.transports.Console(),
+  
+  // Guardar logs de errores en un archivo
+  new winston.transports.File({
+    filename: path.join(process.cwd(), 'logs', 'error.log'),
+    level: 'error',
+  }),
+  
+  // Guardar todos los logs en un archivo
+  new winston.transports.File({
+    filename: path.join(process.cwd(), 'logs', 'all.log'),
+  }),
+];
+
+// Crear la instancia del logger
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === 'development' ? 'debug' : 'info',
+  levels,
+  format,
+  transports,
+  defaultMeta: { service: 'product-service' }
+});
+
+// Crear stream para morgan
+logger.stream = {
+  write: (message) => {
+    logger.http(message.trim());
+  },
+};
+
+module.exports = logger;
\ No newline at end of file
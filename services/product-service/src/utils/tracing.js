@@ -0,0 +1,17 @@
+const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+const { MySQL2Instrumentation } = require('@opentelemetry/instrumentation-mysql2');
+const { startTracing, shutdownTracing } = require('shared-lib/utils/tracing');
+
+// Este módulo debe cargarse antes que express, http, mysql2, ioredis y amqplib
+// para que las instrumentaciones puedan parchearlos
+startTracing({
+  serviceName: 'product-service',
+  instrumentations: () => [
+    new IORedisInstrumentation(),
+    new MySQL2Instrumentation(),
+  ],
+});
+
+module.exports = {
+  shutdownTracing,
+};
@@ -1,21 +1,62 @@
 require('dotenv').config();
+// Inicializar el trazado antes de cargar los módulos instrumentados
+const { shutdownTracing } = require('./utils/tracing');
+const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
+const swaggerJsDoc = require('swagger-jsdoc');
 const mongoose = require('mongoose');
 const { setupMessageConsumer } = require('./messaging/consumer');
 const logger = require('./utils/logger');
+const { requestContextMiddleware } = require('shared-lib/utils/requestContext');
+const { setServiceName, metricsMiddleware, metricsHandler, trackMongoosePool } = require('shared-lib/utils/metrics');
 
 // Rutas
 const userRoutes = require('./routes/users');
 const profileRoutes = require('./routes/profiles');
 const addressRoutes = require('./routes/addresses');
+const healthRoutes = require('./routes/health');
 
 // Inicializar app
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Etiqueta service de las métricas
+setServiceName('user-service');
+
+// Documento OpenAPI del servicio (el API Gateway lo agrega en su documentación)
+const openapiSpec = swaggerJsDoc({
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'User Service',
+      version: '1.0.0',
+      description: 'API del servicio de usuarios',
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+      schemas: {
+        ObjectId: {
+          type: 'string',
+          pattern: '^[0-9a-fA-F]{24}$',
+          description: 'Identificador de MongoDB',
+        },
+      },
+    },
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')],
+});
+
 // Middleware
+app.use(requestContextMiddleware);
+app.use(metricsMiddleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -28,6 +69,9 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     logger.info(`MongoDB conectado: ${conn.connection.host}`);
+
+    // Exponer las estadísticas del pool de conexiones en /metrics
+    trackMongoosePool(conn.connection);
   } catch (error) {
     logger.error(`Error al conectar a MongoDB: ${error.message}`);
     process.exit(1);
@@ -39,14 +83,20 @@ app.use('/api/users', userRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/addresses', addressRoutes);
 
+// Sondas de liveness y readiness
+app.use('/health', healthRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'UP', message: 'User Service is running!' });
 });
 
 // Métricas para Prometheus
-app.get('/metrics', (req, res) => {
-  res.status(200).send('# Métricas disponibles para Prometheus');
+app.get('/metrics', metricsHandler);
+
+// Documento OpenAPI
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openapiSpec);
 });
 
 // Manejo de errores
@@ -94,7 +144,8 @@ process.on('SIGTERM', () => {
     logger.info('Servidor cerrado.');
     mongoose.connection.close(false, () => {
       logger.info('Conexión a MongoDB cerrada.');
-      process.exit(0);
+      // Enviar los spans pendientes antes de salir
+      shutdownTracing().finally(() => process.exit(0));
     });
   });
 });
@@ -1,5 +1,7 @@
 const amqp = require('amqplib');
 const logger = require('../utils/logger');
+const { getPropagationHeaders } = require('shared-lib/utils/requestContext');
+const { recordMessage } = require('shared-lib/utils/metrics');
 
 // Configuración
 const EXCHANGE_NAME = 'user_events';
@@ -77,6 +79,7 @@ const publishUserEvent = async (routingKey, data) => {
         persistent: true,  // Mensaje persistente
         contentType: 'application/json',
         headers: {
+          ...getPropagationHeaders(),
           'service': 'user-service',
           'event-type': routingKey
         }
@@ -85,6 +88,7 @@ const publishUserEvent = async (routingKey, data) => {
     
     if (success) {
       logger.debug(`Evento publicado: ${routingKey}`);
+      recordMessage('publish', { exchange: EXCHANGE_NAME, routingKey });
     } else {
       logger.warn(`No se pudo publicar el evento: ${routingKey}`);
     }
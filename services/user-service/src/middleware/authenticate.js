@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyToken } = require('../utils/jwks');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -31,8 +31,8 @@ const authenticate = async (req, res, next) => {
       return next(new AppError('No has iniciado sesión. Por favor inicia sesión para acceder.', 401));
     }
 
-    // 2) Verificar y decodificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 2) Verificar y decodificar el token con las claves públicas del servicio de autenticación
+    const decoded = await verifyToken(token);
 
     // 3) Extraer información del usuario del token decodificado
     req.user = {
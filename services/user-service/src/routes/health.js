@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const { createHealthRouter, checkMongoose } = require('shared-lib/utils/healthCheck');
+const { checkConnection } = require('../messaging/consumer');
+
+// Sondas /health/live y /health/ready con las dependencias del servicio
+const router = createHealthRouter({
+  mongodb: checkMongoose(mongoose.connection),
+  rabbitmq: checkConnection,
+});
+
+module.exports = router;
@@ -27,12 +27,15 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 1
+ *           minimum: 1
  *         description: Número de página
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Número de elementos por página
  *       - in: query
  *         name: search
@@ -117,6 +120,8 @@ router.get(
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 50
  *         description: Número máximo de resultados
  *     responses:
  *       200:
@@ -152,7 +157,7 @@ router.get(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID del usuario
  *     responses:
  *       200:
@@ -245,7 +250,7 @@ router.post(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID del usuario
  *     requestBody:
  *       required: true
@@ -256,7 +261,12 @@ router.post(
  *             properties:
  *               name:
  *                 type: string
+ *                 minLength: 1
  *                 description: Nombre completo del usuario
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email del usuario
  *               role:
  *                 type: string
  *                 enum: [user, admin, premium]
@@ -319,7 +329,7 @@ router.put(
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: ID del usuario
  *     responses:
  *       200:
@@ -0,0 +1,5 @@
+const { createJwksClient } = require('shared-lib/utils/jwks');
+const logger = require('./logger');
+
+// Cliente JWKS del servicio, con su propia caché de claves
+module.exports = createJwksClient({ logger });
@@ -96,6 +96,16 @@ class TimeoutError extends AppError {
   }
 }
 
+/**
+ * Circuito abierto: el servicio no recibe solicitudes temporalmente (503 Service Unavailable)
+ */
+class CircuitOpenError extends AppError {
+  constructor(message = 'Servicio no disponible temporalmente', details = null, service = null) {
+    super(message, StatusCodes.SERVICE_UNAVAILABLE, details, service);
+    this.name = 'CircuitOpenError';
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
@@ -105,5 +115,6 @@ module.exports = {
   ConflictError,
   ServiceError,
   ExternalServiceError,
-  TimeoutError
+  TimeoutError,
+  CircuitOpenError
 };
\ No newline at end of file
@@ -1,7 +1,8 @@
 const { validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const { AuthenticationError, ValidationError } = require('../errors');
 const logger = require('../utils/logger');
+const { verifyToken } = require('../utils/jwks');
+const { requestContextMiddleware } = require('../utils/requestContext');
 
 /**
  * Middleware para validar solicitudes con express-validator
@@ -21,8 +22,9 @@ const validateRequest = (req, res, next) => {
 
 /**
  * Middleware de autenticación genérico
+ * Verifica el token con las claves públicas (JWKS) del servicio de autenticación
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // Verificar si el token existe
     let token;
@@ -48,7 +50,7 @@ const authenticate = (req, res, next) => {
     }
 
     // Verificar y decodificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyToken(token);
 
     // Extraer información del usuario del token decodificado
     req.user = {
@@ -151,4 +153,5 @@ module.exports = {
   authenticate,
   requestLogger,
   errorHandler,
+  requestContextMiddleware,
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const logger = require('./logger');
-const { ServiceError } = require('../errors');
+const { setCircuitBreakerState } = require('./metrics');
+const { CircuitOpenError } = require('../errors');
 
 /**
  * Estados del Circuit Breaker
@@ -29,12 +30,15 @@ class CircuitBreaker {
     this.lastFailureTime = null;
     this.successThreshold = options.successThreshold || 2;
     this.successCount = 0;
-    this.timeout = options.timeout || 10000; // 10 segundos
+    this.timeout = options.timeout !== undefined ? options.timeout : 10000; // 10 segundos (0 lo desactiva)
     this.fallbackFn = options.fallback || null;
     this.name = options.name || 'service';
     this.isFailure = options.isFailure || this._defaultIsFailure;
+    // Permite usar el logger del proceso (p. ej. el del gateway) en lugar del de shared-lib
+    this.logger = options.logger || logger;
     
-    logger.debug(`Circuit Breaker iniciado para ${this.name} en estado ${this.state}`);
+    setCircuitBreakerState(this.name, this.state);
+    this.logger.debug(`Circuit Breaker iniciado para ${this.name} en estado ${this.state}`);
   }
 
   /**
@@ -78,14 +82,19 @@ class CircuitBreaker {
    * @returns {Promise} - Resultado de la función
    */
   async _executeWithTimeout(args) {
+    if (!this.timeout) {
+      return this.request(...args);
+    }
+
+    let timer;
     return Promise.race([
       this.request(...args),
       new Promise((_, reject) => {
-        setTimeout(() => {
+        timer = setTimeout(() => {
           reject(new Error(`Request timed out after ${this.timeout}ms`));
         }, this.timeout);
       })
-    ]);
+    ]).finally(() => clearTimeout(timer));
   }
 
   /**
@@ -115,7 +124,7 @@ class CircuitBreaker {
       this.failureCount++;
       this.lastFailureTime = Date.now();
       
-      logger.warn(`Fallo en Circuit Breaker ${this.name}: ${error.message}. Conteo: ${this.failureCount}/${this.failureThreshold}`);
+      this.logger.warn(`Fallo en Circuit Breaker ${this.name}: ${error.message}. Conteo: ${this.failureCount}/${this.failureThreshold}`);
       
       if (this.state === CircuitState.CLOSED && this.failureCount >= this.failureThreshold) {
         this._toOpen();
@@ -136,17 +145,17 @@ class CircuitBreaker {
    * @returns {*} - Resultado del fallback o error
    */
   _handleOpenCircuit() {
-    const openCircuitError = new ServiceError(
+    const openCircuitError = new CircuitOpenError(
       `Circuit Breaker está abierto para ${this.name}. El servicio no está disponible temporalmente.`,
       {
-        service: this.name,
         state: this.state,
         lastFailure: this.lastFailureTime,
         resetTimeout: this.resetTimeout,
-      }
+      },
+      this.name
     );
     
-    logger.warn(`Circuit Breaker en estado OPEN para ${this.name}. Bloqueando solicitud.`);
+    this.logger.warn(`Circuit Breaker en estado OPEN para ${this.name}. Bloqueando solicitud.`);
     
     if (this.fallbackFn) {
       return this.fallbackFn(openCircuitError);
@@ -159,8 +168,9 @@ class CircuitBreaker {
    * Cambia el estado a abierto
    */
   _toOpen() {
-    logger.info(`Circuit Breaker ${this.name} cambiando a estado OPEN`);
+    this.logger.info(`Circuit Breaker ${this.name} cambiando a estado OPEN`);
     this.state = CircuitState.OPEN;
+    setCircuitBreakerState(this.name, this.state);
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = Date.now();
@@ -170,8 +180,9 @@ class CircuitBreaker {
    * Cambia el estado a semi-abierto
    */
   _toHalfOpen() {
-    logger.info(`Circuit Breaker ${this.name} cambiando a estado HALF_OPEN`);
+    this.logger.info(`Circuit Breaker ${this.name} cambiando a estado HALF_OPEN`);
     this.state = CircuitState.HALF_OPEN;
+    setCircuitBreakerState(this.name, this.state);
     this.failureCount = 0;
     this.successCount = 0;
   }
@@ -180,22 +191,35 @@ class CircuitBreaker {
    * Cambia el estado a cerrado
    */
   _toClose() {
-    logger.info(`Circuit Breaker ${this.name} cambiando a estado CLOSED`);
+    this.logger.info(`Circuit Breaker ${this.name} cambiando a estado CLOSED`);
     this.state = CircuitState.CLOSED;
+    setCircuitBreakerState(this.name, this.state);
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
   }
 
+  /**
+   * Milisegundos que faltan para admitir una solicitud de prueba con el circuito abierto
+   * @returns {number} - 0 si el circuito no está abierto
+   */
+  getRemainingOpenTime() {
+    if (this.state !== CircuitState.OPEN || !this.lastFailureTime) {
+      return 0;
+    }
+    return Math.max(0, this.lastFailureTime + this.resetTimeout - Date.now());
+  }
+
   /**
    * Resetea el estado del Circuit Breaker
    */
   reset() {
     this.state = CircuitState.CLOSED;
+    setCircuitBreakerState(this.name, this.state);
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
-    logger.info(`Circuit Breaker ${this.name} reseteado a estado CLOSED`);
+    this.logger.info(`Circuit Breaker ${this.name} reseteado a estado CLOSED`);
   }
 }
 
@@ -0,0 +1,107 @@
+const express = require('express');
+
+// Tiempo máximo de cada comprobación de dependencia
+const HEALTH_CHECK_TIMEOUT = Number(process.env.HEALTH_CHECK_TIMEOUT || 2000);
+
+/**
+ * Rechaza la promesa si no se resuelve dentro del tiempo indicado
+ * @param {Promise} promise - Promesa a vigilar
+ * @param {number} timeout - Tiempo máximo en milisegundos
+ * @returns {Promise}
+ */
+const withTimeout = (promise, timeout) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Sin respuesta tras ${timeout}ms`)), timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Ejecuta en paralelo las comprobaciones de dependencias
+ * @param {Object} checks - Funciones de comprobación indexadas por dependencia
+ * @param {number} [timeout] - Tiempo máximo por comprobación
+ * @returns {Promise<Object>} - Estado global y estado y latencia de cada dependencia
+ */
+const runHealthChecks = async (checks, timeout = HEALTH_CHECK_TIMEOUT) => {
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const start = Date.now();
+    try {
+      await withTimeout(Promise.resolve().then(check), timeout);
+      return [name, { status: 'UP', latencyMs: Date.now() - start }];
+    } catch (error) {
+      return [name, { status: 'DOWN', latencyMs: Date.now() - start, error: error.message }];
+    }
+  }));
+
+  const dependencies = Object.fromEntries(results);
+  const healthy = results.every(([, result]) => result.status === 'UP');
+
+  return {
+    status: healthy ? 'UP' : 'DOWN',
+    dependencies,
+  };
+};
+
+/**
+ * Comprobación de una conexión de Mongoose
+ * @param {Object} connection - Conexión de Mongoose
+ * @returns {Function}
+ */
+const checkMongoose = (connection) => async () => {
+  if (connection.readyState !== 1) {
+    throw new Error('Sin conexión con MongoDB');
+  }
+  await connection.db.admin().ping();
+};
+
+/**
+ * Comprobación de una instancia de Sequelize
+ * @param {Object} sequelize - Instancia de Sequelize
+ * @returns {Function}
+ */
+const checkSequelize = (sequelize) => () => sequelize.authenticate({ logging: false });
+
+/**
+ * Comprobación de un cliente de Redis (ioredis)
+ * @param {Object} redis - Cliente de Redis
+ * @returns {Function}
+ */
+const checkRedis = (redis) => async () => {
+  if (redis.status !== 'ready') {
+    throw new Error(`Sin conexión con Redis (${redis.status})`);
+  }
+  await redis.ping();
+};
+
+/**
+ * Crea el router con las sondas de liveness (/live) y readiness (/ready)
+ * Liveness solo indica que el proceso responde; readiness comprueba cada dependencia
+ * @param {Object} checks - Funciones de comprobación indexadas por dependencia
+ * @returns {express.Router}
+ */
+const createHealthRouter = (checks) => {
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    res.status(200).json({ status: 'UP', uptime: process.uptime() });
+  });
+
+  router.get('/ready', async (req, res) => {
+    const result = await runHealthChecks(checks);
+    res.status(result.status === 'UP' ? 200 : 503).json(result);
+  });
+
+  return router;
+};
+
+module.exports = {
+  withTimeout,
+  runHealthChecks,
+  checkMongoose,
+  checkSequelize,
+  checkRedis,
+  createHealthRouter,
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('./logger');
+const { getPropagationHeaders } = require('./requestContext');
 const { ExternalServiceError, TimeoutError } = require('../errors');
 
 // Crear cliente HTTP con configuración base
@@ -16,10 +17,10 @@ client.interceptors.request.use(
     // Agregar header para identificar el servicio que hace la solicitud
     config.headers['X-Service-Name'] = process.env.SERVICE_NAME || 'microservice';
     
-    // Agregar tracing ID si existe en el contexto actual
-    if (process.env.TRACING_ID) {
-      config.headers['X-Tracing-ID'] = process.env.TRACING_ID;
-    }
+    // Propagar el ID de solicitud y el contexto de traza de la solicitud en curso
+    Object.entries(getPropagationHeaders()).forEach(([name, value]) => {
+      config.headers[name] = value;
+    });
     
     // Aplicar seguridad para solicitudes entre servicios si se proporciona una clave API
     if (process.env.INTERNAL_API_KEY) {
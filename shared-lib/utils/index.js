@@ -2,10 +2,18 @@ const logger = require('./logger');
 const httpClient = require('./httpClient');
 const circuitBreaker = require('./circuitBreaker');
 const pagination = require('./pagination');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+const healthCheck = require('./healthCheck');
+const jwks = require('./jwks');
 
 module.exports = {
   logger,
   httpClient,
   circuitBreaker,
   pagination,
+  requestContext,
+  metrics,
+  healthCheck,
+  jwks,
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const defaultLogger = require('./logger');
+
+// Algoritmos asimétricos admitidos; los tokens con cualquier otro se rechazan
+const ALGORITHMS = ['RS256', 'ES256'];
+
+// Tiempo que se reutilizan las claves descargadas (ms)
+const JWKS_CACHE_TTL = (parseInt(process.env.JWKS_CACHE_TTL, 10) || 600) * 1000;
+
+// Tiempo máximo de espera al descargar el JWKS
+const JWKS_FETCH_TIMEOUT = parseInt(process.env.JWKS_FETCH_TIMEOUT, 10) || 3000;
+
+// Intervalo mínimo entre descargas, para que un kid desconocido no provoque una por solicitud (ms)
+// El servicio de autenticación publica cada clave nueva con más antelación antes de firmar con ella
+const MIN_REFRESH_INTERVAL = 30 * 1000;
+
+const getJwksUrl = () => process.env.AUTH_JWKS_URL || `${process.env.AUTH_SERVICE_URL}/.well-known/jwks.json`;
+
+/**
+ * Convierte el documento JWKS en claves públicas listas para verificar
+ * Se ignoran las claves sin kid, de otro algoritmo o que no son de firma
+ * @param {Object} jwks - Documento JWKS
+ * @param {Object} logger - Logger del servicio
+ * @returns {Map}
+ */
+const parseJwks = (jwks, logger) => {
+  const parsed = new Map();
+  (jwks.keys || []).forEach((jwk) => {
+    if (!jwk.kid || !ALGORITHMS.includes(jwk.alg) || (jwk.use && jwk.use !== 'sig')) {
+      return;
+    }
+    try {
+      parsed.set(jwk.kid, {
+        algorithm: jwk.alg,
+        publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      });
+    } catch (error) {
+      logger.warn(`Clave ${jwk.kid} del JWKS inválida: ${error.message}`);
+    }
+  });
+  return parsed;
+};
+
+/**
+ * Crea un cliente del JWKS del servicio de autenticación con su propia caché de claves
+ * Cada proceso debería crear uno solo y compartirlo
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger del servicio (por defecto el de shared-lib)
+ * @returns {Object} - Función verifyToken del cliente
+ */
+const createJwksClient = ({ logger = defaultLogger } = {}) => {
+  // kid -> { algorithm, publicKey }
+  let keys = new Map();
+  let fetchedAt = 0;
+  let lastAttemptAt = 0;
+
+  // Descarga en curso, compartida por las solicitudes que llegan mientras se completa
+  let refreshing = null;
+
+  /**
+   * Descarga el JWKS del servicio de autenticación
+   * Si falla se siguen usando las claves anteriores hasta el siguiente intento
+   * @returns {Promise<void>}
+   */
+  const refresh = () => {
+    if (refreshing) {
+      return refreshing;
+    }
+
+    lastAttemptAt = Date.now();
+    refreshing = (async () => {
+      try {
+        const response = await axios.get(getJwksUrl(), { timeout: JWKS_FETCH_TIMEOUT });
+        keys = parseJwks(response.data, logger);
+        fetchedAt = Date.now();
+        logger.debug(`JWKS actualizado: ${keys.size} claves`);
+      } catch (error) {
+        logger.error(`Error al obtener el JWKS del servicio de autenticación: ${error.message}`);
+      } finally {
+        refreshing = null;
+      }
+    })();
+
+    return refreshing;
+  };
+
+  /**
+   * Clave pública de un kid
+   * Vuelve a descargar el JWKS cuando la caché caduca o el kid es desconocido (clave recién rotada)
+   * @param {string} kid - Identificador de la clave
+   * @returns {Promise<Object|undefined>}
+   */
+  const getKey = async (kid) => {
+    if (refreshing) {
+      await refreshing;
+    } else if (
+      (Date.now() - fetchedAt > JWKS_CACHE_TTL || !keys.has(kid))
+      && Date.now() - lastAttemptAt > MIN_REFRESH_INTERVAL
+    ) {
+      await refresh();
+    }
+    return keys.get(kid);
+  };
+
+  /**
+   * Verifica un token con la clave pública de su kid
+   * Lanza los mismos errores que jwt.verify (JsonWebTokenError, TokenExpiredError)
+   * @param {string} token - Token JWT
+   * @returns {Promise<Object>} - Payload del token
+   */
+  const verifyToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new jwt.JsonWebTokenError('El token no indica la clave con la que se firmó');
+    }
+
+    const key = await getKey(decoded.header.kid);
+    if (!key) {
+      if (fetchedAt === 0) {
+        // Sin ninguna descarga correcta no se puede saber si el token es válido
+        throw new Error('No se pudieron obtener las claves de firma del servicio de autenticación');
+      }
+      throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  };
+
+  return { verifyToken };
+};
+
+// Cliente de los middlewares de shared-lib
+const { verifyToken } = createJwksClient();
+
+module.exports = {
+  createJwksClient,
+  verifyToken,
+};
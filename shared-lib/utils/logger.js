@@ -1,4 +1,5 @@
 const pino = require('pino');
+const { getContext } = require('./requestContext');
 
 // Determinar el nivel de log basado en el entorno
 const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug');
@@ -7,6 +8,11 @@ const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ?
 const baseLogger = pino({
   level,
   timestamp: pino.stdTimeFunctions.isoTime,
+  // Añadir el ID de solicitud y de traza del contexto en curso
+  mixin: () => {
+    const context = getContext();
+    return context ? { requestId: context.requestId, traceId: context.traceId } : {};
+  },
   formatters: {
     level: (label) => {
       return { level: label };
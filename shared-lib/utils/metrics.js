@@ -0,0 +1,165 @@
+const client = require('prom-client');
+
+// Registro propio para no mezclar métricas con otras librerías
+// Cada proceso fija su etiqueta service con setServiceName
+const register = new client.Registry();
+register.setDefaultLabels({ service: process.env.SERVICE_NAME || 'microservice' });
+
+// Métricas del proceso Node.js (CPU, memoria, event loop, GC)
+client.collectDefaultMetrics({ register });
+
+// Duración de las solicitudes HTTP por plantilla de ruta y código de estado
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las solicitudes HTTP en segundos',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// Estado de los circuit breakers: 0 = CLOSED, 1 = HALF_OPEN, 2 = OPEN
+const CIRCUIT_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+const circuitBreakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Estado del circuit breaker (0 = CLOSED, 1 = HALF_OPEN, 2 = OPEN)',
+  labelNames: ['breaker'],
+  registers: [register],
+});
+
+// Mensajes de RabbitMQ por operación (publish, consume, ack, nack)
+const rabbitmqMessages = new client.Counter({
+  name: 'rabbitmq_messages_total',
+  help: 'Mensajes de RabbitMQ publicados, consumidos, confirmados y rechazados',
+  labelNames: ['operation', 'exchange', 'routing_key'],
+  registers: [register],
+});
+
+// Funciones que leen el estado de los pools de conexiones al recolectar
+const poolCollectors = [];
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Conexiones del pool de base de datos por estado (total, in_use, idle, waiting)',
+  labelNames: ['database', 'state'],
+  registers: [register],
+  collect() {
+    poolCollectors.forEach((collectPool) => collectPool(this));
+  },
+});
+
+/**
+ * Fija la etiqueta service de todas las métricas del proceso
+ * @param {string} name - Nombre del servicio; SERVICE_NAME tiene prioridad
+ */
+const setServiceName = (name) => {
+  register.setDefaultLabels({ service: process.env.SERVICE_NAME || name });
+};
+
+/**
+ * Registra el estado de un circuit breaker
+ * @param {string} name - Nombre del circuit breaker
+ * @param {string} state - CLOSED, HALF_OPEN u OPEN
+ */
+const setCircuitBreakerState = (name, state) => {
+  circuitBreakerState.set({ breaker: name }, CIRCUIT_STATE_VALUES[state]);
+};
+
+/**
+ * Cuenta una operación sobre un mensaje de RabbitMQ
+ * @param {string} operation - publish, consume, ack o nack
+ * @param {Object} fields - exchange y routingKey del mensaje (msg.fields al consumir)
+ */
+const recordMessage = (operation, { exchange, routingKey }) => {
+  rabbitmqMessages.inc({ operation, exchange, routing_key: routingKey });
+};
+
+/**
+ * Expone las estadísticas del pool de una conexión de Mongoose
+ * Se basa en los eventos de monitoreo del pool del driver de MongoDB
+ * @param {Object} connection - Conexión de Mongoose ya abierta
+ * @param {string} [database] - Etiqueta de la base de datos
+ */
+const trackMongoosePool = (connection, database = 'mongodb') => {
+  const stats = { total: 0, in_use: 0, waiting: 0 };
+  const mongoClient = connection.getClient();
+
+  mongoClient.on('connectionCreated', () => { stats.total += 1; });
+  mongoClient.on('connectionClosed', () => { stats.total -= 1; });
+  mongoClient.on('connectionCheckOutStarted', () => { stats.waiting += 1; });
+  mongoClient.on('connectionCheckOutFailed', () => { stats.waiting -= 1; });
+  mongoClient.on('connectionCheckedOut', () => {
+    stats.waiting -= 1;
+    stats.in_use += 1;
+  });
+  mongoClient.on('connectionCheckedIn', () => { stats.in_use -= 1; });
+
+  poolCollectors.push((gauge) => {
+    gauge.set({ database, state: 'total' }, stats.total);
+    gauge.set({ database, state: 'in_use' }, stats.in_use);
+    gauge.set({ database, state: 'idle' }, Math.max(0, stats.total - stats.in_use));
+    gauge.set({ database, state: 'waiting' }, stats.waiting);
+  });
+};
+
+/**
+ * Expone las estadísticas del pool de una instancia de Sequelize
+ * @param {Object} sequelize - Instancia de Sequelize
+ * @param {string} [database] - Etiqueta de la base de datos
+ */
+const trackSequelizePool = (sequelize, database = 'mysql') => {
+  poolCollectors.push((gauge) => {
+    const { pool } = sequelize.connectionManager;
+    if (!pool) {
+      return;
+    }
+
+    gauge.set({ database, state: 'total' }, pool.size);
+    gauge.set({ database, state: 'in_use' }, pool.using);
+    gauge.set({ database, state: 'idle' }, pool.available);
+    gauge.set({ database, state: 'waiting' }, pool.waiting);
+  });
+};
+
+/**
+ * Middleware que mide la duración de cada solicitud HTTP
+ * Usa la plantilla de la ruta (p. ej. /api/orders/:id) para acotar la cardinalidad
+ */
+const metricsMiddleware = (req, res, next) => {
+  if (req.path === '/metrics') {
+    return next();
+  }
+
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status_code: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+/**
+ * Manejador de la ruta /metrics en formato de exposición de Prometheus
+ */
+const metricsHandler = async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    res.status(500).end(error.message);
+  }
+};
+
+module.exports = {
+  register,
+  setServiceName,
+  setCircuitBreakerState,
+  recordMessage,
+  trackMongoosePool,
+  trackSequelizePool,
+  metricsMiddleware,
+  metricsHandler,
+};
@@ -0,0 +1,165 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { trace, isSpanContextValid } = require('@opentelemetry/api');
+
+// Almacenamiento del contexto de cada solicitud (sobrevive a callbacks y promesas)
+const storage = new AsyncLocalStorage();
+
+// Formato W3C: versión-traceId-parentId-flags
+const TRACEPARENT_REGEX = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// IDs de solicitud aceptados desde el exterior (evita inyección en los logs)
+const REQUEST_ID_REGEX = /^[\w\-.:]{1,128}$/;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Obtiene el contexto del span de OpenTelemetry activo, si el trazado está habilitado
+ * @returns {Object|null} - SpanContext válido o null
+ */
+const getActiveSpanContext = () => {
+  const span = trace.getActiveSpan();
+  const spanContext = span && span.spanContext();
+  return spanContext && isSpanContextValid(spanContext) ? spanContext : null;
+};
+
+/**
+ * Interpreta una cabecera traceparent W3C
+ * @param {string} header - Valor de la cabecera
+ * @returns {Object|null} - traceId, parentSpanId y traceFlags, o null si no es válida
+ */
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_REGEX.exec((header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return {
+    traceId: match[1],
+    parentSpanId: match[2],
+    traceFlags: match[3],
+  };
+};
+
+/**
+ * Crea el contexto de una solicitud o mensaje a partir de sus cabeceras
+ * Reutiliza el X-Request-ID y la traza entrantes, o genera unos nuevos
+ * @param {Object} [headers] - Cabeceras HTTP o de mensaje
+ * @returns {Object} - Contexto con requestId, traceId, spanId y traceFlags
+ */
+const createContext = (headers = {}) => {
+  // Las cabeceras de RabbitMQ conservan mayúsculas; se normalizan como en HTTP
+  const normalized = Object.keys(headers).reduce((result, name) => {
+    result[name.toLowerCase()] = headers[name] === undefined ? undefined : String(headers[name]);
+    return result;
+  }, {});
+  const incomingRequestId = normalized['x-request-id'];
+  const requestId = REQUEST_ID_REGEX.test(incomingRequestId || '') ? incomingRequestId : crypto.randomUUID();
+
+  // Con OpenTelemetry activo se reutiliza el span creado por la instrumentación
+  const spanContext = getActiveSpanContext();
+  if (spanContext) {
+    return {
+      requestId,
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+      traceFlags: spanContext.traceFlags.toString(16).padStart(2, '0'),
+      traced: true,
+    };
+  }
+
+  const parent = parseTraceparent(normalized.traceparent);
+
+  return {
+    requestId,
+    traceId: parent ? parent.traceId : randomHex(16),
+    parentSpanId: parent ? parent.parentSpanId : null,
+    spanId: randomHex(8),
+    traceFlags: parent ? parent.traceFlags : '01',
+    tracestate: normalized.tracestate,
+  };
+};
+
+/**
+ * Obtiene el contexto de la solicitud en curso
+ * @returns {Object|undefined}
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Ejecuta una función dentro del contexto indicado
+ * @param {Object} context - Contexto de la solicitud
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} - Resultado de la función
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Construye las cabeceras para propagar el contexto a otro servicio
+ * @param {Object} [context] - Contexto (por defecto el de la solicitud en curso)
+ * @returns {Object} - Cabeceras X-Request-ID, traceparent y tracestate
+ */
+const getPropagationHeaders = (context = getContext()) => {
+  if (!context) {
+    return {};
+  }
+
+  // Con OpenTelemetry activo las instrumentaciones inyectan traceparent en cada salto
+  if (context.traced) {
+    return { 'X-Request-ID': context.requestId };
+  }
+
+  const headers = {
+    'X-Request-ID': context.requestId,
+    traceparent: `00-${context.traceId}-${context.spanId}-${context.traceFlags}`,
+  };
+
+  if (context.tracestate) {
+    headers.tracestate = context.tracestate;
+  }
+
+  return headers;
+};
+
+/**
+ * Middleware que crea el contexto de cada solicitud entrante
+ * y devuelve el X-Request-ID al cliente
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const context = createContext(req.headers);
+  req.context = context;
+  res.setHeader('X-Request-ID', context.requestId);
+  runWithContext(context, next);
+};
+
+/**
+ * Envuelve un manejador de mensajes RabbitMQ para que se ejecute
+ * con el contexto recibido en las cabeceras del mensaje
+ * @param {Function} handler - Manejador original
+ * @returns {Function} - Manejador con contexto
+ */
+const withMessageContext = (handler) => (msg) => {
+  const headers = (msg && msg.properties && msg.properties.headers) || {};
+  return runWithContext(createContext(headers), () => handler(msg));
+};
+
+/**
+ * Interceptor de axios que añade las cabeceras de propagación
+ * @param {Object} config - Configuración de la solicitud
+ * @returns {Object} - Configuración con las cabeceras añadidas
+ */
+const axiosPropagationInterceptor = (config) => {
+  Object.entries(getPropagationHeaders()).forEach(([name, value]) => {
+    config.headers[name] = value;
+  });
+  return config;
+};
+
+module.exports = {
+  createContext,
+  getContext,
+  runWithContext,
+  getPropagationHeaders,
+  requestContextMiddleware,
+  withMessageContext,
+  axiosPropagationInterceptor,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { ExportResultCode, hrTimeToMicroseconds } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { AmqplibInstrumentation } = require('@opentelemetry/instrumentation-amqplib');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { Resource } = require('@opentelemetry/resources');
+const {
+  BatchSpanProcessor,
+  ConsoleSpanExporter,
+  ParentBasedSampler,
+  SimpleSpanProcessor,
+  TraceIdRatioBasedSampler,
+} = require('@opentelemetry/sdk-trace-base');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { SEMRESATTRS_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+
+// Este módulo no se exporta desde utils/index.js: debe cargarse por su ruta antes que express,
+// http y amqplib (y los clientes de base de datos de cada servicio) para que las instrumentaciones
+// puedan parchearlos
+
+// Rutas internas que no generan trazas (incluye sus subrutas, p. ej. /health/ready)
+const IGNORED_PATHS = ['/health', '/metrics'];
+
+let provider = null;
+
+/**
+ * Exportador que escribe cada span como una línea JSON en un archivo
+ * Pensado para pruebas y entornos locales sin colector
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filename - Ruta del archivo de trazas
+   */
+  constructor(filename) {
+    this.filename = filename;
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      parentId: span.parentSpanId,
+      id: span.spanContext().spanId,
+      name: span.name,
+      kind: span.kind,
+      service: span.resource.attributes[SEMRESATTRS_SERVICE_NAME],
+      timestamp: hrTimeToMicroseconds(span.startTime),
+      duration: hrTimeToMicroseconds(span.duration),
+      attributes: span.attributes,
+      status: span.status,
+      events: span.events,
+    }));
+
+    fs.appendFile(this.filename, `${lines.join('\n')}\n`, (error) => {
+      resultCallback(error
+        ? { code: ExportResultCode.FAILED, error }
+        : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Crea el procesador de spans según TRACING_EXPORTER (otlp, console, file o none)
+ * @returns {Object|null} - Procesador de spans, o null si el trazado está desactivado
+ */
+const createSpanProcessor = () => {
+  const exporter = (process.env.TRACING_EXPORTER || 'none').toLowerCase();
+
+  switch (exporter) {
+    case 'otlp':
+      // El endpoint se toma de OTEL_EXPORTER_OTLP_TRACES_ENDPOINT u OTEL_EXPORTER_OTLP_ENDPOINT
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'file':
+      return new SimpleSpanProcessor(new FileSpanExporter(
+        process.env.TRACING_FILE || path.join(process.cwd(), 'logs', 'traces.log')
+      ));
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Exportador de trazas no soportado: ${exporter}`);
+  }
+};
+
+/**
+ * Inicia el trazado del proceso con las instrumentaciones comunes (http, express y amqplib)
+ * más las propias del servicio
+ * @param {Object} options
+ * @param {string} options.serviceName - Nombre del servicio; SERVICE_NAME tiene prioridad
+ * @param {Function} [options.instrumentations] - Devuelve las instrumentaciones adicionales
+ *   (ioredis, mongoose, mysql2...); solo se crean si el trazado está activo
+ */
+const startTracing = ({ serviceName, instrumentations = () => [] }) => {
+  const spanProcessor = createSpanProcessor();
+  if (!spanProcessor || provider) {
+    return;
+  }
+
+  provider = new NodeTracerProvider({
+    resource: new Resource({ [SEMRESATTRS_SERVICE_NAME]: process.env.SERVICE_NAME || serviceName }),
+    sampler: new ParentBasedSampler({
+      root: new TraceIdRatioBasedSampler(Number(process.env.TRACING_SAMPLE_RATIO || 1)),
+    }),
+  });
+  provider.addSpanProcessor(spanProcessor);
+  provider.register();
+
+  registerInstrumentations({
+    tracerProvider: provider,
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => {
+          const requestPath = req.url.split('?')[0];
+          return IGNORED_PATHS.some((ignored) => requestPath === ignored || requestPath.startsWith(`${ignored}/`));
+        },
+      }),
+      new ExpressInstrumentation(),
+      ...instrumentations(),
+      new AmqplibInstrumentation(),
+    ],
+  });
+};
+
+/**
+ * Envía los spans pendientes y detiene el proveedor de trazas
+ * @returns {Promise<void>}
+ */
+const shutdownTracing = () => (provider ? provider.shutdown() : Promise.resolve());
+
+module.exports = {
+  startTracing,
+  shutdownTracing,
+};